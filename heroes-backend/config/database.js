@@ -245,6 +245,62 @@ const getConnection = async () => {
   return await pool.getConnection();
 };
 
+// Run fn(connection) in a transaction on one pooled connection: commit when it resolves,
+// roll back when it throws. A transaction chosen as a deadlock victim is rolled back by
+// MySQL and run again from the start, up to `retries` more times, so fn must not have
+// side effects outside the database. Resolves with fn's result.
+const withTransaction = async (fn, retries = 2) => {
+  for (let attempt = 1; ; attempt++) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const result = await fn(connection);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      try {
+        await connection.rollback();
+      } catch (rollbackError) {
+        logger.error(`Transaction rollback failed: ${rollbackError.message}`);
+      }
+
+      if (error.code === 'ER_LOCK_DEADLOCK' && attempt <= retries) {
+        poolStats.retries++;
+        logger.warn(`Deadlock detected, retrying transaction (attempt ${attempt + 1}/${retries + 1})`);
+        await new Promise(resolve => setTimeout(resolve, attempt * 50 + Math.floor(Math.random() * 50)));
+        continue;
+      }
+
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+// Run fn() while holding the MySQL named lock `name`, so a job scheduled on every replica
+// runs on one at a time. Resolves with fn's result, or null without running it when
+// another connection holds the lock.
+const withNamedLock = async (name, fn) => {
+  const connection = await getConnection();
+
+  try {
+    const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [name]);
+    if (Number(rows[0].acquired) !== 1) {
+      return null;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
 // Pool statistics
 const getPoolStats = () => {
   if (!pool) {
@@ -396,6 +452,8 @@ module.exports = {
   getPool,
   executeQuery,
   getConnection,
+  withTransaction,
+  withNamedLock,
   getPoolStats,
   healthCheck,
   pool: () => getPool(),
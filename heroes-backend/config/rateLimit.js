@@ -0,0 +1,173 @@
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const { executeQuery, logger } = require('./database');
+
+// Shared counter store for every rate limiter, selected with RATE_LIMIT_STORE:
+//   mysql  (default) - rate_limit_hits table, shared by all instances and kept across restarts
+//   redis            - REDIS_URL, needs the optional "redis" package
+//   memory           - per process, only for local development
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'mysql';
+
+// Fail open: a store outage should not take logins and submissions down with it
+const PASS_ON_STORE_ERROR = process.env.RATE_LIMIT_FAIL_CLOSED !== 'true';
+
+class MySqlStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const rows = await executeQuery(
+      'SELECT hits, reset_at_ms FROM rate_limit_hits WHERE store_key = ? AND reset_at_ms > ? LIMIT 1',
+      [this.prefix + key, Date.now()]
+    );
+    if (rows.length === 0) return undefined;
+
+    return { totalHits: Number(rows[0].hits), resetTime: new Date(Number(rows[0].reset_at_ms)) };
+  }
+
+  async increment(key) {
+    const now = Date.now();
+
+    // hits is assigned before reset_at_ms so it still sees the previous window
+    await executeQuery(
+      `INSERT INTO rate_limit_hits (store_key, hits, reset_at_ms)
+       VALUES (?, 1, ?)
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at_ms <= ?, 1, hits + 1),
+         reset_at_ms = IF(reset_at_ms <= ?, VALUES(reset_at_ms), reset_at_ms)`,
+      [this.prefix + key, now + this.windowMs, now, now]
+    );
+
+    return (await this.get(key)) || { totalHits: 1, resetTime: new Date(now + this.windowMs) };
+  }
+
+  async decrement(key) {
+    await executeQuery(
+      'UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE store_key = ? AND reset_at_ms > ?',
+      [this.prefix + key, Date.now()]
+    );
+  }
+
+  async resetKey(key) {
+    await executeQuery('DELETE FROM rate_limit_hits WHERE store_key = ?', [this.prefix + key]);
+  }
+}
+
+// One client for every limiter
+let redisClient = null;
+
+const getRedisClient = async () => {
+  if (!redisClient) {
+    const { createClient } = require('redis');
+    redisClient = createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+    redisClient.on('error', (error) => logger.error(`Rate limit Redis error: ${error.message}`));
+    redisClient.connectPromise = redisClient.connect();
+  }
+  await redisClient.connectPromise;
+  return redisClient;
+};
+
+const REDIS_INCREMENT_SCRIPT = `
+  local hits = redis.call('INCR', KEYS[1])
+  local ttl = redis.call('PTTL', KEYS[1])
+  if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+  end
+  return { hits, ttl }
+`;
+
+const REDIS_DECREMENT_SCRIPT = `
+  if redis.call('EXISTS', KEYS[1]) == 1 then
+    return redis.call('DECR', KEYS[1])
+  end
+  return 0
+`;
+
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.keyPrefix = `${process.env.REDIS_KEY_PREFIX || 'rl:'}${prefix}`;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const client = await getRedisClient();
+    const [hits, ttl] = await client.multi().get(this.keyPrefix + key).pTTL(this.keyPrefix + key).exec();
+    if (hits === null) return undefined;
+
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(Number(ttl), 0)) };
+  }
+
+  async increment(key) {
+    const client = await getRedisClient();
+    const [hits, ttl] = await client.eval(REDIS_INCREMENT_SCRIPT, {
+      keys: [this.keyPrefix + key],
+      arguments: [String(this.windowMs)]
+    });
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+  }
+
+  async decrement(key) {
+    const client = await getRedisClient();
+    await client.eval(REDIS_DECREMENT_SCRIPT, { keys: [this.keyPrefix + key] });
+  }
+
+  async resetKey(key) {
+    const client = await getRedisClient();
+    await client.del(this.keyPrefix + key);
+  }
+}
+
+const createStore = (prefix) => {
+  switch (RATE_LIMIT_STORE) {
+    case 'mysql':
+      return new MySqlStore(prefix);
+    case 'redis':
+      return new RedisStore(prefix);
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`);
+  }
+};
+
+// express-rate-limit with the configured shared store. The name keeps each
+// limiter's counters apart, so it must be unique, e.g. "users.login".
+const createRateLimiter = (name, options) => rateLimit({
+  passOnStoreError: PASS_ON_STORE_ERROR,
+  ...options,
+  store: createStore(`${name}:`)
+});
+
+const cleanupExpiredHits = async () => {
+  try {
+    const result = await executeQuery('DELETE FROM rate_limit_hits WHERE reset_at_ms < ?', [Date.now()]);
+
+    if (result.affectedRows > 0) {
+      logger.info(`Cleaned up ${result.affectedRows} expired rate limit counters`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to cleanup rate limit counters: ${error.message}`);
+  }
+};
+
+if (RATE_LIMIT_STORE === 'mysql') {
+  setInterval(cleanupExpiredHits, 10 * 60 * 1000).unref();
+}
+
+module.exports = {
+  createRateLimiter,
+  MySqlStore,
+  RedisStore
+};
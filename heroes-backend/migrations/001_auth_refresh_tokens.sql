@@ -0,0 +1,21 @@
+-- Refresh tokens for pensioner (mobile) and admin (web) sessions.
+-- Every login starts a new family (session); each refresh rotates the token
+-- inside the family. Presenting an already-rotated token revokes the family.
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  token_hash CHAR(64) NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  subject_type ENUM('pensioner', 'admin') NOT NULL,
+  subject_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  rotated_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(50) NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_refresh_token_hash (token_hash),
+  KEY idx_refresh_family (family_id),
+  KEY idx_refresh_subject (subject_type, subject_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
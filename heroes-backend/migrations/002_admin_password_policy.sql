@@ -0,0 +1,7 @@
+-- Forced password change and password expiry for admin accounts.
+ALTER TABLE admins_tbl
+  ADD COLUMN must_change_password TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN password_changed_at DATETIME NULL;
+
+-- Existing passwords start their expiry clock now rather than expiring immediately
+UPDATE admins_tbl SET password_changed_at = NOW() WHERE password_changed_at IS NULL;
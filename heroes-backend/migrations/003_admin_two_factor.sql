@@ -0,0 +1,29 @@
+-- TOTP two-factor authentication for admin web login.
+ALTER TABLE admins_tbl
+  ADD COLUMN totp_secret VARCHAR(255) NULL,
+  ADD COLUMN totp_enabled TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN totp_enabled_at DATETIME NULL,
+  ADD COLUMN totp_last_used_step BIGINT NULL;
+
+-- One-time recovery codes (sha256 hashes)
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+  id INT NOT NULL AUTO_INCREMENT,
+  admin_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_recovery_code (admin_id, code_hash),
+  CONSTRAINT fk_recovery_codes_admin FOREIGN KEY (admin_id) REFERENCES admins_tbl (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Roles whose members must have 2FA enabled (managed by super admins)
+CREATE TABLE IF NOT EXISTS admin_2fa_policy (
+  role VARCHAR(50) NOT NULL,
+  require_2fa TINYINT(1) NOT NULL DEFAULT 0,
+  updated_by INT NULL,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT IGNORE INTO admin_2fa_policy (role, require_2fa) VALUES ('S_ADMIN', 0), ('ADMIN', 0);
@@ -0,0 +1,22 @@
+-- Failed login attempts per account (email / AFPSN), shared by every server instance.
+-- Drives progressive delays, temporary lockouts and unlock-by-email links.
+CREATE TABLE IF NOT EXISTS auth_failed_attempts (
+  id INT NOT NULL AUTO_INCREMENT,
+  subject_type ENUM('pensioner', 'admin') NOT NULL,
+  identifier_type ENUM('email', 'afpsn') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  last_failed_at DATETIME NULL,
+  last_failed_ip VARCHAR(45) NULL,
+  locked_until DATETIME NULL,
+  lock_count INT NOT NULL DEFAULT 0,
+  unlock_token_hash CHAR(64) NULL,
+  unlock_token_expires_at DATETIME NULL,
+  unlocked_by INT NULL,
+  unlocked_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_failed_attempts_identifier (subject_type, identifier_type, identifier),
+  UNIQUE KEY uq_failed_attempts_unlock_token (unlock_token_hash),
+  KEY idx_failed_attempts_locked (locked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,9 @@
+-- Shared counters for express-rate-limit (RATE_LIMIT_STORE=mysql).
+-- One row per limiter + client key; reset_at_ms is the end of the current window (epoch ms).
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  store_key VARCHAR(255) NOT NULL,
+  hits INT UNSIGNED NOT NULL DEFAULT 0,
+  reset_at_ms BIGINT NOT NULL,
+  PRIMARY KEY (store_key),
+  KEY idx_rate_limit_reset (reset_at_ms)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
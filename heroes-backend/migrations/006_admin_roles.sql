@@ -0,0 +1,90 @@
+-- Roles with named permission bundles, replacing the hard-coded S_ADMIN / ADMIN split.
+-- admins_tbl.role keeps holding the role code, so tokens and the 2FA policy stay keyed by it.
+CREATE TABLE IF NOT EXISTS admin_roles (
+  id INT NOT NULL AUTO_INCREMENT,
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description VARCHAR(255) NULL,
+  is_super TINYINT(1) NOT NULL DEFAULT 0,
+  is_system TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_admin_roles_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Capabilities in a role's bundle (catalog in services/adminAccess.js)
+CREATE TABLE IF NOT EXISTS admin_role_permissions (
+  role_id INT NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  PRIMARY KEY (role_id, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role_id) REFERENCES admin_roles (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS admin_role_nav_access (
+  role_id INT NOT NULL,
+  nav_permission_id INT NOT NULL,
+  PRIMARY KEY (role_id, nav_permission_id),
+  CONSTRAINT fk_role_nav_access_role FOREIGN KEY (role_id) REFERENCES admin_roles (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+CREATE TABLE IF NOT EXISTS admin_role_form_access (
+  role_id INT NOT NULL,
+  form_type_id INT NOT NULL,
+  can_view TINYINT(1) NOT NULL DEFAULT 0,
+  can_create TINYINT(1) NOT NULL DEFAULT 0,
+  can_edit TINYINT(1) NOT NULL DEFAULT 0,
+  can_delete TINYINT(1) NOT NULL DEFAULT 0,
+  PRIMARY KEY (role_id, form_type_id),
+  CONSTRAINT fk_role_form_access_role FOREIGN KEY (role_id) REFERENCES admin_roles (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Per-admin overrides on top of the role bundle:
+--   admin_permission_overrides  grants (allowed = 1) or removes (allowed = 0) a capability
+--   admin_nav_access            grants or hides a nav item (existing rows become grants)
+--   admin_form_access           replaces the role's flags for that form type (existing rows kept as-is)
+CREATE TABLE IF NOT EXISTS admin_permission_overrides (
+  admin_id INT NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  allowed TINYINT(1) NOT NULL DEFAULT 1,
+  PRIMARY KEY (admin_id, permission),
+  CONSTRAINT fk_permission_overrides_admin FOREIGN KEY (admin_id) REFERENCES admins_tbl (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+ALTER TABLE admin_nav_access
+  ADD COLUMN allowed TINYINT(1) NOT NULL DEFAULT 1;
+
+-- Built-in roles. S_ADMIN keeps full access; ADMIN starts with an empty bundle so the
+-- per-admin rows already in admin_nav_access / admin_form_access give the same access as before.
+INSERT IGNORE INTO admin_roles (code, name, description, is_super, is_system) VALUES
+  ('S_ADMIN', 'Super Admin', 'Full access to every feature', 1, 1),
+  ('ADMIN', 'Admin', 'Access granted individually per admin', 0, 1),
+  ('REVIEWER', 'Reviewer', 'Reviews and updates form submissions', 0, 0),
+  ('SUPERVISOR', 'Supervisor', 'Oversees reviewers, sees statistics and unlocks accounts', 0, 0),
+  ('HELPDESK', 'Helpdesk', 'Assists pensioners and unlocks accounts', 0, 0),
+  ('AUDITOR', 'Auditor', 'Read-only access to submissions and statistics', 0, 0);
+
+INSERT IGNORE INTO admin_role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM admin_roles r
+JOIN (
+  SELECT 'SUPERVISOR' AS code, 'stats.view' AS permission
+  UNION ALL SELECT 'SUPERVISOR', 'accounts.unlock'
+  UNION ALL SELECT 'HELPDESK', 'accounts.unlock'
+  UNION ALL SELECT 'AUDITOR', 'stats.view'
+) p ON p.code = r.code;
+
+INSERT IGNORE INTO admin_role_form_access (role_id, form_type_id, can_view, can_create, can_edit, can_delete)
+SELECT r.id, ft.id,
+       1,
+       0,
+       IF(r.code IN ('REVIEWER', 'SUPERVISOR'), 1, 0),
+       IF(r.code = 'SUPERVISOR', 1, 0)
+FROM admin_roles r
+CROSS JOIN form_type ft
+WHERE r.code IN ('REVIEWER', 'SUPERVISOR', 'HELPDESK', 'AUDITOR');
+
+-- Every admin must reference an existing role from now on
+ALTER TABLE admins_tbl
+  MODIFY role VARCHAR(50) NOT NULL DEFAULT 'ADMIN',
+  ADD CONSTRAINT fk_admins_role FOREIGN KEY (role) REFERENCES admin_roles (code) ON UPDATE CASCADE;
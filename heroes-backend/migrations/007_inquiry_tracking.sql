@@ -0,0 +1,11 @@
+-- Tracking codes let submitters look up their own inquiry without an account.
+-- Only the sha256 of the code is stored; the code itself is shown once and emailed.
+ALTER TABLE inquiries
+  ADD COLUMN tracking_code_hash CHAR(64) NULL,
+  ADD UNIQUE KEY uq_inquiries_tracking_code (tracking_code_hash);
+
+-- Nav item that gates the admin inquiry screens (/api/admin_inquiries)
+INSERT INTO nav_permissions (name, path, description)
+SELECT 'Inquiries', '/inquiries', 'View and manage public inquiries'
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM nav_permissions WHERE path = '/inquiries');
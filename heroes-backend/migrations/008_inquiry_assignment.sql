@@ -0,0 +1,56 @@
+-- Inquiries are assigned to admins (admins_tbl) instead of pensioner accounts (users_tbl).
+-- Existing assigned_to values point at pensioners and cannot be mapped, so they are moved to
+-- legacy_assigned_user_id (kept for reference and manual reassignment) and cleared.
+-- If your schema has a foreign key from inquiries.assigned_to to users_tbl, drop it before running this.
+ALTER TABLE inquiries
+  ADD COLUMN legacy_assigned_user_id INT NULL AFTER assigned_to;
+
+UPDATE inquiries
+SET legacy_assigned_user_id = assigned_to, assigned_to = NULL
+WHERE assigned_to IS NOT NULL;
+
+ALTER TABLE inquiries
+  ADD COLUMN assigned_at DATETIME NULL AFTER assigned_to,
+  ADD KEY idx_inquiries_assigned_status (assigned_to, status),
+  ADD CONSTRAINT fk_inquiries_assigned_admin FOREIGN KEY (assigned_to) REFERENCES admins_tbl (id) ON DELETE SET NULL;
+
+-- Every assignment change, manual or automatic
+CREATE TABLE IF NOT EXISTS inquiry_assignment_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  inquiry_id INT NOT NULL,
+  from_admin_id INT NULL,
+  to_admin_id INT NULL,
+  -- NULL when the system assigned it on submission
+  assigned_by INT NULL,
+  method ENUM('manual', 'auto') NOT NULL,
+  reason VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_assignment_history_inquiry (inquiry_id, created_at),
+  CONSTRAINT fk_assignment_history_inquiry FOREIGN KEY (inquiry_id) REFERENCES inquiries (id) ON DELETE CASCADE
+);
+
+-- How new inquiries of a category are assigned automatically:
+--   none         - left unassigned
+--   round_robin  - next admin in the category's pool after the last one picked
+--   least_open   - pool admin with the fewest open (pending / in progress) inquiries
+CREATE TABLE IF NOT EXISTS inquiry_category_routing (
+  category_id INT PRIMARY KEY,
+  strategy ENUM('none', 'round_robin', 'least_open') NOT NULL DEFAULT 'none',
+  last_assigned_admin_id INT NULL,
+  updated_by INT NULL,
+  updated_at DATETIME NULL,
+  CONSTRAINT fk_category_routing_category FOREIGN KEY (category_id) REFERENCES inquiry_categories (id) ON DELETE CASCADE
+);
+
+-- Admins eligible for automatic assignment per category
+CREATE TABLE IF NOT EXISTS inquiry_category_assignees (
+  category_id INT NOT NULL,
+  admin_id INT NOT NULL,
+  PRIMARY KEY (category_id, admin_id),
+  CONSTRAINT fk_category_assignees_category FOREIGN KEY (category_id) REFERENCES inquiry_categories (id) ON DELETE CASCADE,
+  CONSTRAINT fk_category_assignees_admin FOREIGN KEY (admin_id) REFERENCES admins_tbl (id) ON DELETE CASCADE
+);
+
+-- Configuring routing is a supervisor task
+INSERT IGNORE INTO admin_role_permissions (role_id, permission)
+SELECT id, 'inquiries.manage' FROM admin_roles WHERE code = 'SUPERVISOR';
@@ -0,0 +1,32 @@
+-- Conversation thread on each inquiry. The original submission stays in inquiries.message;
+-- everything after it (replies, follow-ups, status changes) is a row here.
+CREATE TABLE IF NOT EXISTS inquiry_messages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  inquiry_id INT NOT NULL,
+  -- submitter follow-ups come in through the tracking code; system entries have no author
+  author_type ENUM('admin', 'submitter', 'system') NOT NULL,
+  author_admin_id INT NULL,
+  -- internal notes are only shown to admins
+  visibility ENUM('public', 'internal') NOT NULL DEFAULT 'public',
+  message_type ENUM('message', 'status_change') NOT NULL DEFAULT 'message',
+  body TEXT NULL,
+  old_status VARCHAR(10) NULL,
+  new_status VARCHAR(10) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_inquiry_messages_inquiry (inquiry_id, created_at),
+  CONSTRAINT fk_inquiry_messages_inquiry FOREIGN KEY (inquiry_id) REFERENCES inquiries (id) ON DELETE CASCADE,
+  CONSTRAINT fk_inquiry_messages_admin FOREIGN KEY (author_admin_id) REFERENCES admins_tbl (id) ON DELETE SET NULL
+);
+
+-- Files uploaded through /api/upload and attached to a message
+CREATE TABLE IF NOT EXISTS inquiry_message_attachments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message_id INT NOT NULL,
+  file_url VARCHAR(500) NOT NULL,
+  file_key VARCHAR(500) NOT NULL,
+  file_type VARCHAR(100) NULL,
+  file_name VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_message_attachments_message (message_id),
+  CONSTRAINT fk_message_attachments_message FOREIGN KEY (message_id) REFERENCES inquiry_messages (id) ON DELETE CASCADE
+);
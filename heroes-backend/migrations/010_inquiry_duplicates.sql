@@ -0,0 +1,8 @@
+-- Contacts may now have several inquiries. A resubmission of an open question is
+-- added to that inquiry's thread as a 'duplicate_submission' instead of being rejected.
+ALTER TABLE inquiries
+  ADD KEY idx_inquiries_email_created (email, created_at),
+  ADD KEY idx_inquiries_mobile_created (mobilenr, created_at);
+
+ALTER TABLE inquiry_messages
+  MODIFY message_type ENUM('message', 'status_change', 'duplicate_submission') NOT NULL DEFAULT 'message';
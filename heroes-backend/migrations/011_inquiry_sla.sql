@@ -0,0 +1,55 @@
+-- Service level targets per inquiry category. NULL means no target for that stage.
+--   escalation_admin_id  supervisor told about (or handed) breached inquiries of the category
+--   escalation_action    notify: email the supervisor; reassign: also assign the inquiry to them
+ALTER TABLE inquiry_categories
+  ADD COLUMN first_response_sla_minutes INT NULL DEFAULT 1440,
+  ADD COLUMN resolution_sla_minutes INT NULL DEFAULT 4320,
+  ADD COLUMN escalation_admin_id INT NULL,
+  ADD COLUMN escalation_action ENUM('notify', 'reassign') NOT NULL DEFAULT 'notify',
+  ADD CONSTRAINT fk_inquiry_categories_escalation_admin FOREIGN KEY (escalation_admin_id) REFERENCES admins_tbl (id) ON DELETE SET NULL;
+
+-- Due timestamps are fixed when the inquiry is submitted; *_breached_at is set by the
+-- escalation scheduler the first time a due timestamp passes unmet.
+ALTER TABLE inquiries
+  ADD COLUMN first_response_at DATETIME NULL,
+  ADD COLUMN resolved_at DATETIME NULL,
+  ADD COLUMN first_response_due_at DATETIME NULL,
+  ADD COLUMN resolution_due_at DATETIME NULL,
+  ADD COLUMN first_response_breached_at DATETIME NULL,
+  ADD COLUMN resolution_breached_at DATETIME NULL,
+  ADD KEY idx_inquiries_first_response_due (first_response_due_at),
+  ADD KEY idx_inquiries_resolution_due (resolution_due_at);
+
+ALTER TABLE inquiry_assignment_history
+  MODIFY method ENUM('manual', 'auto', 'escalation') NOT NULL;
+
+ALTER TABLE inquiry_messages
+  MODIFY message_type ENUM('message', 'status_change', 'duplicate_submission', 'escalation') NOT NULL DEFAULT 'message';
+
+-- Existing inquiries: due dates from the category defaults, first response from the
+-- first public admin reply, resolution from the current status
+UPDATE inquiries i
+JOIN inquiry_categories ic ON ic.id = i.category_id
+SET i.first_response_due_at = DATE_ADD(i.created_at, INTERVAL ic.first_response_sla_minutes MINUTE),
+    i.resolution_due_at = DATE_ADD(i.created_at, INTERVAL ic.resolution_sla_minutes MINUTE);
+
+UPDATE inquiries i
+JOIN (
+  SELECT inquiry_id, MIN(created_at) AS first_reply_at
+  FROM inquiry_messages
+  WHERE author_type = 'admin' AND visibility = 'public' AND message_type = 'message'
+  GROUP BY inquiry_id
+) m ON m.inquiry_id = i.id
+SET i.first_response_at = m.first_reply_at;
+
+UPDATE inquiries SET resolved_at = updated_at WHERE status IN ('res', 'clo');
+
+-- The existing backlog counts as already breached, so the first scheduler run
+-- does not escalate every old inquiry at once
+UPDATE inquiries
+SET first_response_breached_at = NOW()
+WHERE first_response_at IS NULL AND first_response_due_at < NOW() AND status IN ('pen', 'in_prog');
+
+UPDATE inquiries
+SET resolution_breached_at = NOW()
+WHERE resolved_at IS NULL AND resolution_due_at < NOW() AND status IN ('pen', 'in_prog');
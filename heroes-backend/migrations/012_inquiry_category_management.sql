@@ -0,0 +1,13 @@
+-- Inquiry categories are managed from the admin app (/api/admin_inquiries/categories).
+--   is_active            inactive categories are hidden from the mobile picker and rejected on submit
+--   sort_order           picker order, lowest first
+--   default_assignee_id  admin new inquiries go to when the category has no routing pool
+ALTER TABLE inquiry_categories
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1,
+  ADD COLUMN sort_order INT NOT NULL DEFAULT 0,
+  ADD COLUMN default_assignee_id INT NULL,
+  ADD CONSTRAINT fk_inquiry_categories_default_assignee FOREIGN KEY (default_assignee_id) REFERENCES admins_tbl (id) ON DELETE SET NULL;
+
+-- Keep today's alphabetical picker order
+SET @position := 0;
+UPDATE inquiry_categories SET sort_order = (@position := @position + 10) ORDER BY name ASC;
@@ -0,0 +1,45 @@
+-- Form types drive submission instead of the hard-coded form_type_id = 5.
+-- Inactive types are hidden from the app and rejected on submit.
+ALTER TABLE form_type
+  ADD COLUMN is_active TINYINT(1) NOT NULL DEFAULT 1;
+
+-- Requirements each form type asks for.
+--   kind        file: needs file_url and file_key from /api/upload; value: needs a non-empty value
+--   applies_to  loc: only pensioners in the Philippines, abr: only pensioners abroad, both: everyone
+--   stored_per_location  a 'both' requirement is stored in form_requirements.applies_to_location
+--               with the submitter's location (loc/abr) instead of 'both', as the identity
+--               documents always were; location stats and filters count them per location
+-- Requirement types sent but not listed here are still stored, as before.
+CREATE TABLE IF NOT EXISTS form_type_requirements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_type_id INT NOT NULL,
+  requirement_type VARCHAR(64) NOT NULL,
+  label VARCHAR(150) NOT NULL,
+  kind ENUM('file', 'value') NOT NULL DEFAULT 'file',
+  applies_to ENUM('both', 'loc', 'abr') NOT NULL DEFAULT 'both',
+  stored_per_location TINYINT(1) NOT NULL DEFAULT 0,
+  is_required TINYINT(1) NOT NULL DEFAULT 1,
+  sort_order INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_form_type_requirement (form_type_id, requirement_type),
+  CONSTRAINT fk_form_type_requirements_type FOREIGN KEY (form_type_id) REFERENCES form_type (id) ON DELETE CASCADE
+);
+
+-- The requirements the app has been sending for form type 5, which every
+-- submission used until now. Other types start without a definition.
+INSERT IGNORE INTO form_type_requirements
+  (form_type_id, requirement_type, label, kind, applies_to, stored_per_location, is_required, sort_order)
+SELECT ft.id, r.requirement_type, r.label, r.kind, r.applies_to, r.stored_per_location, r.is_required, r.sort_order
+FROM form_type ft
+JOIN (
+  SELECT 'unified_id' AS requirement_type, 'Unified ID' AS label, 'file' AS kind, 'both' AS applies_to,
+    1 AS stored_per_location, 1 AS is_required, 10 AS sort_order
+  UNION ALL SELECT 'photo_2x2', '2x2 photo', 'file', 'both', 1, 1, 20
+  UNION ALL SELECT 'video_submission', 'Video submission', 'file', 'both', 1, 1, 30
+  UNION ALL SELECT 'home_address', 'Home address', 'value', 'both', 1, 1, 40
+  UNION ALL SELECT 'crs5_reference', 'CRS5 reference number', 'value', 'both', 1, 1, 50
+  UNION ALL SELECT 'mobile_number', 'Mobile number', 'value', 'both', 0, 0, 60
+  UNION ALL SELECT 'passport', 'Passport', 'file', 'abr', 0, 1, 70
+  UNION ALL SELECT 'oath_of_allegiance', 'Oath of allegiance', 'file', 'abr', 0, 0, 80
+  UNION ALL SELECT 'cert_of_naturalization', 'Certificate of naturalization', 'file', 'abr', 0, 0, 90
+) r
+WHERE ft.id = 5;
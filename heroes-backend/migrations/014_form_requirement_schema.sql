@@ -0,0 +1,35 @@
+-- Validation rules on form type requirement definitions, served to the app by
+-- GET /api/forms/types/:id/requirements so it can render and pre-check the form.
+--   allowed_file_types  comma-separated MIME types for file requirements; "video/*" style wildcards allowed
+--   value_pattern       regular expression a value requirement must match (whole value)
+--   value_hint          shown when the value does not match, e.g. "11-digit mobile number"
+--   max_length          longest accepted value
+ALTER TABLE form_type_requirements
+  ADD COLUMN allowed_file_types VARCHAR(255) NULL AFTER kind,
+  ADD COLUMN value_pattern VARCHAR(255) NULL AFTER allowed_file_types,
+  ADD COLUMN value_hint VARCHAR(150) NULL AFTER value_pattern,
+  ADD COLUMN max_length INT NULL AFTER value_hint;
+
+UPDATE form_type_requirements
+SET allowed_file_types = 'image/jpeg,image/jpg,image/png,image/webp,application/pdf'
+WHERE requirement_type IN ('unified_id', 'passport', 'oath_of_allegiance', 'cert_of_naturalization');
+
+UPDATE form_type_requirements
+SET allowed_file_types = 'image/jpeg,image/jpg,image/png,image/webp'
+WHERE requirement_type = 'photo_2x2';
+
+UPDATE form_type_requirements
+SET allowed_file_types = 'video/*'
+WHERE requirement_type = 'video_submission';
+
+UPDATE form_type_requirements
+SET max_length = 255
+WHERE requirement_type = 'home_address';
+
+UPDATE form_type_requirements
+SET max_length = 50
+WHERE requirement_type = 'crs5_reference';
+
+UPDATE form_type_requirements
+SET value_pattern = '^\\+?[0-9][0-9 ()-]{6,19}$', value_hint = 'Digits only, optionally starting with +', max_length = 20
+WHERE requirement_type = 'mobile_number';
@@ -0,0 +1,37 @@
+-- Server-side drafts of form submissions, filled in one requirement at a time and
+-- finalized into form_submission. Drafts expire when left untouched; the cleanup
+-- job deletes them together with the uploads no submission uses.
+-- owns_file marks a file first used by this draft (nothing referred to it when it was
+-- saved); only those are ever deleted when the draft lets go of them.
+CREATE TABLE IF NOT EXISTS form_drafts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  form_type_id INT NOT NULL,
+  abroad_status TINYINT(1) NOT NULL DEFAULT 0,
+  longitude DECIMAL(11, 8) NULL,
+  latitude DECIMAL(10, 8) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  KEY idx_form_drafts_user (user_id),
+  KEY idx_form_drafts_expires (expires_at),
+  CONSTRAINT fk_form_drafts_user FOREIGN KEY (user_id) REFERENCES users_tbl (id) ON DELETE CASCADE,
+  CONSTRAINT fk_form_drafts_type FOREIGN KEY (form_type_id) REFERENCES form_type (id)
+);
+
+CREATE TABLE IF NOT EXISTS form_draft_requirements (
+  draft_id INT NOT NULL,
+  requirement_type VARCHAR(64) NOT NULL,
+  value TEXT NULL,
+  file_url VARCHAR(500) NULL,
+  file_key VARCHAR(500) NULL,
+  file_type VARCHAR(100) NULL,
+  owns_file TINYINT(1) NOT NULL DEFAULT 0,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (draft_id, requirement_type),
+  CONSTRAINT fk_form_draft_requirements_draft FOREIGN KEY (draft_id) REFERENCES form_drafts (id) ON DELETE CASCADE
+);
+
+-- Lets cleanup tell whether a draft's upload ended up in a real submission
+ALTER TABLE form_requirements
+  ADD KEY idx_form_requirements_file_key (file_key(191));
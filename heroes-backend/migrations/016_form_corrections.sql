@@ -0,0 +1,47 @@
+-- "Returned for correction" (status r): a reviewer flags individual requirements with a
+-- comment, the pensioner replaces just those and resubmits, and the form is pending again.
+-- review_round counts submissions of the form: 1 for the original, +1 per resubmission.
+ALTER TABLE form_submission
+  MODIFY status ENUM('p', 'a', 'd', 'r') NOT NULL DEFAULT 'p',
+  ADD COLUMN review_round INT NOT NULL DEFAULT 1,
+  ADD COLUMN returned_at DATETIME NULL,
+  ADD COLUMN resubmitted_at DATETIME NULL;
+
+-- Returns and resubmissions are logged like any other status change; a resubmission
+-- is done by the pensioner, so it has no admin in action_by.
+ALTER TABLE history_logs
+  MODIFY status ENUM('p', 'a', 'd', 'n', 'r') NOT NULL,
+  MODIFY action_by INT NULL;
+
+-- Reviewer comments per requirement, for the round they were made in. resolved_at is
+-- set when the pensioner's resubmission replaces the requirement.
+CREATE TABLE IF NOT EXISTS form_requirement_reviews (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  review_round INT NOT NULL,
+  requirement_type VARCHAR(64) NOT NULL,
+  comment VARCHAR(500) NOT NULL,
+  reviewed_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  resolved_at DATETIME NULL,
+  UNIQUE KEY uq_form_requirement_review (form_id, review_round, requirement_type),
+  CONSTRAINT fk_form_requirement_reviews_form FOREIGN KEY (form_id) REFERENCES form_submission (id) ON DELETE CASCADE,
+  CONSTRAINT fk_form_requirement_reviews_admin FOREIGN KEY (reviewed_by) REFERENCES admins_tbl (id) ON DELETE SET NULL
+);
+
+-- Earlier versions of requirements replaced on resubmission, with the round they were
+-- submitted in. Their files are kept so every round can be reviewed later.
+CREATE TABLE IF NOT EXISTS form_requirement_versions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  review_round INT NOT NULL,
+  requirement_type VARCHAR(64) NOT NULL,
+  value TEXT NULL,
+  file_url VARCHAR(500) NULL,
+  file_key VARCHAR(500) NULL,
+  file_type VARCHAR(100) NULL,
+  superseded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_form_requirement_versions_form (form_id, review_round),
+  KEY idx_form_requirement_versions_file_key (file_key(191)),
+  CONSTRAINT fk_form_requirement_versions_form FOREIGN KEY (form_id) REFERENCES form_submission (id) ON DELETE CASCADE
+);
@@ -0,0 +1,64 @@
+-- Multi-stage review per form type, e.g. initial review -> verification -> final approval.
+-- Form types without stages keep the single-step PUT /api/admin_forms/:form_id/status.
+--   permission               capability (services/adminAccess.js) needed to act on the stage
+--   requires_distinct_admin  the admin acting on this stage must not have completed an
+--                            earlier stage of the same review round (maker-checker)
+-- The last stage by stage_order is the one that approves the form.
+CREATE TABLE IF NOT EXISTS form_workflow_stages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_type_id INT NOT NULL,
+  stage_order INT NOT NULL,
+  code VARCHAR(32) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  requires_distinct_admin TINYINT(1) NOT NULL DEFAULT 0,
+  UNIQUE KEY uq_form_workflow_stage_code (form_type_id, code),
+  KEY idx_form_workflow_stages_order (form_type_id, stage_order),
+  CONSTRAINT fk_form_workflow_stages_type FOREIGN KEY (form_type_id) REFERENCES form_type (id) ON DELETE CASCADE
+);
+
+-- Stage a pending form is waiting at; NULL means the first stage of its type
+ALTER TABLE form_submission
+  ADD COLUMN current_stage_id INT NULL,
+  ADD CONSTRAINT fk_form_submission_stage FOREIGN KEY (current_stage_id) REFERENCES form_workflow_stages (id) ON DELETE SET NULL;
+
+-- Every action taken on a stage, per review round. Used for the maker-checker rule and
+-- shown with the form; the transitions are also written to history_logs.
+CREATE TABLE IF NOT EXISTS form_stage_actions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  form_id INT NOT NULL,
+  stage_id INT NULL,
+  stage_name VARCHAR(100) NOT NULL,
+  review_round INT NOT NULL,
+  action ENUM('advance', 'approve', 'return', 'deny') NOT NULL,
+  action_by INT NULL,
+  remarks VARCHAR(1000) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_form_stage_actions_form (form_id, review_round),
+  CONSTRAINT fk_form_stage_actions_form FOREIGN KEY (form_id) REFERENCES form_submission (id) ON DELETE CASCADE,
+  CONSTRAINT fk_form_stage_actions_stage FOREIGN KEY (stage_id) REFERENCES form_workflow_stages (id) ON DELETE SET NULL,
+  CONSTRAINT fk_form_stage_actions_admin FOREIGN KEY (action_by) REFERENCES admins_tbl (id) ON DELETE SET NULL
+);
+
+INSERT IGNORE INTO admin_role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM admin_roles r
+JOIN (
+  SELECT 'REVIEWER' AS code, 'forms.review' AS permission
+  UNION ALL SELECT 'REVIEWER', 'forms.verify'
+  UNION ALL SELECT 'SUPERVISOR', 'forms.verify'
+  UNION ALL SELECT 'SUPERVISOR', 'forms.approve'
+  UNION ALL SELECT 'SUPERVISOR', 'forms.workflow.manage'
+) p ON p.code = r.code;
+
+-- Transfer of Pension starts with the three-stage review
+INSERT IGNORE INTO form_workflow_stages
+  (form_type_id, stage_order, code, name, permission, requires_distinct_admin)
+SELECT ft.id, s.stage_order, s.code, s.name, s.permission, s.requires_distinct_admin
+FROM form_type ft
+JOIN (
+  SELECT 10 AS stage_order, 'review' AS code, 'Initial review' AS name, 'forms.review' AS permission, 0 AS requires_distinct_admin
+  UNION ALL SELECT 20, 'verification', 'Verification', 'forms.verify', 0
+  UNION ALL SELECT 30, 'approval', 'Final approval', 'forms.approve', 1
+) s
+WHERE ft.name LIKE '%transfer of pension%';
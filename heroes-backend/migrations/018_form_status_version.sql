@@ -0,0 +1,5 @@
+-- Optimistic concurrency for form review: every change to a submission's status or review
+-- state bumps version, and updates must name the version they were based on (If-Match
+-- header or "version" in the body). Allowed status transitions are in services/formStatus.js.
+ALTER TABLE form_submission
+  ADD COLUMN version INT NOT NULL DEFAULT 1;
@@ -0,0 +1,54 @@
+-- history_logs is written by the application (services/formAudit.js) in the same
+-- transaction as the change it records, instead of by a trigger reading @current_admin_id.
+
+-- A trigger on form_submission that still writes history_logs would log every change a
+-- second time. Its name differs between installations, so it is not dropped here: the
+-- check below stops the migration, before anything is changed, and names the trigger.
+-- Drop it (DROP TRIGGER <name>;) and run this file again.
+DROP PROCEDURE IF EXISTS check_form_submission_history_trigger;
+
+DELIMITER //
+CREATE PROCEDURE check_form_submission_history_trigger()
+BEGIN
+  DECLARE found_trigger VARCHAR(64);
+  DECLARE message VARCHAR(255);
+
+  SELECT TRIGGER_NAME INTO found_trigger FROM information_schema.TRIGGERS
+  WHERE EVENT_OBJECT_SCHEMA = DATABASE()
+    AND EVENT_OBJECT_TABLE = 'form_submission'
+    AND ACTION_STATEMENT LIKE '%history_logs%'
+  LIMIT 1;
+
+  IF found_trigger IS NOT NULL THEN
+    SET message = CONCAT('Trigger ', found_trigger, ' on form_submission writes history_logs; drop it before running 019_form_audit_log.sql');
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = message;
+  END IF;
+END //
+DELIMITER ;
+
+CALL check_form_submission_history_trigger();
+DROP PROCEDURE check_form_submission_history_trigger;
+
+--   action         status, note, delete, requirement_edit, stage, return or resubmit
+--   old_values     changed fields before the action, new_values after (JSON)
+--   actor_user_id  pensioner who acted, for actions not done by an admin (action_by NULL)
+--   form_type_id   type of the form, kept so logs of deleted forms can still be limited
+--                  to the admins allowed to view that type
+ALTER TABLE history_logs
+  ADD COLUMN form_type_id INT NULL AFTER form_submission_id,
+  ADD COLUMN action VARCHAR(32) NULL AFTER status,
+  ADD COLUMN old_values JSON NULL AFTER remarks,
+  ADD COLUMN new_values JSON NULL AFTER old_values,
+  ADD COLUMN actor_user_id INT NULL AFTER action_by,
+  ADD COLUMN ip_address VARCHAR(45) NULL,
+  ADD COLUMN user_agent VARCHAR(255) NULL,
+  ADD KEY idx_history_logs_form (form_submission_id, action_date),
+  ADD KEY idx_history_logs_form_type (form_type_id);
+
+-- Rows logged before this migration were all status changes or notes
+UPDATE history_logs SET action = IF(status = 'n', 'note', 'status') WHERE action IS NULL;
+
+UPDATE history_logs hl
+JOIN form_submission fs ON fs.id = hl.form_submission_id
+SET hl.form_type_id = fs.form_type_id
+WHERE hl.form_type_id IS NULL;
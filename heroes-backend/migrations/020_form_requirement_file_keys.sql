@@ -0,0 +1,9 @@
+-- Submissions made before file_key was required saved only file_url. Recover the key
+-- (the path after the host, as built by /api/upload) so the cleanup of unattached uploads
+-- in services/formDrafts.js sees these files as used. That cleanup does not run while
+-- any row is still missing its key.
+UPDATE form_requirements
+SET file_key = SUBSTRING(file_url, LOCATE('/', file_url, LOCATE('://', file_url) + 3) + 1)
+WHERE file_key IS NULL
+  AND file_url IS NOT NULL
+  AND file_url LIKE 'http%://%/%';
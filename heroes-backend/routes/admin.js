@@ -2,6 +2,21 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const mysql = require('mysql2/promise');
+const { ACCESS_TOKEN_EXPIRATION, createSession, rotateRefreshToken, revokeSession, revokeAllSessions, isSessionActive } = require('../services/sessions');
+const { filterPassword, validatePasswordStrength, generateTemporaryPassword } = require('../services/passwordPolicy');
+const totp = require('../services/totp');
+const { checkLockout, recordFailedAttempt, clearFailedAttempts, unlockWithToken, listLockedAccounts, unlockAccount } = require('../services/accountLockout');
+const {
+  PERMISSIONS,
+  getAdminAccess,
+  hasPermission,
+  hasNavPath,
+  getPermittedFormTypeIds,
+  checkGrantable,
+  getRoleBundle
+} = require('../services/adminAccess');
+const { createRateLimiter } = require('../config/rateLimit');
+const { withTransaction } = require('../config/database');
 const router = express.Router();
 
 // Database connection helper (using your existing config)
@@ -34,8 +49,231 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Admin passwords expire after this many days (0 disables expiry)
+const ADMIN_PASSWORD_MAX_AGE_DAYS = process.env.ADMIN_PASSWORD_MAX_AGE_DAYS !== undefined
+  ? parseInt(process.env.ADMIN_PASSWORD_MAX_AGE_DAYS) || 0
+  : 90;
+
+// Routes an admin can still reach while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/admin/password',
+  '/api/admin/logout',
+  '/api/admin/verify',
+  '/api/admin/profile'
+];
+
+// Routes an admin can still reach while mandatory 2FA enrollment is pending
+const TWO_FACTOR_ENROLLMENT_ALLOWED_PATHS = [
+  '/api/admin/2fa/status',
+  '/api/admin/2fa/setup',
+  '/api/admin/2fa/enable',
+  '/api/admin/password',
+  '/api/admin/logout',
+  '/api/admin/verify',
+  '/api/admin/profile'
+];
+
+// Second login step must follow the password step within this window
+const TWO_FACTOR_CHALLENGE_EXPIRATION = '5m';
+
+// Per IP; per-account failures are handled by the lockout service
+const loginLimiter = createRateLimiter('admin.login', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many login attempts. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const twoFactorLimiter = createRateLimiter('admin.twoFactor', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many verification attempts. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const refreshLimiter = createRateLimiter('admin.refresh', {
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: {
+    success: false,
+    error: 'Too many token refresh requests. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Whether super admins have made 2FA mandatory for this role
+const isTwoFactorRequired = async (role) => {
+  const rows = await executeQuery(
+    'SELECT require_2fa FROM admin_2fa_policy WHERE role = ? LIMIT 1',
+    [role]
+  );
+  return rows.length > 0 && Boolean(rows[0].require_2fa);
+};
+
+// Flags admins whose role requires 2FA but who have not enrolled yet
+const withTwoFactorRequirement = async (admin) => ({
+  ...admin,
+  must_enroll_2fa: !admin.totp_enabled && await isTwoFactorRequired(admin.role)
+});
+
+// Check a TOTP code against the admin's stored secret, rejecting replays of a used code.
+// Returns true and records the matched step on success.
+const verifyAdminTotp = async (admin, code) => {
+  if (!admin.totp_secret) return false;
+
+  const step = totp.verifyCode(totp.decryptSecret(admin.totp_secret), code);
+  if (step === null || (admin.totp_last_used_step !== null && step <= Number(admin.totp_last_used_step))) {
+    return false;
+  }
+
+  await executeQuery('UPDATE admins_tbl SET totp_last_used_step = ? WHERE id = ?', [step, admin.id]);
+  return true;
+};
+
+// Replace an admin's recovery codes; the plain codes are only returned here
+const issueRecoveryCodes = async (adminId) => {
+  const codes = totp.generateRecoveryCodes();
+  await executeQuery('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+  for (const code of codes) {
+    await executeQuery(
+      'INSERT INTO admin_recovery_codes (admin_id, code_hash, created_at) VALUES (?, ?, NOW())',
+      [adminId, totp.hashRecoveryCode(code)]
+    );
+  }
+  return codes;
+};
+
+// Response for an admin account that is locked or has to wait before the next attempt
+const accountLockedResponse = (res, lockState) => {
+  res.set('Retry-After', String(lockState.retryAfterSeconds));
+  return res.status(lockState.locked ? 423 : 429).json({
+    success: false,
+    error: lockState.locked
+      ? 'Too many failed attempts. This account is temporarily locked. Check your email for an unlock link or try again later.'
+      : 'Too many failed attempts. Please wait a moment before trying again.',
+    code: lockState.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_FAILED_ATTEMPTS',
+    retryAfter: lockState.retryAfterSeconds
+  });
+};
+
+// Why an admin has to change password before using the panel, or null
+const getPasswordChangeReason = (admin) => {
+  if (admin.must_change_password) {
+    return 'reset';
+  }
+
+  if (ADMIN_PASSWORD_MAX_AGE_DAYS > 0) {
+    const changedAt = new Date(admin.password_changed_at || admin.created_at);
+    const ageDays = (Date.now() - changedAt.getTime()) / (24 * 60 * 60 * 1000);
+    if (ageDays >= ADMIN_PASSWORD_MAX_AGE_DAYS) {
+      return 'expired';
+    }
+  }
+
+  return null;
+};
+
+// Same rules as pensioner passwords (see services/passwordPolicy)
+const validateAdminPassword = (password) => {
+  if (typeof password !== 'string' || filterPassword(password) !== password) {
+    return { error: 'Password contains invalid characters', details: [] };
+  }
+
+  const passwordValidation = validatePasswordStrength(password);
+  if (!passwordValidation.isValid) {
+    return { error: 'Password does not meet security requirements', details: passwordValidation.errors };
+  }
+
+  return null;
+};
+
+// Sign a short-lived admin access token bound to a session
+const generateAdminToken = (admin, sessionId) => {
+  const passwordChangeReason = getPasswordChangeReason(admin);
+
+  const jwtPayload = {
+    adminId: admin.id,
+    id: admin.id, // Add this for compatibility
+    email: admin.email,
+    name: admin.name,
+    mobileNumber: admin.mobile_number,
+    role: admin.role,
+    sid: sessionId,
+    mustChangePassword: Boolean(passwordChangeReason),
+    passwordChangeReason,
+    mustEnrollTwoFactor: Boolean(admin.must_enroll_2fa),
+    loginAt: new Date().toISOString(),
+    type: 'admin'
+  };
+
+  return jwt.sign(
+    jwtPayload, 
+    process.env.JWT_SECRET,
+    { 
+      expiresIn: ACCESS_TOKEN_EXPIRATION,
+      issuer: 'afppgmc-admin-web',
+      audience: 'afppgmc-admin-panel'
+    }
+  );
+};
+
+// Final login step: start a session and return the access/refresh tokens
+const completeAdminLogin = async (req, res, admin) => {
+  await clearFailedAttempts('admin', 'email', admin.email);
+
+  // Update last login timestamp
+  const updateLoginQuery = 'UPDATE admins_tbl SET last_login_at = NOW() WHERE id = ?';
+  await executeQuery(updateLoginQuery, [admin.id]);
+
+  const sessionAdmin = await withTwoFactorRequirement(admin);
+
+  // Start a session and generate the access token for it
+  const session = await createSession('admin', admin.id, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  const token = generateAdminToken(sessionAdmin, session.sessionId);
+  const passwordChangeReason = getPasswordChangeReason(admin);
+
+  console.log('Admin login successful:', admin.email, 'Role:', admin.role);
+
+  // Success response
+  res.json({
+    success: true,
+    message: 'Login successful',
+    admin: {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      mobileNumber: admin.mobile_number,
+      role: admin.role,
+      createdAt: admin.created_at,
+      lastLoginAt: new Date().toISOString(),
+      mustChangePassword: Boolean(passwordChangeReason),
+      passwordChangeReason,
+      twoFactorEnabled: Boolean(admin.totp_enabled),
+      mustEnrollTwoFactor: sessionAdmin.must_enroll_2fa
+    },
+    token: token,
+    refreshToken: session.refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRATION
+  });
+};
+
 // Admin login endpoint (for web dashboard)
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -49,18 +287,30 @@ router.post('/login', async (req, res) => {
 
     console.log('Admin login attempt:', email);
 
+    const normalizedEmail = email.trim().toLowerCase();
+    const lockState = await checkLockout('admin', 'email', normalizedEmail);
+    if (lockState.blocked) {
+      console.log('Admin login blocked by lockout:', normalizedEmail);
+      return accountLockedResponse(res, lockState);
+    }
+
     // Find admin in admins_tbl
     const query = `
-      SELECT id, email, password_hash, name, mobile_number, role, created_at, last_login_at
+      SELECT id, email, password_hash, name, mobile_number, role, created_at, last_login_at,
+             must_change_password, password_changed_at, totp_enabled
       FROM admins_tbl 
       WHERE email = ? 
       LIMIT 1
     `;
 
-    const results = await executeQuery(query, [email.trim().toLowerCase()]);
+    const results = await executeQuery(query, [normalizedEmail]);
 
     if (!results || results.length === 0) {
       console.log('Admin not found:', email);
+      const failure = await recordFailedAttempt('admin', 'email', normalizedEmail, { ip: req.ip });
+      if (failure.locked) {
+        return accountLockedResponse(res, failure);
+      }
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
@@ -75,59 +325,149 @@ router.post('/login', async (req, res) => {
 
     if (!isPasswordValid) {
       console.log('Invalid password for admin:', email);
+      const failure = await recordFailedAttempt('admin', 'email', normalizedEmail, {
+        ip: req.ip,
+        notifyEmail: admin.email
+      });
+      if (failure.locked) {
+        return accountLockedResponse(res, failure);
+      }
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Update last login timestamp
-    const updateLoginQuery = 'UPDATE admins_tbl SET last_login_at = NOW() WHERE id = ?';
-    await executeQuery(updateLoginQuery, [admin.id]);
+    // Admins with 2FA get a short-lived challenge instead of a session
+    if (admin.totp_enabled) {
+      const challengeToken = jwt.sign(
+        { adminId: admin.id, type: 'admin_2fa_challenge' },
+        process.env.JWT_SECRET,
+        {
+          expiresIn: TWO_FACTOR_CHALLENGE_EXPIRATION,
+          issuer: 'afppgmc-admin-web',
+          audience: 'afppgmc-admin-2fa'
+        }
+      );
 
-    // Create JWT payload
-    const jwtPayload = {
-      adminId: admin.id,
-      id: admin.id, // Add this for compatibility
-      email: admin.email,
-      name: admin.name,
-      mobileNumber: admin.mobile_number,
-      role: admin.role,
-      loginAt: new Date().toISOString(),
-      type: 'admin'
-    };
+      console.log('Admin password verified, awaiting 2FA:', admin.email);
+
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        requiresTwoFactor: true,
+        challengeToken
+      });
+    }
+
+    await completeAdminLogin(req, res, admin);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      jwtPayload, 
-      process.env.JWT_SECRET,
-      { 
-        expiresIn: process.env.JWT_EXPIRATION || '24h',
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({
+      success: false,
+      error: process.env.NODE_ENV === 'development' 
+        ? error.message 
+        : 'Internal server error'
+    });
+  }
+});
+
+// Second login step: TOTP code or recovery code
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Challenge token and a verification code are required'
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET, {
         issuer: 'afppgmc-admin-web',
-        audience: 'afppgmc-admin-panel'
-      }
+        audience: 'afppgmc-admin-2fa'
+      });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login session expired. Please sign in again.'
+      });
+    }
+
+    if (challenge.type !== 'admin_2fa_challenge') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid challenge token'
+      });
+    }
+
+    const results = await executeQuery(
+      `SELECT id, email, name, mobile_number, role, created_at, last_login_at,
+              must_change_password, password_changed_at,
+              totp_enabled, totp_secret, totp_last_used_step
+       FROM admins_tbl WHERE id = ? LIMIT 1`,
+      [challenge.adminId]
     );
 
-    console.log('Admin login successful:', admin.email, 'Role:', admin.role);
+    if (!results || results.length === 0 || !results[0].totp_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login session expired. Please sign in again.'
+      });
+    }
 
-    // Success response
-    res.json({
-      success: true,
-      message: 'Login successful',
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        name: admin.name,
-        mobileNumber: admin.mobile_number,
-        role: admin.role,
-        createdAt: admin.created_at,
-        lastLoginAt: new Date().toISOString()
-      },
-      token: token
-    });
+    const admin = results[0];
+
+    // Wrong second factors count towards the same lockout as wrong passwords
+    const lockState = await checkLockout('admin', 'email', admin.email);
+    if (lockState.blocked) {
+      return accountLockedResponse(res, lockState);
+    }
+
+    const recordSecondFactorFailure = async () => {
+      const failure = await recordFailedAttempt('admin', 'email', admin.email, {
+        ip: req.ip,
+        notifyEmail: admin.email
+      });
+      return failure.locked ? accountLockedResponse(res, failure) : null;
+    };
+
+    if (code) {
+      if (!(await verifyAdminTotp(admin, code))) {
+        console.log('Invalid 2FA code for admin:', admin.email);
+        if (await recordSecondFactorFailure()) return;
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid verification code'
+        });
+      }
+    } else {
+      const result = await executeQuery(
+        `UPDATE admin_recovery_codes SET used_at = NOW()
+         WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [admin.id, totp.hashRecoveryCode(recoveryCode)]
+      );
+
+      if (result.affectedRows === 0) {
+        console.log('Invalid recovery code for admin:', admin.email);
+        if (await recordSecondFactorFailure()) return;
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid recovery code'
+        });
+      }
+
+      console.log('Admin signed in with a recovery code:', admin.email);
+    }
+
+    await completeAdminLogin(req, res, admin);
 
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Admin 2FA login error:', error);
     res.status(500).json({
       success: false,
       error: process.env.NODE_ENV === 'development' 
@@ -137,6 +477,40 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Lift a temporary lockout with the link emailed when the account was locked
+router.post('/unlock-account', twoFactorLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unlock token is required'
+      });
+    }
+
+    const unlocked = await unlockWithToken('admin', token);
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        error: 'This unlock link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Admin unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account'
+    });
+  }
+});
+
 // Middleware to authenticate admin JWT tokens
 const authenticateAdminToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -149,7 +523,7 @@ const authenticateAdminToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, admin) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, admin) => {
     if (err) {
       console.error('Admin JWT verification error:', err.message);
       return res.status(403).json({
@@ -165,20 +539,261 @@ const authenticateAdminToken = (req, res, next) => {
       });
     }
 
+    try {
+      // Logout, account deletion or refresh-token reuse revokes the session immediately
+      if (!(await isSessionActive('admin', admin.adminId, admin.sid))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has ended. Please log in again.'
+        });
+      }
+    } catch (error) {
+      console.error('Admin session check error:', error);
+      return res.status(503).json({
+        success: false,
+        error: 'Unable to verify session'
+      });
+    }
+
+    // A pending forced/expired password change locks the admin out of everything else
+    if (admin.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        success: false,
+        error: admin.passwordChangeReason === 'expired'
+          ? 'Your password has expired. Please change it to continue.'
+          : 'You must change your password before continuing.',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    if (admin.mustEnrollTwoFactor && !TWO_FACTOR_ENROLLMENT_ALLOWED_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role. Please set it up to continue.',
+        code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+      });
+    }
+
     req.admin = admin;
     next();
   });
 };
 
-// Middleware to check if admin is Super Admin
-const requireSuperAdmin = (req, res, next) => {
-  if (req.admin.role !== 'S_ADMIN') {
-    return res.status(403).json({
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    let session;
+    try {
+      session = await rotateRefreshToken(req.body.refreshToken, 'admin', {
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    } catch (error) {
+      if (!error.code || !error.code.includes('REFRESH_TOKEN')) {
+        throw error;
+      }
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    const results = await executeQuery(
+      `SELECT id, email, name, mobile_number, role, created_at, must_change_password, password_changed_at, totp_enabled
+       FROM admins_tbl WHERE id = ? LIMIT 1`,
+      [session.subjectId]
+    );
+
+    if (!results || results.length === 0) {
+      await revokeSession(session.sessionId, 'account_unavailable');
+      return res.status(401).json({
+        success: false,
+        error: 'Admin account no longer exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: generateAdminToken(await withTwoFactorRequirement(results[0]), session.sessionId),
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRATION
+    });
+
+  } catch (error) {
+    console.error('Admin token refresh error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Super admin access required'
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+// Effective role/override access of the signed-in admin, loaded once per request
+const loadAdminAccess = async (req) => {
+  if (!req.adminAccess) {
+    req.adminAccess = await getAdminAccess(req.admin.adminId || req.admin.id);
+  }
+  return req.adminAccess;
+};
+
+// Middleware factory: requires at least one of the given capabilities (see services/adminAccess.js).
+// Must run after authenticateAdminToken.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const access = await loadAdminAccess(req);
+
+    if (!access || !permissions.some(permission => hasPermission(access, permission))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+// Middleware factory: requires access to the nav item with this path (nav_permissions.path),
+// granted by the admin's role or a per-admin override. Must run after authenticateAdminToken.
+const requireNavPermission = (path) => async (req, res, next) => {
+  try {
+    const access = await loadAdminAccess(req);
+
+    if (!access || !(await hasNavPath(access, path))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this section'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Nav permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+// Middleware to check if admin has a super role (full access)
+const requireSuperAdmin = async (req, res, next) => {
+  try {
+    const access = await loadAdminAccess(req);
+
+    if (!access || !access.isSuper) {
+      return res.status(403).json({
+        success: false,
+        error: 'Super admin access required'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Super admin check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+};
+
+// Looks up a role by code; null when it does not exist
+const findRole = async (code) => {
+  const roles = await executeQuery(
+    'SELECT id, code, name, is_super FROM admin_roles WHERE code = ? LIMIT 1',
+    [code]
+  );
+  return roles.length > 0 ? roles[0] : null;
+};
+
+// Admins may only assign a role whose whole bundle they hold themselves; super roles
+// only by super admins. Returns an error response payload, or null.
+const checkAssignableRole = async (req, role) => {
+  const access = await loadAdminAccess(req);
+  if (access.isSuper) return null;
+
+  if (role.is_super) {
+    return { status: 403, error: 'Only super admins can assign a super admin role' };
+  }
+
+  if (checkGrantable(access, await getRoleBundle(role.id))) {
+    return { status: 403, error: `You cannot assign the ${role.name} role: it includes access you do not have` };
+  }
+  return null;
+};
+
+// Only super admins may manage admins that hold a super role.
+// Returns an error response payload, or null when the change is allowed.
+const checkCanManageAdmin = async (req, targetAdminId) => {
+  const access = await loadAdminAccess(req);
+  if (access.isSuper) return null;
+
+  const targets = await executeQuery(
+    `SELECT r.is_super FROM admins_tbl a LEFT JOIN admin_roles r ON r.code = a.role WHERE a.id = ? LIMIT 1`,
+    [targetAdminId]
+  );
+
+  if (targets.length > 0 && targets[0].is_super) {
+    return { status: 403, error: 'Only super admins can manage super admin accounts' };
+  }
+  return null;
+};
+
+// Middleware factory: requires a form access flag (view/create/edit/delete) from the
+// admin's role or per-admin override.
+// On /:form_id routes the submission's form type is checked; on list routes the
+// permitted type ids are left in req.permittedFormTypeIds for filtering.
+// Must run after authenticateAdminToken.
+const requireFormPermission = (action) => async (req, res, next) => {
+  try {
+    const access = await loadAdminAccess(req);
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have permission to ${action} any form type`
+      });
+    }
+
+    const permitted = getPermittedFormTypeIds(access, action);
+
+    if (req.params.form_id !== undefined) {
+      const formId = parseInt(req.params.form_id);
+
+      // Invalid ids and missing forms are reported by the route itself
+      if (permitted !== null && !isNaN(formId)) {
+        const forms = await executeQuery(
+          'SELECT form_type_id FROM form_submission WHERE id = ? LIMIT 1',
+          [formId]
+        );
+
+        if (forms.length > 0 && !permitted.includes(forms[0].form_type_id)) {
+          return res.status(403).json({
+            success: false,
+            error: `You do not have permission to ${action} this form type`
+          });
+        }
+      }
+    } else if (permitted !== null && permitted.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have permission to ${action} any form type`
+      });
+    }
+
+    req.permittedFormTypeIds = permitted;
+    next();
+  } catch (error) {
+    console.error('Form permission check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check form permissions'
     });
   }
-  next();
 };
 
 // Get current admin profile
@@ -196,13 +811,370 @@ router.get('/profile', authenticateAdminToken, (req, res) => {
   });
 });
 
-// Get all admins (Super Admin only)
-router.get('/admins', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
+// Change own password (also clears a forced/expired password change)
+router.put('/password', authenticateAdminToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const adminId = req.admin.id || req.admin.adminId;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password and new password are required'
+      });
+    }
+
+    const policyError = validateAdminPassword(newPassword);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError.error,
+        details: policyError.details,
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    const results = await executeQuery(
+      `SELECT id, email, password_hash, name, mobile_number, role, created_at, totp_enabled
+       FROM admins_tbl WHERE id = ? LIMIT 1`,
+      [adminId]
+    );
+
+    if (!results || results.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const admin = results[0];
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, admin.password_hash);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, admin.password_hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be different from the current password',
+        code: 'PASSWORD_REUSED'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    await executeQuery(
+      `UPDATE admins_tbl
+       SET password_hash = ?, must_change_password = 0, password_changed_at = NOW()
+       WHERE id = ?`,
+      [hashedPassword, adminId]
+    );
+
+    // End every other session and hand this client a fresh one
+    await revokeAllSessions('admin', adminId, 'password_changed');
+    const session = await createSession('admin', adminId, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('Admin password changed:', admin.email);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token: generateAdminToken(
+        await withTwoFactorRequirement({ ...admin, must_change_password: 0, password_changed_at: new Date() }),
+        session.sessionId
+      ),
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRATION
+    });
+
+  } catch (error) {
+    console.error('Change admin password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+});
+
+// Loads the 2FA columns of the signed-in admin
+const getTwoFactorAdmin = async (adminId) => {
+  const results = await executeQuery(
+    `SELECT id, email, password_hash, name, mobile_number, role, created_at,
+            must_change_password, password_changed_at,
+            totp_secret, totp_enabled, totp_enabled_at, totp_last_used_step
+     FROM admins_tbl WHERE id = ? LIMIT 1`,
+    [adminId]
+  );
+  return results.length > 0 ? results[0] : null;
+};
+
+// Current 2FA state of the signed-in admin
+router.get('/2fa/status', authenticateAdminToken, async (req, res) => {
+  try {
+    const admin = await getTwoFactorAdmin(req.admin.adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    const remaining = await executeQuery(
+      'SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_id = ? AND used_at IS NULL',
+      [admin.id]
+    );
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: Boolean(admin.totp_enabled),
+        enabledAt: admin.totp_enabled_at,
+        required: await isTwoFactorRequired(admin.role),
+        recoveryCodesRemaining: remaining[0].count
+      }
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status'
+    });
+  }
+});
+
+// Start enrollment: generate a secret for the authenticator app (shown as a QR code)
+router.post('/2fa/setup', authenticateAdminToken, async (req, res) => {
+  try {
+    const admin = await getTwoFactorAdmin(req.admin.adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Stays pending until confirmed with a valid code on /2fa/enable
+    const secret = totp.generateSecret();
+    await executeQuery(
+      'UPDATE admins_tbl SET totp_secret = ?, totp_last_used_step = NULL WHERE id = ?',
+      [totp.encryptSecret(secret), admin.id]
+    );
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: totp.buildOtpAuthUri(secret, admin.email)
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+router.post('/2fa/enable', authenticateAdminToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
+      });
+    }
+
+    const admin = await getTwoFactorAdmin(req.admin.adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    if (admin.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!admin.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    if (!(await verifyAdminTotp(admin, code))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    await executeQuery(
+      'UPDATE admins_tbl SET totp_enabled = 1, totp_enabled_at = NOW() WHERE id = ?',
+      [admin.id]
+    );
+    const recoveryCodes = await issueRecoveryCodes(admin.id);
+
+    // Other sessions were opened without a second factor
+    await revokeAllSessions('admin', admin.id, '2fa_enabled');
+    const session = await createSession('admin', admin.id, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    console.log('Admin enabled 2FA:', admin.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+      token: generateAdminToken({ ...admin, totp_enabled: 1, must_enroll_2fa: false }, session.sessionId),
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRATION
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Turn 2FA off (not allowed when the admin's role requires it)
+router.post('/2fa/disable', authenticateAdminToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password and verification code are required'
+      });
+    }
+
+    const admin = await getTwoFactorAdmin(req.admin.adminId);
+    if (!admin || !admin.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await isTwoFactorRequired(admin.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role and cannot be disabled'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, admin.password_hash);
+    if (!isPasswordValid || !(await verifyAdminTotp(admin, code))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or verification code'
+      });
+    }
+
+    await executeQuery(
+      `UPDATE admins_tbl
+       SET totp_enabled = 0, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = ?`,
+      [admin.id]
+    );
+    await executeQuery('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [admin.id]);
+
+    console.log('Admin disabled 2FA:', admin.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Replace all recovery codes (old ones stop working)
+router.post('/2fa/recovery-codes', authenticateAdminToken, twoFactorLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
+      });
+    }
+
+    const admin = await getTwoFactorAdmin(req.admin.adminId);
+    if (!admin || !admin.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await verifyAdminTotp(admin, code))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(admin.id);
+
+    console.log('Admin regenerated recovery codes:', admin.email);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// Get all admins
+router.get('/admins', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
   try {
     const query = `
-      SELECT id, email, name, mobile_number, role, created_at, last_login_at
-      FROM admins_tbl 
-      ORDER BY created_at DESC
+      SELECT a.id, a.email, a.name, a.mobile_number, a.role, r.name AS role_name, a.created_at, a.last_login_at
+      FROM admins_tbl a
+      LEFT JOIN admin_roles r ON r.code = a.role
+      ORDER BY a.created_at DESC
     `;
 
     const admins = await executeQuery(query);
@@ -265,59 +1237,48 @@ router.get('/form-types', authenticateAdminToken, async (req, res) => {
 // Get current admin's permissions
 router.get('/my-permissions', authenticateAdminToken, async (req, res) => {
   try {
-    const adminId = req.admin.id || req.admin.adminId;
-    const role = req.admin.role;
-
-    // Super admins get all permissions
-    if (role === 'S_ADMIN') {
-      const navPerms = await executeQuery(
-        'SELECT id, name, path, description FROM nav_permissions'
-      );
-      
-      const formTypes = await executeQuery('SELECT id, name FROM form_type');
-      
-      const formPerms = formTypes.map(ft => ({
-        formTypeId: ft.id,
-        formTypeName: ft.name,
-        canView: true,
-        canCreate: true,
-        canEdit: true,
-        canDelete: true
-      }));
-
-      return res.json({
-        success: true,
-        data: {
-          navPermissions: navPerms,
-          formPermissions: formPerms
-        }
+    const access = await loadAdminAccess(req);
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
       });
     }
 
-    // Get regular admin permissions
-    const navPerms = await executeQuery(`
-      SELECT np.id, np.name, np.path, np.description
-      FROM nav_permissions np
-      INNER JOIN admin_nav_access ana ON np.id = ana.nav_permission_id
-      WHERE ana.admin_id = ?
-    `, [adminId]);
-
-    const formPerms = await executeQuery(`
-      SELECT 
-        afa.form_type_id as formTypeId,
-        ft.name as formTypeName,
-        afa.can_view as canView,
-        afa.can_create as canCreate,
-        afa.can_edit as canEdit,
-        afa.can_delete as canDelete
-      FROM admin_form_access afa
-      INNER JOIN form_type ft ON afa.form_type_id = ft.id
-      WHERE afa.admin_id = ?
-    `, [adminId]);
+    const allNavPerms = await executeQuery(
+      'SELECT id, name, path, description FROM nav_permissions ORDER BY name'
+    );
+    const navPerms = access.isSuper
+      ? allNavPerms
+      : allNavPerms.filter(np => access.navPermissionIds.has(np.id));
+
+    const formTypes = await executeQuery('SELECT id, name FROM form_type ORDER BY name');
+    const formPerms = formTypes
+      .map(ft => {
+        const flags = access.isSuper
+          ? { view: true, create: true, edit: true, delete: true }
+          : access.formAccess.get(ft.id);
+
+        return flags && {
+          formTypeId: ft.id,
+          formTypeName: ft.name,
+          canView: flags.view,
+          canCreate: flags.create,
+          canEdit: flags.edit,
+          canDelete: flags.delete
+        };
+      })
+      .filter(Boolean);
 
     res.json({
       success: true,
       data: {
+        role: {
+          code: access.role,
+          name: access.roleName,
+          isSuper: access.isSuper
+        },
+        permissions: access.isSuper ? Object.keys(PERMISSIONS) : [...access.permissions],
         navPermissions: navPerms,
         formPermissions: formPerms
       }
@@ -329,13 +1290,71 @@ router.get('/my-permissions', authenticateAdminToken, async (req, res) => {
       error: 'Failed to fetch permissions'
     });
   }
-});
+});
+
+// Overrides must name known capabilities, and admins can only grant what they hold themselves.
+// Denying nav items and capabilities is always allowed.
+const checkAdminOverrides = async (req, { navPermissions, formPermissions, permissionOverrides }) => {
+  for (const [field, value] of Object.entries({ navPermissions, formPermissions, permissionOverrides })) {
+    if (value !== undefined && !Array.isArray(value)) {
+      return { status: 400, error: `${field} must be an array` };
+    }
+  }
+  if ((formPermissions || []).some(fp => !fp || isNaN(parseInt(fp.formTypeId)))) {
+    return { status: 400, error: 'Each formPermissions entry needs a formTypeId' };
+  }
+
+  for (const override of permissionOverrides || []) {
+    if (!override || !PERMISSIONS[override.permission]) {
+      return { status: 400, error: `Unknown permission: ${override && override.permission}` };
+    }
+  }
+
+  return checkGrantable(await loadAdminAccess(req), {
+    permissions: (permissionOverrides || [])
+      .filter(override => override.allowed !== false)
+      .map(override => override.permission),
+    navPermissionIds: (navPermissions || [])
+      .filter(nav => typeof nav !== 'object' || (nav && nav.allowed !== false))
+      .map(nav => (typeof nav === 'object' ? nav.navPermissionId : nav)),
+    formPermissions
+  });
+};
+
+// Insert per-admin overrides inside an open transaction.
+// navPermissions accepts nav ids (granted) or { navPermissionId, allowed } objects;
+// each formPermissions entry replaces the role's flags for that form type.
+const writeAdminOverrides = async (connection, adminId, { navPermissions, formPermissions, permissionOverrides }) => {
+  for (const nav of navPermissions || []) {
+    const navId = typeof nav === 'object' ? nav.navPermissionId : nav;
+    const allowed = typeof nav === 'object' ? nav.allowed !== false : true;
+    await connection.execute(
+      'INSERT INTO admin_nav_access (admin_id, nav_permission_id, allowed) VALUES (?, ?, ?)',
+      [adminId, parseInt(navId), allowed ? 1 : 0]
+    );
+  }
 
-// Create new admin with permissions (Super Admin only)
-router.post('/create-admin', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
-  let connection;
+  for (const fp of formPermissions || []) {
+    await connection.execute(
+      `INSERT INTO admin_form_access 
+       (admin_id, form_type_id, can_view, can_create, can_edit, can_delete) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [adminId, parseInt(fp.formTypeId), fp.canView ? 1 : 0, fp.canCreate ? 1 : 0, fp.canEdit ? 1 : 0, fp.canDelete ? 1 : 0]
+    );
+  }
+
+  for (const override of permissionOverrides || []) {
+    await connection.execute(
+      'INSERT INTO admin_permission_overrides (admin_id, permission, allowed) VALUES (?, ?, ?)',
+      [adminId, override.permission, override.allowed === false ? 0 : 1]
+    );
+  }
+};
+
+// Create new admin with permissions
+router.post('/create-admin', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
   try {
-    const { email, password, name, mobileNumber, role, navPermissions, formPermissions } = req.body;
+    const { email, password, name, mobileNumber, role, navPermissions, formPermissions, permissionOverrides } = req.body;
 
     // Validate input
     if (!email || !password || !name) {
@@ -345,63 +1364,72 @@ router.post('/create-admin', authenticateAdminToken, requireSuperAdmin, async (r
       });
     }
 
-    connection = await getDbConnection();
-    await connection.beginTransaction();
-
-    // Check if admin already exists
-    const [existingAdmin] = await connection.execute(
-      'SELECT id FROM admins_tbl WHERE email = ?',
-      [email.trim().toLowerCase()]
-    );
+    const policyError = validateAdminPassword(password);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError.error,
+        details: policyError.details,
+        code: 'WEAK_PASSWORD'
+      });
+    }
 
-    if (existingAdmin && existingAdmin.length > 0) {
-      await connection.rollback();
-      return res.status(409).json({
+    const assignedRole = await findRole(role || 'ADMIN');
+    if (!assignedRole) {
+      return res.status(400).json({
         success: false,
-        error: 'Admin with this email already exists'
+        error: 'Unknown role'
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+    const roleError = await checkAssignableRole(req, assignedRole);
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, error: roleError.error });
+    }
 
-    // Insert new admin
-    const [adminResult] = await connection.execute(
-      `INSERT INTO admins_tbl (email, password_hash, name, mobile_number, role, created_at)
-       VALUES (?, ?, ?, ?, ?, NOW())`,
-      [
-        email.trim().toLowerCase(),
-        hashedPassword,
-        name.trim(),
-        mobileNumber || null,
-        role || 'ADMIN'
-      ]
-    );
+    const overrideError = await checkAdminOverrides(req, { navPermissions, formPermissions, permissionOverrides });
+    if (overrideError) {
+      return res.status(overrideError.status).json({ success: false, error: overrideError.error });
+    }
 
-    const newAdminId = adminResult.insertId;
+    const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Insert navigation permissions
-    if (navPermissions && navPermissions.length > 0) {
-      const navValues = navPermissions.map(navId => `(${newAdminId}, ${navId})`).join(',');
-      await connection.execute(
-        `INSERT INTO admin_nav_access (admin_id, nav_permission_id) VALUES ${navValues}`
+    // Null when an admin with this email already exists
+    const newAdminId = await withTransaction(async (connection) => {
+      const [existingAdmin] = await connection.execute(
+        'SELECT id FROM admins_tbl WHERE email = ?',
+        [email.trim().toLowerCase()]
       );
-    }
 
-    // Insert form permissions
-    if (formPermissions && formPermissions.length > 0) {
-      const formValues = formPermissions.map(fp => 
-        `(${newAdminId}, ${fp.formTypeId}, ${fp.canView ? 1 : 0}, ${fp.canCreate ? 1 : 0}, ${fp.canEdit ? 1 : 0}, ${fp.canDelete ? 1 : 0})`
-      ).join(',');
-      
-      await connection.execute(
-        `INSERT INTO admin_form_access 
-         (admin_id, form_type_id, can_view, can_create, can_edit, can_delete) 
-         VALUES ${formValues}`
+      if (existingAdmin.length > 0) {
+        return null;
+      }
+
+      // Insert new admin (the initial password was chosen by someone else, so it must be changed)
+      const [adminResult] = await connection.execute(
+        `INSERT INTO admins_tbl (email, password_hash, name, mobile_number, role, must_change_password, password_changed_at, created_at)
+         VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())`,
+        [
+          email.trim().toLowerCase(),
+          hashedPassword,
+          name.trim(),
+          mobileNumber || null,
+          assignedRole.code
+        ]
       );
-    }
 
-    await connection.commit();
+      // Per-admin overrides on top of the role bundle
+      await writeAdminOverrides(connection, adminResult.insertId, { navPermissions, formPermissions, permissionOverrides });
+
+      return adminResult.insertId;
+    });
+
+    if (!newAdminId) {
+      return res.status(409).json({
+        success: false,
+        error: 'Admin with this email already exists'
+      });
+    }
 
     console.log('New admin created by:', req.admin.email, 'New admin:', email);
 
@@ -413,14 +1441,11 @@ router.post('/create-admin', authenticateAdminToken, requireSuperAdmin, async (r
         email: email.trim().toLowerCase(),
         name: name.trim(),
         mobileNumber: mobileNumber || null,
-        role: role || 'ADMIN'
+        role: assignedRole.code
       }
     });
 
   } catch (error) {
-    if (connection) {
-      await connection.rollback();
-    }
     console.error('Create admin error:', error);
     
     if (error.code === 'ER_DUP_ENTRY') {
@@ -434,22 +1459,20 @@ router.post('/create-admin', authenticateAdminToken, requireSuperAdmin, async (r
         error: 'Failed to create admin account'
       });
     }
-  } finally {
-    if (connection) {
-      await connection.end();
-    }
   }
 });
 
 // Get admin details with permissions
-router.get('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
+router.get('/admin/:id', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
   try {
     const adminId = req.params.id;
 
     // Get admin basic info
     const admins = await executeQuery(
-      `SELECT id, email, name, mobile_number, role, created_at, last_login_at 
-       FROM admins_tbl WHERE id = ?`,
+      `SELECT a.id, a.email, a.name, a.mobile_number, a.role, r.name AS role_name, a.created_at, a.last_login_at 
+       FROM admins_tbl a
+       LEFT JOIN admin_roles r ON r.code = a.role
+       WHERE a.id = ?`,
       [adminId]
     );
 
@@ -464,7 +1487,12 @@ router.get('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (req,
 
     // Get navigation permissions
     const navPerms = await executeQuery(
-      `SELECT nav_permission_id FROM admin_nav_access WHERE admin_id = ?`,
+      `SELECT nav_permission_id, allowed FROM admin_nav_access WHERE admin_id = ?`,
+      [adminId]
+    );
+
+    const permissionOverrides = await executeQuery(
+      `SELECT permission, allowed FROM admin_permission_overrides WHERE admin_id = ?`,
       [adminId]
     );
 
@@ -479,8 +1507,10 @@ router.get('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (req,
       success: true,
       data: {
         ...admin,
-        navPermissions: navPerms.map(p => p.nav_permission_id),
-        formPermissions: formPerms
+        navPermissions: navPerms.filter(p => p.allowed).map(p => p.nav_permission_id),
+        hiddenNavPermissions: navPerms.filter(p => !p.allowed).map(p => p.nav_permission_id),
+        formPermissions: formPerms,
+        permissionOverrides: permissionOverrides.map(o => ({ permission: o.permission, allowed: Boolean(o.allowed) }))
       }
     });
 
@@ -493,40 +1523,39 @@ router.get('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (req,
   }
 });
 
-// Update admin permissions
-router.put('/admin/:id/permissions', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
+// Update an admin's per-admin overrides (nav items, form access, capabilities)
+router.put('/admin/:id/permissions', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
   let connection;
   try {
-    const adminId = req.params.id;
-    const { navPermissions, formPermissions } = req.body;
+    const adminId = parseInt(req.params.id);
+    const { navPermissions, formPermissions, permissionOverrides } = req.body;
+
+    if (adminId === (req.admin.id || req.admin.adminId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own permissions'
+      });
+    }
+
+    const forbidden = await checkCanManageAdmin(req, adminId);
+    if (forbidden) {
+      return res.status(forbidden.status).json({ success: false, error: forbidden.error });
+    }
+
+    const overrideError = await checkAdminOverrides(req, { navPermissions, formPermissions, permissionOverrides });
+    if (overrideError) {
+      return res.status(overrideError.status).json({ success: false, error: overrideError.error });
+    }
 
     connection = await getDbConnection();
     await connection.beginTransaction();
 
-    // Delete existing permissions
+    // Delete existing overrides
     await connection.execute('DELETE FROM admin_nav_access WHERE admin_id = ?', [adminId]);
     await connection.execute('DELETE FROM admin_form_access WHERE admin_id = ?', [adminId]);
+    await connection.execute('DELETE FROM admin_permission_overrides WHERE admin_id = ?', [adminId]);
 
-    // Insert new navigation permissions
-    if (navPermissions && navPermissions.length > 0) {
-      const navValues = navPermissions.map(navId => `(${adminId}, ${navId})`).join(',');
-      await connection.execute(
-        `INSERT INTO admin_nav_access (admin_id, nav_permission_id) VALUES ${navValues}`
-      );
-    }
-
-    // Insert new form permissions
-    if (formPermissions && formPermissions.length > 0) {
-      const formValues = formPermissions.map(fp => 
-        `(${adminId}, ${fp.formTypeId}, ${fp.canView ? 1 : 0}, ${fp.canCreate ? 1 : 0}, ${fp.canEdit ? 1 : 0}, ${fp.canDelete ? 1 : 0})`
-      ).join(',');
-      
-      await connection.execute(
-        `INSERT INTO admin_form_access 
-         (admin_id, form_type_id, can_view, can_create, can_edit, can_delete) 
-         VALUES ${formValues}`
-      );
-    }
+    await writeAdminOverrides(connection, adminId, { navPermissions, formPermissions, permissionOverrides });
 
     await connection.commit();
 
@@ -551,8 +1580,312 @@ router.put('/admin/:id/permissions', authenticateAdminToken, requireSuperAdmin,
   }
 });
 
+// Assign a role to an admin
+router.put('/admin/:id/role', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (adminId === (req.admin.id || req.admin.adminId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const forbidden = await checkCanManageAdmin(req, adminId);
+    if (forbidden) {
+      return res.status(forbidden.status).json({ success: false, error: forbidden.error });
+    }
+
+    const assignedRole = role ? await findRole(role) : null;
+    if (!assignedRole) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown role'
+      });
+    }
+
+    const roleError = await checkAssignableRole(req, assignedRole);
+    if (roleError) {
+      return res.status(roleError.status).json({ success: false, error: roleError.error });
+    }
+
+    const result = await executeQuery('UPDATE admins_tbl SET role = ? WHERE id = ?', [assignedRole.code, adminId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    // The role is carried in the access token, so make the admin sign in again
+    await revokeAllSessions('admin', adminId, 'role_changed');
+
+    console.log('Admin role changed by:', req.admin.email, 'Target admin id:', adminId, 'Role:', assignedRole.code);
+
+    res.json({
+      success: true,
+      message: `Role changed to ${assignedRole.name}`
+    });
+
+  } catch (error) {
+    console.error('Change admin role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change admin role'
+    });
+  }
+});
+
+// Reset another admin's password
+router.post('/admin/:id/reset-password', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+
+    if (adminId === (req.admin.id || req.admin.adminId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use the change password screen to update your own password'
+      });
+    }
+
+    const forbidden = await checkCanManageAdmin(req, adminId);
+    if (forbidden) {
+      return res.status(forbidden.status).json({ success: false, error: forbidden.error });
+    }
+
+    const { temporaryPassword } = req.body;
+    const newPassword = temporaryPassword || generateTemporaryPassword();
+
+    const policyError = validateAdminPassword(newPassword);
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        error: policyError.error,
+        details: policyError.details,
+        code: 'WEAK_PASSWORD'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    const result = await executeQuery(
+      `UPDATE admins_tbl
+       SET password_hash = ?, must_change_password = 1, password_changed_at = NOW()
+       WHERE id = ?`,
+      [hashedPassword, adminId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    // Existing sessions were opened with the old password
+    await revokeAllSessions('admin', adminId, 'password_reset');
+
+    console.log('Admin password reset by:', req.admin.email, 'Target admin id:', adminId);
+
+    res.json({
+      success: true,
+      message: 'Password reset. The admin must change it at next login.',
+      // Only echoed back when generated here; it is not stored anywhere in plain text
+      ...(!temporaryPassword && { temporaryPassword: newPassword })
+    });
+
+  } catch (error) {
+    console.error('Reset admin password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset admin password'
+    });
+  }
+});
+
+// Get the 2FA requirement per role
+router.get('/2fa/policy', authenticateAdminToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const policies = await executeQuery(
+      `SELECT r.code AS role, r.name AS role_name, p.require_2fa, p.updated_by, p.updated_at
+       FROM admin_roles r
+       LEFT JOIN admin_2fa_policy p ON p.role = r.code
+       ORDER BY r.name`
+    );
+
+    res.json({
+      success: true,
+      policies: policies.map(policy => ({
+        role: policy.role,
+        roleName: policy.role_name,
+        required: Boolean(policy.require_2fa),
+        updatedBy: policy.updated_by,
+        updatedAt: policy.updated_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor policy'
+    });
+  }
+});
+
+// Make 2FA mandatory or optional for a role.
+// Admins of that role without 2FA are sent to enrollment on their next token.
+router.put('/2fa/policy', authenticateAdminToken, requirePermission('security.manage'), async (req, res) => {
+  try {
+    const { role, required } = req.body;
+
+    if (!role || typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Role is required and required must be true or false'
+      });
+    }
+
+    if (!(await findRole(role))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown role'
+      });
+    }
+
+    await executeQuery(
+      `INSERT INTO admin_2fa_policy (role, require_2fa, updated_by, updated_at)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE require_2fa = VALUES(require_2fa), updated_by = VALUES(updated_by), updated_at = NOW()`,
+      [role, required ? 1 : 0, req.admin.adminId]
+    );
+
+    console.log('2FA policy updated by:', req.admin.email, 'Role:', role, 'Required:', required);
+
+    res.json({
+      success: true,
+      message: `Two-factor authentication is now ${required ? 'required' : 'optional'} for ${role}`
+    });
+
+  } catch (error) {
+    console.error('Update 2FA policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update two-factor policy'
+    });
+  }
+});
+
+// Reset another admin's 2FA, e.g. after a lost phone
+router.post('/admin/:id/2fa/reset', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
+  try {
+    const adminId = parseInt(req.params.id);
+
+    if (adminId === req.admin.adminId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Use your recovery codes to regain access to your own account'
+      });
+    }
+
+    const forbidden = await checkCanManageAdmin(req, adminId);
+    if (forbidden) {
+      return res.status(forbidden.status).json({ success: false, error: forbidden.error });
+    }
+
+    const result = await executeQuery(
+      `UPDATE admins_tbl
+       SET totp_enabled = 0, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = ?`,
+      [adminId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    await executeQuery('DELETE FROM admin_recovery_codes WHERE admin_id = ?', [adminId]);
+    await revokeAllSessions('admin', adminId, '2fa_reset');
+
+    console.log('Admin 2FA reset by:', req.admin.email, 'Target admin id:', adminId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset. The admin must enroll again if their role requires it.'
+    });
+
+  } catch (error) {
+    console.error('Reset admin 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+// List pensioner and admin accounts that are currently locked out
+router.get('/locked-accounts', authenticateAdminToken, requirePermission('accounts.unlock'), async (req, res) => {
+  try {
+    const { subjectType } = req.query;
+
+    if (subjectType && !['pensioner', 'admin'].includes(subjectType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectType must be pensioner or admin'
+      });
+    }
+
+    const accounts = await listLockedAccounts(subjectType);
+
+    res.json({
+      success: true,
+      accounts
+    });
+
+  } catch (error) {
+    console.error('Get locked accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get locked accounts'
+    });
+  }
+});
+
+// Unlock a locked account
+router.post('/locked-accounts/:id/unlock', authenticateAdminToken, requirePermission('accounts.unlock'), async (req, res) => {
+  try {
+    const unlocked = await unlockAccount(parseInt(req.params.id), req.admin.adminId);
+
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Locked account not found'
+      });
+    }
+
+    console.log('Account unlocked by:', req.admin.email, 'Lockout id:', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account'
+    });
+  }
+});
+
 // Delete admin
-router.delete('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
+router.delete('/admin/:id', authenticateAdminToken, requirePermission('admins.manage'), async (req, res) => {
   try {
     const adminId = req.params.id;
     
@@ -564,8 +1897,14 @@ router.delete('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (re
       });
     }
 
+    const forbidden = await checkCanManageAdmin(req, adminId);
+    if (forbidden) {
+      return res.status(forbidden.status).json({ success: false, error: forbidden.error });
+    }
+
     // Delete admin (cascade will handle permissions)
     await executeQuery('DELETE FROM admins_tbl WHERE id = ?', [adminId]);
+    await revokeAllSessions('admin', adminId, 'admin_deleted');
 
     res.json({ 
       success: true, 
@@ -581,25 +1920,37 @@ router.delete('/admin/:id', authenticateAdminToken, requireSuperAdmin, async (re
   }
 });
 
-// Get admin statistics (Super Admin only)
-router.get('/stats', authenticateAdminToken, requireSuperAdmin, async (req, res) => {
+// Get admin statistics
+router.get('/stats', authenticateAdminToken, requirePermission('stats.view'), async (req, res) => {
   try {
     const queries = [
       'SELECT COUNT(*) as totalAdmins FROM admins_tbl',
       'SELECT COUNT(*) as activeAdmins FROM admins_tbl WHERE last_login_at IS NOT NULL',
-      `SELECT COUNT(*) as superAdmins FROM admins_tbl WHERE role = 'S_ADMIN'`,
-      `SELECT COUNT(*) as regularAdmins FROM admins_tbl WHERE role = 'ADMIN'`
+      `SELECT r.code, r.name, r.is_super, COUNT(a.id) as count
+       FROM admin_roles r
+       LEFT JOIN admins_tbl a ON a.role = r.code
+       GROUP BY r.id, r.code, r.name, r.is_super
+       ORDER BY r.name`
     ];
 
-    const [totalResult, activeResult, superResult, regularResult] = await Promise.all(
+    const [totalResult, activeResult, roleResult] = await Promise.all(
       queries.map(query => executeQuery(query))
     );
 
+    const superAdmins = roleResult
+      .filter(role => role.is_super)
+      .reduce((sum, role) => sum + Number(role.count), 0);
+
     const stats = {
       totalAdmins: totalResult[0].totalAdmins,
       activeAdmins: activeResult[0].activeAdmins,
-      superAdmins: superResult[0].superAdmins,
-      regularAdmins: regularResult[0].regularAdmins,
+      superAdmins,
+      regularAdmins: totalResult[0].totalAdmins - superAdmins,
+      byRole: roleResult.map(role => ({
+        role: role.code,
+        name: role.name,
+        count: Number(role.count)
+      })),
       lastUpdated: new Date().toISOString()
     };
 
@@ -617,13 +1968,22 @@ router.get('/stats', authenticateAdminToken, requireSuperAdmin, async (req, res)
   }
 });
 
-// Admin logout (optional - mainly for logging)
-router.post('/logout', authenticateAdminToken, (req, res) => {
-  console.log('Admin logout:', req.admin.email);
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Admin logout - revokes the current session and its refresh token
+router.post('/logout', authenticateAdminToken, async (req, res) => {
+  try {
+    await revokeSession(req.admin.sid, 'logout');
+    console.log('Admin logout:', req.admin.email);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
 });
 
 router.get("/verify", authenticateAdminToken, (req, res) => {
@@ -636,7 +1996,10 @@ router.get("/verify", authenticateAdminToken, (req, res) => {
       name: req.admin.name,
       mobileNumber: req.admin.mobileNumber,
       role: req.admin.role,
-      loginAt: req.admin.loginAt
+      loginAt: req.admin.loginAt,
+      mustChangePassword: Boolean(req.admin.mustChangePassword),
+      passwordChangeReason: req.admin.passwordChangeReason || null,
+      mustEnrollTwoFactor: Boolean(req.admin.mustEnrollTwoFactor)
     }
   });
 });
@@ -644,5 +2007,8 @@ router.get("/verify", authenticateAdminToken, (req, res) => {
 module.exports = {
   router,
   authenticateAdminToken,
-  requireSuperAdmin
+  requireSuperAdmin,
+  requirePermission,
+  requireNavPermission,
+  requireFormPermission
 };
\ No newline at end of file
@@ -1,7 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const { getPool } = require('../config/database');
-const { authenticateAdminToken, requireSuperAdmin } = require('./admin'); 
+const { getPool, executeQuery, withTransaction } = require('../config/database');
+const { authenticateAdminToken, requirePermission, requireFormPermission } = require('./admin'); 
+const { getActiveFormType, requirementsFor } = require('../services/formTypes');
+const {
+  validateCorrectionComments,
+  returnForCorrection,
+  getCorrectionRounds,
+  notifyReturned
+} = require('../services/formCorrections');
+const {
+  STAGE_ACTIONS,
+  listStages,
+  validateStages,
+  saveStages,
+  currentStage,
+  getStageActions,
+  checkStageAction,
+  performStageAction
+} = require('../services/formWorkflow');
+const {
+  FORM_STATUSES,
+  isReversal,
+  checkTransition,
+  formEtag,
+  checkVersion
+} = require('../services/formStatus');
+const { auditContext, changedValues, recordFormHistory } = require('../services/formAudit');
 
 const SORT_COLUMN_MAP = {
   'id': 'fs.id',
@@ -12,24 +37,108 @@ const SORT_COLUMN_MAP = {
 };
 router.use(authenticateAdminToken);
 
+// Result of a withTransaction callback that answers the request without committing a change
+const rejection = (status, body) => ({ rejected: true, status, body });
+
+// Restricts a list query to the form types left by requireFormPermission. History logs
+// pass hl.form_type_id, which is kept for forms that have since been deleted.
+const addFormTypeFilter = (req, whereConditions, queryParams, column = 'fs.form_type_id') => {
+  if (req.permittedFormTypeIds) {
+    whereConditions.push(`${column} IN (${req.permittedFormTypeIds.map(() => '?').join(',')})`);
+    queryParams.push(...req.permittedFormTypeIds);
+  }
+};
+
+// ==================== REVIEW WORKFLOW ROUTES ====================
+
+// GET the review stages of a form type (empty: single-step review)
+router.get('/workflows/:form_type_id', async (req, res) => {
+  try {
+    const formTypeId = parseInt(req.params.form_type_id);
+    if (isNaN(formTypeId)) {
+      return res.status(400).json({ success: false, error: 'Invalid form type ID' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        form_type_id: formTypeId,
+        stages: await listStages(formTypeId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review workflow:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch review workflow' });
+  }
+});
+
+// PUT - Replace the review stages of a form type, in order.
+// Body: { stages: [{ code, name, permission, requires_distinct_admin }] }
+router.put('/workflows/:form_type_id', requirePermission('forms.workflow.manage'), async (req, res) => {
+  try {
+    const formTypeId = parseInt(req.params.form_type_id);
+    const { stages } = req.body;
+
+    if (isNaN(formTypeId)) {
+      return res.status(400).json({ success: false, error: 'Invalid form type ID' });
+    }
+
+    const stagesError = validateStages(stages);
+    if (stagesError) {
+      return res.status(400).json({ success: false, error: stagesError });
+    }
+
+    const formTypes = await executeQuery('SELECT id FROM form_type WHERE id = ?', [formTypeId]);
+    if (formTypes.length === 0) {
+      return res.status(404).json({ success: false, error: 'Form type not found' });
+    }
+
+    const saveError = await withTransaction(conn => saveStages(conn, formTypeId, stages));
+    if (saveError) {
+      return res.status(409).json({ success: false, error: saveError });
+    }
+
+    console.log(`Review workflow of form type ${formTypeId} set to ${stages.length} stages by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: stages.length > 0 ? 'Review workflow updated' : 'Review workflow removed',
+      data: {
+        form_type_id: formTypeId,
+        stages: await listStages(formTypeId)
+      }
+    });
+  } catch (error) {
+    console.error('Error updating review workflow:', error);
+    res.status(500).json({ success: false, error: 'Failed to update review workflow' });
+  }
+});
+
 // ==================== HISTORY LOGS ROUTES ====================
 
 // GET history logs statistics
-router.get('/history-logs/stats', async (req, res) => {
+router.get('/history-logs/stats', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
 
+    const whereConditions = [];
+    const queryParams = [];
+    addFormTypeFilter(req, whereConditions, queryParams, 'hl.form_type_id');
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
     const [stats] = await pool.execute(`
       SELECT 
         COUNT(*) as totalLogs,
         COUNT(CASE WHEN status = 'p' THEN 1 END) as pendingActions,
         COUNT(CASE WHEN status = 'a' THEN 1 END) as approvedActions,
         COUNT(CASE WHEN status = 'd' THEN 1 END) as deniedActions,
+        COUNT(CASE WHEN status = 'r' THEN 1 END) as returnedActions,
         COUNT(CASE WHEN status = 'n' THEN 1 END) as noteActions,
         COUNT(CASE WHEN action_date >= DATE_SUB(NOW(), INTERVAL 24 HOUR) THEN 1 END) as recentActions,
         COUNT(CASE WHEN action_date >= DATE_SUB(NOW(), INTERVAL 7 DAY) THEN 1 END) as weekActions
-      FROM history_logs
-    `);
+      FROM history_logs hl
+      ${whereClause}
+    `, queryParams);
 
     // Get most active admins
     const [activeAdmins] = await pool.execute(`
@@ -40,10 +149,11 @@ router.get('/history-logs/stats', async (req, res) => {
         COUNT(hl.id) as action_count
       FROM history_logs hl
       JOIN admins_tbl a ON hl.action_by = a.id
+      ${whereClause}
       GROUP BY a.id, a.name, a.email
       ORDER BY action_count DESC
       LIMIT 5
-    `);
+    `, queryParams);
 
     // Get recent activity trend (last 7 days)
     const [trend] = await pool.execute(`
@@ -53,11 +163,11 @@ router.get('/history-logs/stats', async (req, res) => {
         COUNT(CASE WHEN status = 'a' THEN 1 END) as approved,
         COUNT(CASE WHEN status = 'd' THEN 1 END) as denied,
         COUNT(CASE WHEN status = 'n' THEN 1 END) as notes
-      FROM history_logs
-      WHERE action_date >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+      FROM history_logs hl
+      WHERE ${['hl.action_date >= DATE_SUB(NOW(), INTERVAL 7 DAY)', ...whereConditions].join(' AND ')}
       GROUP BY DATE(action_date)
       ORDER BY date DESC
-    `);
+    `, queryParams);
 
     res.json({
       success: true,
@@ -78,7 +188,7 @@ router.get('/history-logs/stats', async (req, res) => {
 });
 
 // GET history logs for a specific form
-router.get('/history-logs/form/:form_id', async (req, res) => {
+router.get('/history-logs/form/:form_id', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { form_id } = req.params;
@@ -92,22 +202,33 @@ router.get('/history-logs/form/:form_id', async (req, res) => {
 
     const formId = parseInt(form_id);
 
+    // Also covers deleted forms, which requireFormPermission cannot look up
+    const whereConditions = ['hl.form_submission_id = ?'];
+    const queryParams = [formId];
+    addFormTypeFilter(req, whereConditions, queryParams, 'hl.form_type_id');
+
     const [logs] = await pool.execute(`
       SELECT 
         hl.id,
         hl.form_submission_id,
         hl.action_by,
         hl.status,
+        hl.action,
+        hl.actor_user_id,
         hl.remarks,
+        hl.old_values,
+        hl.new_values,
+        hl.ip_address,
+        hl.user_agent,
         hl.action_date,
         a.name as admin_name,
         a.email as admin_email,
         a.role as admin_role
       FROM history_logs hl
       LEFT JOIN admins_tbl a ON hl.action_by = a.id
-      WHERE hl.form_submission_id = ?
+      WHERE ${whereConditions.join(' AND ')}
       ORDER BY hl.action_date DESC
-    `, [formId]);
+    `, queryParams);
 
     res.json({
       success: true,
@@ -128,7 +249,7 @@ router.get('/history-logs/form/:form_id', async (req, res) => {
 });
 
 // GET history logs by a specific admin
-router.get('/history-logs/admin/:admin_id', async (req, res) => {
+router.get('/history-logs/admin/:admin_id', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { admin_id } = req.params;
@@ -142,12 +263,18 @@ router.get('/history-logs/admin/:admin_id', async (req, res) => {
 
     const adminId = parseInt(admin_id);
 
+    const whereConditions = ['hl.action_by = ?'];
+    const queryParams = [adminId];
+    addFormTypeFilter(req, whereConditions, queryParams, 'hl.form_type_id');
+
     const [logs] = await pool.execute(`
       SELECT 
         hl.id,
         hl.form_submission_id,
         hl.action_by,
         hl.status,
+        hl.action,
+        hl.actor_user_id,
         hl.remarks,
         hl.action_date,
         ft.name as form_type_name,
@@ -157,9 +284,9 @@ router.get('/history-logs/admin/:admin_id', async (req, res) => {
       LEFT JOIN form_submission fs ON hl.form_submission_id = fs.id
       LEFT JOIN form_type ft ON fs.form_type_id = ft.id
       LEFT JOIN users_tbl u ON fs.user_id = u.id
-      WHERE hl.action_by = ?
+      WHERE ${whereConditions.join(' AND ')}
       ORDER BY hl.action_date DESC
-    `, [adminId]);
+    `, queryParams);
 
     // Get admin info
     const [adminInfo] = await pool.execute(
@@ -193,13 +320,14 @@ router.get('/history-logs/admin/:admin_id', async (req, res) => {
 });
 
 // GET all history logs with pagination and filtering
-router.get('/history-logs', async (req, res) => {
+router.get('/history-logs', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const {
       page = 1,
       limit = 50,
       status,
+      action,
       search,
       form_id,
       admin_id,
@@ -215,11 +343,16 @@ router.get('/history-logs', async (req, res) => {
     let whereConditions = [];
     let queryParams = [];
 
-    if (status && ['p', 'a', 'd', 'n'].includes(status)) {
+    if (status && ['p', 'a', 'd', 'n', 'r'].includes(status)) {
       whereConditions.push('hl.status = ?');
       queryParams.push(status);
     }
 
+    if (action && typeof action === 'string') {
+      whereConditions.push('hl.action = ?');
+      queryParams.push(action);
+    }
+
     if (form_id && !isNaN(parseInt(form_id, 10))) {
       whereConditions.push('hl.form_submission_id = ?');
       queryParams.push(parseInt(form_id, 10));
@@ -230,6 +363,8 @@ router.get('/history-logs', async (req, res) => {
       queryParams.push(parseInt(admin_id, 10));
     }
 
+    addFormTypeFilter(req, whereConditions, queryParams, 'hl.form_type_id');
+
     if (search && search.trim()) {
       whereConditions.push(`(
         hl.remarks LIKE ? OR 
@@ -276,6 +411,8 @@ router.get('/history-logs', async (req, res) => {
         hl.form_submission_id,
         hl.action_by,
         hl.status,
+        hl.action,
+        hl.actor_user_id,
         hl.remarks,
         hl.action_date,
         a.name as admin_name,
@@ -326,7 +463,7 @@ router.get('/history-logs', async (req, res) => {
 });
 
 // GET specific history log details
-router.get('/history-logs/:log_id', async (req, res) => {
+router.get('/history-logs/:log_id', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { log_id } = req.params;
@@ -340,13 +477,24 @@ router.get('/history-logs/:log_id', async (req, res) => {
 
     const logId = parseInt(log_id);
 
+    // A log of a form type the admin cannot view is reported as not found
+    const whereConditions = ['hl.id = ?'];
+    const queryParams = [logId];
+    addFormTypeFilter(req, whereConditions, queryParams, 'hl.form_type_id');
+
     const [logs] = await pool.execute(`
       SELECT 
         hl.id,
         hl.form_submission_id,
         hl.action_by,
         hl.status,
+        hl.action,
+        hl.actor_user_id,
         hl.remarks,
+        hl.old_values,
+        hl.new_values,
+        hl.ip_address,
+        hl.user_agent,
         hl.action_date,
         a.name as admin_name,
         a.email as admin_email,
@@ -365,8 +513,8 @@ router.get('/history-logs/:log_id', async (req, res) => {
       LEFT JOIN users_tbl u ON fs.user_id = u.id
       LEFT JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
       LEFT JOIN test_table t ON p.hero_ndx = t.NDX
-      WHERE hl.id = ?
-    `, [logId]);
+      WHERE ${whereConditions.join(' AND ')}
+    `, queryParams);
 
     if (logs.length === 0) {
       return res.status(404).json({
@@ -390,7 +538,7 @@ router.get('/history-logs/:log_id', async (req, res) => {
 });
 
 // DELETE - Delete a history log (Super Admin only)
-router.delete('/history-logs/:log_id', requireSuperAdmin, async (req, res) => {
+router.delete('/history-logs/:log_id', requirePermission('history.delete'), async (req, res) => {
   try {
     const pool = getPool();
     const { log_id } = req.params;
@@ -438,9 +586,14 @@ router.delete('/history-logs/:log_id', requireSuperAdmin, async (req, res) => {
 
 // ==================== FORM SUBMISSION ROUTES ====================
 
-router.get('/', async (req, res) => {
+router.get('/', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
+
+    const whereConditions = [];
+    const queryParams = [];
+    addFormTypeFilter(req, whereConditions, queryParams);
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
     
     const [rows] = await pool.execute(`
       SELECT 
@@ -471,9 +624,10 @@ router.get('/', async (req, res) => {
       JOIN users_tbl u ON fs.user_id = u.id
       LEFT JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
       LEFT JOIN test_table t ON p.hero_ndx = t.NDX
+      ${whereClause}
       ORDER BY fs.submitted_at DESC
       LIMIT 10
-    `);
+    `, queryParams);
 
     res.json({ 
       success: true, 
@@ -490,7 +644,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/paginated', async (req, res) => {
+router.get('/paginated', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const {
@@ -510,7 +664,7 @@ router.get('/paginated', async (req, res) => {
     let whereConditions = [];
     let queryParams = [];
 
-    if (status && ['p', 'a', 'd'].includes(status)) {
+    if (status && ['p', 'a', 'd', 'r'].includes(status)) {
       whereConditions.push('fs.status = ?');
       queryParams.push(status);
     }
@@ -532,6 +686,8 @@ router.get('/paginated', async (req, res) => {
       queryParams.push(searchParam, searchParam, searchParam, searchParam, searchParam);
     }
 
+    addFormTypeFilter(req, whereConditions, queryParams);
+
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     const sortColumn = SORT_COLUMN_MAP[sort_by] || SORT_COLUMN_MAP['submitted_at'];
@@ -609,7 +765,7 @@ router.get('/paginated', async (req, res) => {
   }
 });
 
-router.get('/export/bulk', async (req, res) => {
+router.get('/export/bulk', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { status, location_status, form_type } = req.query;
@@ -632,6 +788,8 @@ router.get('/export/bulk', async (req, res) => {
       queryParams.push(form_type);
     }
 
+    addFormTypeFilter(req, whereConditions, queryParams);
+
     const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
     const [forms] = await pool.execute(`
@@ -695,9 +853,13 @@ router.get('/export/bulk', async (req, res) => {
   }
 });
 
-router.get('/analytics/dashboard-stats', async (req, res) => {
+router.get('/analytics/dashboard-stats', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    addFormTypeFilter(req, whereConditions, queryParams);
+    const where = whereConditions.join(' AND ');
 
     const [
       [overallStats],
@@ -708,36 +870,39 @@ router.get('/analytics/dashboard-stats', async (req, res) => {
       pool.execute(`
         SELECT 
           COUNT(*) as total_submissions,
-          COUNT(CASE WHEN status = 'p' THEN 1 END) as pending_count,
-          COUNT(CASE WHEN status = 'a' THEN 1 END) as approved_count,
-          COUNT(CASE WHEN status = 'd' THEN 1 END) as denied_count,
-          COUNT(CASE WHEN location = 'loc' THEN 1 END) as local_count,
-          COUNT(CASE WHEN location = 'abr' THEN 1 END) as abroad_count
-        FROM form_submission
-      `),
+          COUNT(CASE WHEN fs.status = 'p' THEN 1 END) as pending_count,
+          COUNT(CASE WHEN fs.status = 'a' THEN 1 END) as approved_count,
+          COUNT(CASE WHEN fs.status = 'd' THEN 1 END) as denied_count,
+          COUNT(CASE WHEN fs.status = 'r' THEN 1 END) as returned_count,
+          COUNT(CASE WHEN fs.location = 'loc' THEN 1 END) as local_count,
+          COUNT(CASE WHEN fs.location = 'abr' THEN 1 END) as abroad_count
+        FROM form_submission fs
+        WHERE ${where}
+      `, queryParams),
       pool.execute(`
         SELECT COUNT(*) as recent_submissions
-        FROM form_submission
-        WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
-      `),
+        FROM form_submission fs
+        WHERE ${where} AND fs.submitted_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+      `, queryParams),
       pool.execute(`
         SELECT 
           ft.name as form_type,
           COUNT(*) as count
         FROM form_submission fs
         JOIN form_type ft ON fs.form_type_id = ft.id
+        WHERE ${where}
         GROUP BY ft.id, ft.name
         ORDER BY count DESC
-      `),
+      `, queryParams),
       pool.execute(`
         SELECT 
-          DATE(submitted_at) as date,
+          DATE(fs.submitted_at) as date,
           COUNT(*) as count
-        FROM form_submission
-        WHERE submitted_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-        GROUP BY DATE(submitted_at)
+        FROM form_submission fs
+        WHERE ${where} AND fs.submitted_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
+        GROUP BY DATE(fs.submitted_at)
         ORDER BY date DESC
-      `)
+      `, queryParams)
     ]);
 
     res.json({
@@ -759,18 +924,87 @@ router.get('/analytics/dashboard-stats', async (req, res) => {
   }
 });
 
-router.get('/status/:status', async (req, res) => {
+// GET submission and requirement counts by location status (local vs abroad)
+router.get('/analytics/location-stats', requireFormPermission('view'), async (req, res) => {
+  try {
+    const pool = getPool();
+    const whereConditions = ['1 = 1'];
+    const queryParams = [];
+    addFormTypeFilter(req, whereConditions, queryParams);
+    const where = whereConditions.join(' AND ');
+
+    const [[locationStats], [requirementStats], [boundingBox]] = await Promise.all([
+      pool.execute(`
+        SELECT 
+          fs.location as location_status,
+          COUNT(*) as total_submissions,
+          COUNT(CASE WHEN fs.status = 'a' THEN 1 END) as approved_count,
+          COUNT(CASE WHEN fs.status = 'p' THEN 1 END) as pending_count,
+          COUNT(CASE WHEN fs.status = 'd' THEN 1 END) as denied_count,
+          COUNT(CASE WHEN fs.status = 'r' THEN 1 END) as returned_count,
+          AVG(fs.longitude) as avg_longitude,
+          AVG(fs.latitude) as avg_latitude,
+          MIN(fs.submitted_at) as earliest_submission,
+          MAX(fs.submitted_at) as latest_submission
+        FROM form_submission fs
+        WHERE ${where}
+        GROUP BY fs.location
+      `, queryParams),
+      pool.execute(`
+        SELECT 
+          fr.applies_to_location,
+          fr.requirement_type,
+          COUNT(*) as count
+        FROM form_requirements fr
+        JOIN form_submission fs ON fr.form_id = fs.id
+        WHERE ${where}
+        GROUP BY fr.applies_to_location, fr.requirement_type
+        ORDER BY fr.applies_to_location, fr.requirement_type
+      `, queryParams),
+      pool.execute(`
+        SELECT 
+          MIN(fs.longitude) as min_lng,
+          MAX(fs.longitude) as max_lng,
+          MIN(fs.latitude) as min_lat,
+          MAX(fs.latitude) as max_lat
+        FROM form_submission fs
+        WHERE ${where} AND fs.longitude IS NOT NULL AND fs.latitude IS NOT NULL
+      `, queryParams)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        location_statistics: locationStats,
+        requirement_statistics: requirementStats,
+        bounding_box: boundingBox[0] || null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching location statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch location statistics'
+    });
+  }
+});
+
+router.get('/status/:status', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { status } = req.params;
 
-    if (!['p', 'a', 'd'].includes(status)) {
+    if (!['p', 'a', 'd', 'r'].includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be p (pending), a (approved), or d (denied)'
+        error: 'Invalid status. Must be p (pending), a (approved), d (denied) or r (returned for correction)'
       });
     }
 
+    const whereConditions = ['fs.status = ?'];
+    const queryParams = [status];
+    addFormTypeFilter(req, whereConditions, queryParams);
+
     const [rows] = await pool.execute(`
       SELECT 
         fs.*,
@@ -790,14 +1024,15 @@ router.get('/status/:status', async (req, res) => {
       JOIN users_tbl u ON fs.user_id = u.id
       LEFT JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
       LEFT JOIN test_table t ON p.hero_ndx = t.NDX      
-      WHERE fs.status = ?
+      WHERE ${whereConditions.join(' AND ')}
       ORDER BY fs.submitted_at DESC
-    `, [status]);
+    `, queryParams);
 
     const statusNames = {
       'p': 'pending',
       'a': 'approved', 
-      'd': 'denied'
+      'd': 'denied',
+      'r': 'returned'
     };
 
     res.json({
@@ -818,7 +1053,71 @@ router.get('/status/:status', async (req, res) => {
   }
 });
 
-router.get('/location/:location_status', async (req, res) => {
+// GET forms submitted within radius km of a point
+router.get('/location/nearby', requireFormPermission('view'), async (req, res) => {
+  try {
+    const { longitude, latitude, radius = 10 } = req.query;
+
+    if (!longitude || !latitude) {
+      return res.status(400).json({
+        success: false,
+        error: 'longitude and latitude parameters are required'
+      });
+    }
+
+    const lng = parseFloat(longitude);
+    const lat = parseFloat(latitude);
+    const radiusKm = parseFloat(radius);
+
+    if (isNaN(lng) || isNaN(lat) || isNaN(radiusKm)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid coordinate or radius values'
+      });
+    }
+
+    const whereConditions = ['fs.longitude IS NOT NULL', 'fs.latitude IS NOT NULL'];
+    const queryParams = [lat, lng, lat];
+    addFormTypeFilter(req, whereConditions, queryParams);
+    queryParams.push(radiusKm);
+
+    // Using Haversine formula to calculate distance
+    const [rows] = await getPool().execute(`
+      SELECT fs.*, ft.name as form_type_name,
+             fs.location as location_status,
+             (
+               6371 * acos(
+                 cos(radians(?)) * cos(radians(fs.latitude)) *
+                 cos(radians(fs.longitude) - radians(?)) +
+                 sin(radians(?)) * sin(radians(fs.latitude))
+               )
+             ) AS distance_km
+      FROM form_submission fs
+      JOIN form_type ft ON fs.form_type_id = ft.id
+      WHERE ${whereConditions.join(' AND ')}
+      HAVING distance_km <= ?
+      ORDER BY distance_km ASC
+      LIMIT 100
+    `, queryParams);
+
+    res.json({
+      success: true,
+      data: {
+        center: { longitude: lng, latitude: lat },
+        radius_km: radiusKm,
+        results: rows
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching nearby forms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch nearby forms'
+    });
+  }
+});
+
+router.get('/location/:location_status', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { location_status } = req.params;
@@ -830,6 +1129,10 @@ router.get('/location/:location_status', async (req, res) => {
       });
     }
 
+    const whereConditions = ['fs.location = ?'];
+    const queryParams = [location_status];
+    addFormTypeFilter(req, whereConditions, queryParams);
+
     const [rows] = await pool.execute(`
       SELECT 
         fs.*,
@@ -843,9 +1146,9 @@ router.get('/location/:location_status', async (req, res) => {
       JOIN form_type ft ON fs.form_type_id = ft.id
       JOIN users_tbl u ON fs.user_id = u.id
       LEFT JOIN test_table t ON u.pensioner_ndx = t.NDX
-      WHERE fs.location = ?
+      WHERE ${whereConditions.join(' AND ')}
       ORDER BY fs.submitted_at DESC
-    `, [location_status]);
+    `, queryParams);
 
     const locationNames = {
       'loc': 'local',
@@ -871,7 +1174,7 @@ router.get('/location/:location_status', async (req, res) => {
   }
 });
 
-router.get('/:form_id', async (req, res) => {
+router.get('/:form_id', requireFormPermission('view'), async (req, res) => {
   try {
     const pool = getPool();
     const { form_id } = req.params;
@@ -931,6 +1234,7 @@ router.get('/:form_id', async (req, res) => {
       }
     };
 
+    res.set('ETag', formEtag(submissionRows[0].version));
     res.json({ 
       success: true, 
       data: formData 
@@ -945,11 +1249,298 @@ router.get('/:form_id', async (req, res) => {
   }
 });
 
-router.put('/:form_id/status', async (req, res) => {
+// GET where a form is in its type's review workflow, with every stage action taken
+router.get('/:form_id/workflow', requireFormPermission('view'), async (req, res) => {
+  try {
+    const { form_id } = req.params;
+
+    if (!form_id || isNaN(parseInt(form_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid form ID' });
+    }
+
+    const formId = parseInt(form_id);
+    const forms = await executeQuery(
+      'SELECT id, form_type_id, status, review_round, current_stage_id, version FROM form_submission WHERE id = ?',
+      [formId]
+    );
+    if (forms.length === 0) {
+      return res.status(404).json({ success: false, error: 'Form submission not found' });
+    }
+
+    const form = forms[0];
+    const stages = await listStages(form.form_type_id);
+
+    res.set('ETag', formEtag(form.version));
+    res.json({
+      success: true,
+      data: {
+        form_id: formId,
+        status: form.status,
+        version: form.version,
+        review_round: form.review_round,
+        stages,
+        current_stage: form.status === 'p' && stages.length > 0 ? currentStage(form, stages) : null,
+        actions: await getStageActions(formId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching form workflow:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch form workflow' });
+  }
+});
+
+// POST - Act on the form's current review stage.
+// Body: { action: advance | approve | return | deny, remarks, comments (for return) }
+router.post('/:form_id/workflow', requireFormPermission('edit'), async (req, res) => {
+  try {
+    const { form_id } = req.params;
+    const { action, remarks, comments } = req.body;
+
+    if (!form_id || isNaN(parseInt(form_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid form ID' });
+    }
+
+    const formId = parseInt(form_id);
+    const adminId = req.admin.adminId;
+
+    if (!STAGE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action. Must be one of: ${STAGE_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (remarks !== undefined && remarks !== null && (typeof remarks !== 'string' || remarks.length > 1000)) {
+      return res.status(400).json({ success: false, error: 'Remarks must be text of at most 1000 characters' });
+    }
+
+    if (action === 'deny' && (!remarks || remarks.trim().length === 0)) {
+      return res.status(400).json({ success: false, error: 'Remarks are required when denying a form' });
+    }
+
+    const outcome = await withTransaction(async (conn) => {
+      const [forms] = await conn.execute(
+        'SELECT id, form_type_id, status, location, review_round, current_stage_id, version FROM form_submission WHERE id = ? FOR UPDATE',
+        [formId]
+      );
+      if (forms.length === 0) {
+        return rejection(404, { success: false, error: 'Form submission not found' });
+      }
+
+      const form = forms[0];
+
+      const versionError = checkVersion(req, form);
+      if (versionError) {
+        const { status: httpStatus, ...body } = versionError;
+        return rejection(httpStatus, { success: false, ...body });
+      }
+
+      const stages = await listStages(form.form_type_id);
+      if (stages.length === 0) {
+        return rejection(409, {
+          success: false,
+          error: 'This form type has no review stages. Use PUT /:form_id/status instead'
+        });
+      }
+
+      const denied = await checkStageAction({ form, stages, access: req.adminAccess, action });
+      if (denied) {
+        return rejection(denied.status, { success: false, error: denied.error });
+      }
+
+      if (action === 'return') {
+        const [requirementRows] = await conn.execute(
+          'SELECT requirement_type FROM form_requirements WHERE form_id = ?',
+          [formId]
+        );
+        const formType = await getActiveFormType(form.form_type_id);
+        const commentError = validateCorrectionComments(comments, [
+          ...requirementRows.map(row => row.requirement_type),
+          ...(formType ? requirementsFor(formType, form.location).map(definition => definition.requirement_type) : [])
+        ]);
+        if (commentError) {
+          return rejection(400, { success: false, error: commentError });
+        }
+      }
+
+      const stage = await performStageAction(conn, {
+        form,
+        stages,
+        adminId,
+        action,
+        remarks: remarks ? remarks.trim() : null,
+        comments,
+        audit: auditContext(req)
+      });
+
+      return { form, stage };
+    });
+
+    if (outcome.rejected) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+    const { form, stage } = outcome;
+
+    console.log(`Form ${formId} stage action ${action} (${stage.name}) by admin ${adminId} (${req.admin.email})`);
+
+    if (action === 'return') {
+      notifyReturned(formId, comments)
+        .catch(mailError => console.error('Failed to send form correction notice:', mailError.message));
+    }
+
+    const statuses = { advance: 'p', approve: 'a', return: 'r', deny: 'd' };
+    res.set('ETag', formEtag(form.version + 1));
+    res.json({
+      success: true,
+      message: action === 'advance' ? `Form moved to ${stage.name}` : 'Form review updated',
+      data: {
+        form_id: formId,
+        status: statuses[action],
+        current_stage: action === 'advance' ? stage : null,
+        version: form.version + 1
+      }
+    });
+  } catch (error) {
+    console.error('Error acting on form review stage:', error);
+    res.status(500).json({ success: false, error: 'Failed to update form review' });
+  }
+});
+
+// Return a pending form to the pensioner to correct the listed requirements.
+// Body: { comments: [{ requirement_type, comment }], admin_notes }
+router.put('/:form_id/return', requireFormPermission('edit'), async (req, res) => {
   try {
-    const pool = getPool();
     const { form_id } = req.params;
-    const { status, admin_notes } = req.body;
+    const { comments, admin_notes } = req.body;
+
+    if (!form_id || isNaN(parseInt(form_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid form ID' });
+    }
+
+    const formId = parseInt(form_id);
+    const adminId = req.admin.adminId;
+
+    if (admin_notes && admin_notes.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Admin notes cannot exceed 1000 characters'
+      });
+    }
+
+    const outcome = await withTransaction(async (conn) => {
+      const [forms] = await conn.execute(
+        'SELECT id, form_type_id, status, location, review_round, version FROM form_submission WHERE id = ? FOR UPDATE',
+        [formId]
+      );
+
+      if (forms.length === 0) {
+        return rejection(404, { success: false, error: 'Form submission not found' });
+      }
+
+      const form = forms[0];
+
+      const versionError = checkVersion(req, form);
+      if (versionError) {
+        const { status: httpStatus, ...body } = versionError;
+        return rejection(httpStatus, { success: false, ...body });
+      }
+
+      if (form.status !== 'p') {
+        return rejection(409, {
+          success: false,
+          error: 'Only pending forms can be returned for correction'
+        });
+      }
+
+      if ((await listStages(form.form_type_id)).length > 0) {
+        return rejection(409, {
+          success: false,
+          error: 'This form type has review stages. Return it with POST /:form_id/workflow instead'
+        });
+      }
+
+      // Anything on the form or in its type's schema can be flagged, including a missing optional item
+      const [requirementRows] = await conn.execute(
+        'SELECT requirement_type FROM form_requirements WHERE form_id = ?',
+        [formId]
+      );
+      const formType = await getActiveFormType(form.form_type_id);
+      const allowedTypes = [
+        ...requirementRows.map(row => row.requirement_type),
+        ...(formType ? requirementsFor(formType, form.location).map(definition => definition.requirement_type) : [])
+      ];
+
+      const commentError = validateCorrectionComments(comments, allowedTypes);
+      if (commentError) {
+        return rejection(400, { success: false, error: commentError });
+      }
+
+      await returnForCorrection(conn, { form, adminId, comments, adminNotes: admin_notes, audit: auditContext(req) });
+
+      return { form };
+    });
+
+    if (outcome.rejected) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+    const { form } = outcome;
+
+    console.log(`Form ${formId} returned for correction (${comments.length} requirements) by admin ${adminId} (${req.admin.email})`);
+
+    notifyReturned(formId, comments)
+      .catch(mailError => console.error('Failed to send form correction notice:', mailError.message));
+
+    res.set('ETag', formEtag(form.version + 1));
+    res.json({
+      success: true,
+      message: 'Form returned for correction',
+      data: {
+        form_id: formId,
+        version: form.version + 1,
+        review_round: form.review_round,
+        corrections: comments.map(item => ({ requirement_type: item.requirement_type, comment: item.comment.trim() }))
+      }
+    });
+  } catch (error) {
+    console.error('Error returning form for correction:', error);
+    res.status(500).json({ success: false, error: 'Failed to return form for correction' });
+  }
+});
+
+// GET every correction round of a form: comments and the requirement versions replaced
+router.get('/:form_id/rounds', requireFormPermission('view'), async (req, res) => {
+  try {
+    const { form_id } = req.params;
+
+    if (!form_id || isNaN(parseInt(form_id))) {
+      return res.status(400).json({ success: false, error: 'Invalid form ID' });
+    }
+
+    const formId = parseInt(form_id);
+    const forms = await executeQuery('SELECT id, status, review_round FROM form_submission WHERE id = ?', [formId]);
+    if (forms.length === 0) {
+      return res.status(404).json({ success: false, error: 'Form submission not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        form_id: formId,
+        status: forms[0].status,
+        review_round: forms[0].review_round,
+        rounds: await getCorrectionRounds(formId)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching form correction rounds:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch correction rounds' });
+  }
+});
+
+router.put('/:form_id/status', requireFormPermission('edit'), async (req, res) => {
+  try {
+    const { form_id } = req.params;
+    const { status, admin_notes, reason } = req.body;
 
     if (!form_id || isNaN(parseInt(form_id))) {
       return res.status(400).json({ success: false, error: 'Invalid form ID' });
@@ -967,6 +1558,13 @@ router.put('/:form_id/status', async (req, res) => {
     const formId = parseInt(form_id);
     const validStatuses = ['p', 'a', 'd'];
 
+    if (status === 'r') {
+      return res.status(400).json({
+        success: false,
+        error: 'Returning a form needs per-requirement comments. Use PUT /:form_id/return instead'
+      });
+    }
+
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -981,55 +1579,106 @@ router.put('/:form_id/status', async (req, res) => {
       });
     }
 
-    const [existingForm] = await pool.execute(
-      'SELECT id, status FROM form_submission WHERE id = ?',
-      [formId]
-    );
-
-    if (existingForm.length === 0) {
-      return res.status(404).json({ success: false, error: 'Form submission not found' });
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason must be text of at most 1000 characters'
+      });
     }
 
-    await pool.query('START TRANSACTION');
+    const outcome = await withTransaction(async (conn) => {
+      // Locked so two reviewers acting at once cannot both apply their decision
+      const [existingForm] = await conn.execute(
+        'SELECT id, status, form_type_id, admin_notes, version FROM form_submission WHERE id = ? FOR UPDATE',
+        [formId]
+      );
 
-    try {
-      const updateQuery = admin_notes !== undefined
-        ? 'UPDATE form_submission SET status = ?, admin_notes = ?, reviewed_at = NOW() WHERE id = ?'
-        : 'UPDATE form_submission SET status = ?, reviewed_at = NOW() WHERE id = ?';
+      if (existingForm.length === 0) {
+        return rejection(404, { success: false, error: 'Form submission not found' });
+      }
 
-      const updateParams = admin_notes !== undefined
-        ? [status, admin_notes, formId]
-        : [status, formId];
+      const form = existingForm[0];
 
-      await pool.execute('SET @current_admin_id = ?', [adminId]);
-      await pool.execute(updateQuery, updateParams);
+      const versionError = checkVersion(req, form);
+      if (versionError) {
+        const { status: httpStatus, ...body } = versionError;
+        return rejection(httpStatus, { success: false, ...body });
+      }
 
-      await pool.execute('COMMIT');
+      const transitionError = checkTransition(form.status, status, reason);
+      if (transitionError) {
+        return rejection(409, { success: false, ...transitionError });
+      }
 
-      console.log(`Form ${formId} status updated to ${status} by admin ${adminId} (${req.admin.email})`);
+      // Form types with review stages are approved or denied stage by stage
+      if (status !== 'p' && (await listStages(form.form_type_id)).length > 0) {
+        return rejection(409, {
+          success: false,
+          error: 'This form type has review stages. Use POST /:form_id/workflow instead'
+        });
+      }
 
-      res.json({ 
-        success: true, 
-        message: 'Form status updated successfully',
-        updated_by: {
-          admin_id: adminId,
-          admin_email: req.admin.email,
-          admin_name: req.admin.name
-        }
+      // A reversal keeps its reason in the notes; a form reopened for review starts
+      // again from the first review stage
+      const reversal = isReversal(form.status, status);
+      const notes = reversal
+        ? `Reopened from ${FORM_STATUSES[form.status]}: ${reason.trim()}${admin_notes ? ` - ${admin_notes}` : ''}`
+        : admin_notes;
+
+      await conn.execute(
+        `UPDATE form_submission
+         SET status = ?, admin_notes = ${notes !== undefined ? '?' : 'admin_notes'}, reviewed_at = NOW(),
+             current_stage_id = ${status === 'p' ? 'NULL' : 'current_stage_id'}, version = version + 1
+         WHERE id = ?`,
+        notes !== undefined ? [status, notes, formId] : [status, formId]
+      );
+
+      const changed = changedValues(
+        { status: form.status, admin_notes: form.admin_notes },
+        notes !== undefined ? { status, admin_notes: notes } : { status }
+      );
+      await recordFormHistory(conn, auditContext(req), {
+        formId,
+        action: 'status',
+        status,
+        remarks: notes || null,
+        before: changed.before,
+        after: changed.after
       });
-    } catch (transactionError) {
-      await pool.execute('ROLLBACK');
-      throw transactionError;
+
+      return { form };
+    });
+
+    if (outcome.rejected) {
+      return res.status(outcome.status).json(outcome.body);
     }
+    const { form } = outcome;
+
+    console.log(`Form ${formId} status updated from ${form.status} to ${status} by admin ${adminId} (${req.admin.email})`);
+
+    res.set('ETag', formEtag(form.version + 1));
+    res.json({ 
+      success: true, 
+      message: 'Form status updated successfully',
+      data: {
+        form_id: formId,
+        status,
+        version: form.version + 1
+      },
+      updated_by: {
+        admin_id: adminId,
+        admin_email: req.admin.email,
+        admin_name: req.admin.name
+      }
+    });
   } catch (error) {
     console.error('Error updating form status:', error);
     res.status(500).json({ success: false, error: 'Failed to update form status' });
   }
 });
 
-router.post('/:form_id/notes', async (req, res) => {
+router.post('/:form_id/notes', requireFormPermission('edit'), async (req, res) => {
   try {
-    const pool = getPool();
     const { form_id } = req.params;
     const { notes } = req.body;
 
@@ -1057,51 +1706,50 @@ router.post('/:form_id/notes', async (req, res) => {
       });
     }
 
-    const [existingForm] = await pool.execute(
-      'SELECT id FROM form_submission WHERE id = ?',
-      [formId]
-    );
-
-    if (existingForm.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Form submission not found' 
-      });
-    }
+    const outcome = await withTransaction(async (conn) => {
+      const [existingForm] = await conn.execute(
+        'SELECT id, admin_notes FROM form_submission WHERE id = ? FOR UPDATE',
+        [formId]
+      );
 
-    await pool.query('START TRANSACTION');
+      if (existingForm.length === 0) {
+        return rejection(404, { 
+          success: false, 
+          error: 'Form submission not found' 
+        });
+      }
 
-    try {
-      await pool.execute(
+      await conn.execute(
         'UPDATE form_submission SET admin_notes = ?, reviewed_at = NOW() WHERE id = ?',
         [notes.trim(), formId]
       );
 
-      await pool.execute(
-        `INSERT INTO history_logs 
-          (form_submission_id, action_by, status, remarks, action_date)
-         VALUES (?, ?, ?, ?, NOW())`,
-        [formId, adminId, 'n', `NOTE: ${notes.trim()}`] 
-      );
-
-      await pool.execute('COMMIT');
+      await recordFormHistory(conn, auditContext(req), {
+        formId,
+        action: 'note',
+        remarks: `NOTE: ${notes.trim()}`,
+        before: { admin_notes: existingForm[0].admin_notes },
+        after: { admin_notes: notes.trim() }
+      });
 
-      console.log(`Admin notes added to form ${formId} by admin ${adminId} (${req.admin.email})`);
+      return {};
+    });
 
-      res.json({ 
-        success: true, 
-        message: 'Admin notes added and logged successfully',
-        added_by: {
-          admin_id: adminId,
-          admin_email: req.admin.email,
-          admin_name: req.admin.name
-        }
-      });
-    } catch (transactionError) {
-      await pool.execute('ROLLBACK');
-      throw transactionError;
+    if (outcome.rejected) {
+      return res.status(outcome.status).json(outcome.body);
     }
 
+    console.log(`Admin notes added to form ${formId} by admin ${adminId} (${req.admin.email})`);
+
+    res.json({ 
+      success: true, 
+      message: 'Admin notes added and logged successfully',
+      added_by: {
+        admin_id: adminId,
+        admin_email: req.admin.email,
+        admin_name: req.admin.name
+      }
+    });
   } catch (error) {
     console.error('Error adding admin notes:', error);
     res.status(500).json({ 
@@ -1111,9 +1759,8 @@ router.post('/:form_id/notes', async (req, res) => {
   }
 });
 
-router.delete('/:form_id', async (req, res) => {
+router.delete('/:form_id', requireFormPermission('delete'), async (req, res) => {
   try {
-    const pool = getPool();
     const { form_id } = req.params;
 
     if (!form_id || isNaN(parseInt(form_id))) {
@@ -1125,33 +1772,49 @@ router.delete('/:form_id', async (req, res) => {
 
     const formId = parseInt(form_id);
 
-    await pool.execute('START TRANSACTION');
-
-    try {
-      await pool.execute('DELETE FROM form_requirements WHERE form_id = ?', [formId]);
-      
-      const [result] = await pool.execute('DELETE FROM form_submission WHERE id = ?', [formId]);
+    const outcome = await withTransaction(async (conn) => {
+      const [forms] = await conn.execute(
+        'SELECT id, user_id, form_type_id, status, location, submitted_at FROM form_submission WHERE id = ? FOR UPDATE',
+        [formId]
+      );
 
-      if (result.affectedRows === 0) {
-        await pool.execute('ROLLBACK');
-        return res.status(404).json({
+      if (forms.length === 0) {
+        return rejection(404, {
           success: false,
           error: 'Form submission not found'
         });
       }
 
-      await pool.execute('COMMIT');
+      const [requirements] = await conn.execute(
+        'SELECT requirement_type, value, file_url, file_key, file_type FROM form_requirements WHERE form_id = ?',
+        [formId]
+      );
 
-      res.json({
-        success: true,
-        message: 'Form submission deleted successfully'
+      // Logged first with everything deleted, so the record outlives the form
+      await recordFormHistory(conn, auditContext(req), {
+        formId,
+        action: 'delete',
+        remarks: 'Form submission deleted',
+        before: { ...forms[0], requirements }
       });
 
-    } catch (transactionError) {
-      await pool.execute('ROLLBACK');
-      throw transactionError;
+      await conn.execute('DELETE FROM form_requirements WHERE form_id = ?', [formId]);
+      await conn.execute('DELETE FROM form_submission WHERE id = ?', [formId]);
+
+      return {};
+    });
+
+    if (outcome.rejected) {
+      return res.status(outcome.status).json(outcome.body);
     }
 
+    console.log(`Form ${formId} deleted by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Form submission deleted successfully'
+    });
+
   } catch (error) {
     console.error('Error deleting form submission:', error);
     res.status(500).json({
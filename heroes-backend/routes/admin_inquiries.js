@@ -0,0 +1,1117 @@
+const express = require('express');
+const router = express.Router();
+const { getPool } = require('../config/database');
+const { authenticateAdminToken, requireNavPermission, requirePermission } = require('./admin');
+const {
+  INQUIRIES_NAV_PATH,
+  OPEN_STATUSES,
+  ROUTING_STRATEGIES,
+  assignInquiry,
+  checkAssignee
+} = require('../services/inquiryAssignment');
+const {
+  STATUS_LABELS,
+  validateMessageInput,
+  addMessage,
+  recordStatusChange,
+  getThread,
+  notifySubmitter
+} = require('../services/inquiryThread');
+const { isValidSlaMinutes, updateInquiryStatus, markFirstResponse, getSlaStatistics } = require('../services/inquirySla');
+const categoriesRouter = require('./admin_inquiry_categories');
+
+// Admin side of inquiries; the public submitter side lives in routes/inquiries.js
+
+// Tracking codes are the submitter's secret; not even their hash leaves the server
+const withoutTrackingHash = ({ tracking_code_hash, ...inquiry }) => inquiry;
+
+router.use(authenticateAdminToken, requireNavPermission(INQUIRIES_NAV_PATH));
+
+router.use('/categories', categoriesRouter);
+
+// GET - Fetch all inquiries (with optional filtering)
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    const { status, category_id, assigned_to } = req.query;
+    
+    let query = `
+      SELECT i.*, ic.name as category_name, ic.code as category_code, a.name as assigned_admin_name
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      LEFT JOIN admins_tbl a ON i.assigned_to = a.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND i.status = ?';
+      params.push(status);
+    }
+
+    if (category_id) {
+      query += ' AND i.category_id = ?';
+      params.push(category_id);
+    }
+
+    // assigned_to=none lists the unassigned inquiries
+    if (assigned_to === 'none') {
+      query += ' AND i.assigned_to IS NULL';
+    } else if (assigned_to) {
+      query += ' AND i.assigned_to = ?';
+      params.push(assigned_to);
+    }
+
+    query += ' ORDER BY i.created_at DESC';
+
+    const [rows] = await conn.execute(query, params);
+    
+    res.json({ 
+      success: true, 
+      data: rows.map(withoutTrackingHash),
+      meta: {
+        count: rows.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiries:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - The logged-in admin's queue: their open inquiries, oldest first
+router.get('/my-queue', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+
+    const { status } = req.query;
+    const statuses = status ? [status] : OPEN_STATUSES;
+
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      WHERE i.assigned_to = ? AND i.status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY i.created_at ASC
+    `, [req.admin.adminId, ...statuses]);
+
+    res.json({
+      success: true,
+      data: rows.map(withoutTrackingHash),
+      meta: {
+        count: rows.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry queue:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Automatic assignment settings of every category, with each pool admin's open workload
+router.get('/routing', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+
+    const [categories] = await conn.execute(`
+      SELECT ic.id, ic.name, ic.code, COALESCE(r.strategy, 'none') as strategy, r.last_assigned_admin_id, r.updated_at
+      FROM inquiry_categories ic
+      LEFT JOIN inquiry_category_routing r ON r.category_id = ic.id
+      ORDER BY ic.sort_order ASC, ic.name ASC
+    `);
+
+    const [assignees] = await conn.execute(`
+      SELECT ica.category_id, a.id as admin_id, a.name, a.email,
+             (SELECT COUNT(*) FROM inquiries i
+              WHERE i.assigned_to = a.id AND i.status IN (?, ?)) as open_count
+      FROM inquiry_category_assignees ica
+      JOIN admins_tbl a ON ica.admin_id = a.id
+      ORDER BY a.name ASC
+    `, OPEN_STATUSES);
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        category_id: category.id,
+        category_name: category.name,
+        category_code: category.code,
+        strategy: category.strategy,
+        last_assigned_admin_id: category.last_assigned_admin_id,
+        updated_at: category.updated_at,
+        assignees: assignees
+          .filter(assignee => assignee.category_id === category.id)
+          .map(assignee => ({
+            admin_id: assignee.admin_id,
+            name: assignee.name,
+            email: assignee.email,
+            open_count: Number(assignee.open_count)
+          }))
+      })),
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry routing:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// PUT - Set a category's assignment strategy and admin pool
+router.put('/routing/:category_id', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    const categoryId = parseInt(req.params.category_id);
+    const { strategy, admin_ids } = req.body;
+
+    if (!ROUTING_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `strategy must be one of: ${ROUTING_STRATEGIES.join(', ')}`,
+        code: 'INVALID_STRATEGY',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (admin_ids !== undefined && !Array.isArray(admin_ids)) {
+      return res.status(400).json({
+        success: false,
+        error: 'admin_ids must be an array',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await pool.getConnection();
+
+    const [categoryCheck] = await conn.execute('SELECT id FROM inquiry_categories WHERE id = ?', [categoryId]);
+    if (categoryCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const adminIds = admin_ids === undefined ? undefined : [...new Set(admin_ids.map(id => parseInt(id)))];
+
+    for (const adminId of adminIds || []) {
+      const assigneeError = await checkAssignee(adminId);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          error: assigneeError,
+          code: 'INVALID_ASSIGNEE',
+          processingTime: `${Date.now() - startTime}ms`
+        });
+      }
+    }
+
+    await conn.beginTransaction();
+
+    await conn.execute(
+      `INSERT INTO inquiry_category_routing (category_id, strategy, updated_by, updated_at)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE strategy = VALUES(strategy), updated_by = VALUES(updated_by), updated_at = NOW()`,
+      [categoryId, strategy, req.admin.adminId]
+    );
+
+    if (adminIds !== undefined) {
+      await conn.execute('DELETE FROM inquiry_category_assignees WHERE category_id = ?', [categoryId]);
+      for (const adminId of adminIds) {
+        await conn.execute(
+          'INSERT INTO inquiry_category_assignees (category_id, admin_id) VALUES (?, ?)',
+          [categoryId, adminId]
+        );
+      }
+    }
+
+    await conn.commit();
+
+    console.log(`Inquiry routing for category ${categoryId} set to ${strategy} by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Inquiry routing updated successfully',
+      data: {
+        category_id: categoryId,
+        strategy,
+        ...(adminIds !== undefined && { admin_ids: adminIds })
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
+    const processingTime = Date.now() - startTime;
+    console.error('Error updating inquiry routing:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - SLA targets and escalation settings of every category
+router.get('/sla', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const [categories] = await pool.execute(`
+      SELECT ic.id, ic.name, ic.code, ic.first_response_sla_minutes, ic.resolution_sla_minutes,
+             ic.escalation_admin_id, a.name as escalation_admin_name, ic.escalation_action
+      FROM inquiry_categories ic
+      LEFT JOIN admins_tbl a ON ic.escalation_admin_id = a.id
+      ORDER BY ic.sort_order ASC, ic.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        category_id: category.id,
+        category_name: category.name,
+        category_code: category.code,
+        first_response_sla_minutes: category.first_response_sla_minutes,
+        resolution_sla_minutes: category.resolution_sla_minutes,
+        escalation_admin_id: category.escalation_admin_id,
+        escalation_admin_name: category.escalation_admin_name,
+        escalation_action: category.escalation_action
+      })),
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry SLA settings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// PUT - Change a category's SLA targets and escalation; omitted fields are left unchanged.
+// New targets apply to inquiries submitted from now on.
+router.put('/sla/:category_id', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const categoryId = parseInt(req.params.category_id);
+    const { first_response_sla_minutes, resolution_sla_minutes, escalation_admin_id, escalation_action } = req.body;
+
+    const validationError =
+      (first_response_sla_minutes !== undefined && !isValidSlaMinutes(first_response_sla_minutes) &&
+        'first_response_sla_minutes must be a positive number of minutes or null') ||
+      (resolution_sla_minutes !== undefined && !isValidSlaMinutes(resolution_sla_minutes) &&
+        'resolution_sla_minutes must be a positive number of minutes or null') ||
+      (escalation_action !== undefined && !['notify', 'reassign'].includes(escalation_action) &&
+        'escalation_action must be notify or reassign') ||
+      (escalation_admin_id !== undefined && escalation_admin_id !== null && await checkAssignee(parseInt(escalation_admin_id)));
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const fields = {
+      first_response_sla_minutes,
+      resolution_sla_minutes,
+      escalation_admin_id: escalation_admin_id === undefined || escalation_admin_id === null ? escalation_admin_id : parseInt(escalation_admin_id),
+      escalation_action
+    };
+    const updates = Object.entries(fields).filter(([, value]) => value !== undefined);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE inquiry_categories SET ${updates.map(([column]) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...updates.map(([, value]) => value), categoryId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    console.log(`Inquiry SLA for category ${categoryId} updated by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'SLA settings updated successfully',
+      data: {
+        category_id: categoryId,
+        ...Object.fromEntries(updates)
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error updating inquiry SLA settings:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// GET - Analytics/Statistics for inquiries; SLA figures cover the last sla_days days (default 90)
+router.get('/analytics/stats', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const slaDays = parseInt(req.query.sla_days) || 90;
+
+    if (slaDays < 1 || slaDays > 365) {
+      return res.status(400).json({
+        success: false,
+        error: 'sla_days must be between 1 and 365',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    // Get inquiry counts by status
+    const [statusStats] = await conn.execute(`
+      SELECT 
+        status,
+        COUNT(*) as count
+      FROM inquiries
+      GROUP BY status
+    `);
+
+    // Get inquiry counts by category
+    const [categoryStats] = await conn.execute(`
+      SELECT 
+        ic.name as category_name,
+        ic.code as category_code,
+        COUNT(i.id) as count
+      FROM inquiry_categories ic
+      LEFT JOIN inquiries i ON ic.id = i.category_id
+      GROUP BY ic.id, ic.name, ic.code
+      ORDER BY count DESC
+    `);
+
+    // Get recent inquiries
+    const [recentInquiries] = await conn.execute(`
+      SELECT 
+        DATE(created_at) as date,
+        COUNT(*) as count
+      FROM inquiries
+      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+      GROUP BY DATE(created_at)
+      ORDER BY date DESC
+    `);
+
+    // Get assigned vs unassigned
+    const [assignmentStats] = await conn.execute(`
+      SELECT 
+        COUNT(CASE WHEN assigned_to IS NOT NULL THEN 1 END) as assigned_count,
+        COUNT(CASE WHEN assigned_to IS NULL THEN 1 END) as unassigned_count
+      FROM inquiries
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        status_statistics: statusStats,
+        category_statistics: categoryStats,
+        recent_inquiries: recentInquiries,
+        assignment_statistics: assignmentStats[0],
+        sla_statistics: await getSlaStatistics(slaDays)
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry statistics:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Fetch inquiries by email
+router.get('/email/:email', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    const { email } = req.params;
+
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      WHERE i.email = ?
+      ORDER BY i.created_at DESC
+    `, [email]);
+
+    res.json({ 
+      success: true, 
+      data: rows.map(withoutTrackingHash),
+      meta: {
+        count: rows.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiries by email:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Fetch inquiries by mobile number
+router.get('/mobile/:mobilenr', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    const { mobilenr } = req.params;
+
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      WHERE i.mobilenr = ?
+      ORDER BY i.created_at DESC
+    `, [mobilenr]);
+
+    res.json({ 
+      success: true, 
+      data: rows.map(withoutTrackingHash),
+      meta: {
+        count: rows.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiries by mobile:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Fetch specific inquiry by ID
+router.get('/:inquiry_id', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    const { inquiry_id } = req.params;
+
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code, ic.description as category_description,
+             a.name as assigned_admin_name, a.email as assigned_admin_email
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      LEFT JOIN admins_tbl a ON i.assigned_to = a.id
+      WHERE i.id = ?
+    `, [inquiry_id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Inquiry not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      data: withoutTrackingHash(rows[0]),
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Full conversation thread of an inquiry, internal notes included
+router.get('/:inquiry_id/messages', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT id, message, created_at FROM inquiries WHERE id = ?',
+      [req.params.inquiry_id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inquiry not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const messages = await getThread(rows[0].id, { includeInternal: true });
+
+    res.json({
+      success: true,
+      data: {
+        inquiry_id: rows[0].id,
+        original_message: rows[0].message,
+        submitted_at: rows[0].created_at,
+        messages
+      },
+      meta: {
+        count: messages.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// POST - Reply to the submitter (visibility "public") or leave an internal note
+router.post('/:inquiry_id/messages', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    const { message, attachments, visibility = 'public' } = req.body;
+
+    if (!['public', 'internal'].includes(visibility)) {
+      return res.status(400).json({
+        success: false,
+        error: 'visibility must be public or internal',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const inputError = validateMessageInput({ message, attachments });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError,
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.execute(
+      'SELECT id, name, email FROM inquiries WHERE id = ? FOR UPDATE',
+      [req.params.inquiry_id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Inquiry not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const inquiry = rows[0];
+    const messageId = await addMessage(conn, {
+      inquiryId: inquiry.id,
+      authorType: 'admin',
+      authorAdminId: req.admin.adminId,
+      visibility,
+      body: message,
+      attachments: attachments || []
+    });
+
+    await conn.execute('UPDATE inquiries SET updated_at = NOW() WHERE id = ?', [inquiry.id]);
+    if (visibility === 'public') {
+      await markFirstResponse(conn, inquiry.id);
+    }
+    await conn.commit();
+
+    if (visibility === 'public') {
+      notifySubmitter(inquiry, {
+        subject: `New reply to your inquiry #${inquiry.id}`,
+        text: ['Our helpdesk replied to your inquiry:', '', message.trim()].join('\n')
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: visibility === 'public' ? 'Reply sent successfully' : 'Internal note added successfully',
+      data: {
+        message_id: messageId,
+        inquiry_id: inquiry.id,
+        visibility
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
+    const processingTime = Date.now() - startTime;
+    console.error('Error adding inquiry message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// PUT - Update inquiry status (recorded in the thread and emailed to the submitter)
+router.put('/:inquiry_id/status', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    
+    const { inquiry_id } = req.params;
+    const { status, note } = req.body;
+
+    // Validate status
+    const validStatuses = ['pen', 'in_prog', 'res', 'clo']; // pending, in_progress, resolved, closed
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be pen (pending), in_prog (in progress), res (resolved), or clo (closed)',
+        code: 'INVALID_STATUS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be a string of at most 1000 characters',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [rows] = await conn.execute(
+      'SELECT id, name, email, status FROM inquiries WHERE id = ? FOR UPDATE',
+      [inquiry_id]
+    );
+
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Inquiry not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const inquiry = rows[0];
+    const changed = inquiry.status !== status;
+
+    if (changed) {
+      await updateInquiryStatus(conn, inquiry.id, status);
+      await recordStatusChange(conn, {
+        inquiryId: inquiry.id,
+        fromStatus: inquiry.status,
+        toStatus: status,
+        adminId: req.admin.adminId,
+        note: note ? note.trim() : null
+      });
+    }
+
+    await conn.commit();
+
+    if (changed) {
+      notifySubmitter(inquiry, {
+        subject: `Your inquiry #${inquiry.id} is now ${STATUS_LABELS[status].toLowerCase()}`,
+        text: [
+          `The status of your inquiry changed from ${STATUS_LABELS[inquiry.status]} to ${STATUS_LABELS[status]}.`,
+          ...(note ? ['', note.trim()] : [])
+        ].join('\n')
+      });
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Inquiry status updated successfully',
+      data: {
+        inquiry_id: parseInt(inquiry_id),
+        status: status,
+        previous_status: inquiry.status
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    if (conn) {
+      await conn.rollback();
+    }
+    console.error('Error updating inquiry status:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// PUT - Assign an inquiry to an admin, or unassign it with assigned_to: null
+router.put('/:inquiry_id/assign', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    
+    const { inquiry_id } = req.params;
+    const { assigned_to, reason } = req.body;
+
+    if (assigned_to === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'assigned_to admin ID is required (null to unassign)',
+        code: 'MISSING_ASSIGNED_TO',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const adminId = assigned_to === null ? null : parseInt(assigned_to);
+
+    if (adminId !== null) {
+      const assigneeError = await checkAssignee(adminId);
+      if (assigneeError) {
+        return res.status(400).json({
+          success: false,
+          error: assigneeError,
+          code: 'INVALID_ASSIGNEE',
+          processingTime: `${Date.now() - startTime}ms`
+        });
+      }
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const assignment = await assignInquiry(conn, {
+      inquiryId: inquiry_id,
+      toAdminId: adminId,
+      assignedBy: req.admin.adminId,
+      method: 'manual',
+      reason: reason ? String(reason).slice(0, 255) : null
+    });
+
+    await conn.commit();
+
+    if (!assignment) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Inquiry not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (assignment.changed) {
+      console.log(`Inquiry ${inquiry_id} reassigned from ${assignment.fromAdminId} to ${adminId} by admin ${req.admin.adminId}`);
+    }
+
+    res.json({ 
+      success: true, 
+      message: adminId === null ? 'Inquiry unassigned successfully' : 'Inquiry assigned successfully',
+      data: {
+        inquiry_id: parseInt(inquiry_id),
+        assigned_to: adminId,
+        previously_assigned_to: assignment.fromAdminId,
+        status: assignment.status
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
+    const processingTime = Date.now() - startTime;
+    console.error('Error assigning inquiry:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET - Assignment history of an inquiry, newest first
+router.get('/:inquiry_id/assignments', async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+
+    const [rows] = await conn.execute(`
+      SELECT h.id, h.from_admin_id, fa.name as from_admin_name,
+             h.to_admin_id, ta.name as to_admin_name,
+             h.assigned_by, ba.name as assigned_by_name,
+             h.method, h.reason, h.created_at
+      FROM inquiry_assignment_history h
+      LEFT JOIN admins_tbl fa ON h.from_admin_id = fa.id
+      LEFT JOIN admins_tbl ta ON h.to_admin_id = ta.id
+      LEFT JOIN admins_tbl ba ON h.assigned_by = ba.id
+      WHERE h.inquiry_id = ?
+      ORDER BY h.created_at DESC, h.id DESC
+    `, [req.params.inquiry_id]);
+
+    res.json({
+      success: true,
+      data: rows,
+      meta: {
+        count: rows.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry assignments:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+module.exports = router;
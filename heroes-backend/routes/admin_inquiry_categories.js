@@ -0,0 +1,460 @@
+const express = require('express');
+const router = express.Router();
+const { getPool } = require('../config/database');
+const { requirePermission } = require('./admin');
+const { checkAssignee } = require('../services/inquiryAssignment');
+const { isValidSlaMinutes } = require('../services/inquirySla');
+
+// Inquiry category management, mounted under /api/admin_inquiries/categories
+// (authentication and the inquiries nav check are applied by that router)
+
+const CATEGORY_CODE_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+// Validates the category fields present in the body. With partial = false, name and
+// code are required. Returns { error } or { fields } holding only the given columns.
+const validateCategoryFields = async (body, { partial }) => {
+  const { name, code, description, is_active, default_assignee_id, first_response_sla_minutes, resolution_sla_minutes } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return { error: 'name is required and must be at most 100 characters' };
+    }
+    fields.name = name.trim();
+  }
+
+  if (code !== undefined || !partial) {
+    if (typeof code !== 'string' || !CATEGORY_CODE_PATTERN.test(code)) {
+      return { error: 'code is required: 1-50 letters, digits, underscores or hyphens' };
+    }
+    fields.code = code;
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { error: 'description must be a string or null' };
+    }
+    fields.description = description ? description.trim() : null;
+  }
+
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active ? 1 : 0;
+  }
+
+  if (default_assignee_id !== undefined) {
+    if (default_assignee_id !== null) {
+      const assigneeError = await checkAssignee(parseInt(default_assignee_id));
+      if (assigneeError) return { error: assigneeError };
+    }
+    fields.default_assignee_id = default_assignee_id === null ? null : parseInt(default_assignee_id);
+  }
+
+  for (const [column, value] of Object.entries({ first_response_sla_minutes, resolution_sla_minutes })) {
+    if (value === undefined) continue;
+    if (!isValidSlaMinutes(value)) {
+      return { error: `${column} must be a positive number of minutes or null` };
+    }
+    fields[column] = value;
+  }
+
+  return { fields };
+};
+
+// Another category already using this name or code, if any
+const findConflict = async (pool, { name, code }, excludeId = 0) => {
+  if (name === undefined && code === undefined) return null;
+
+  const [rows] = await pool.execute(
+    'SELECT id, name, code FROM inquiry_categories WHERE (name = ? OR code = ?) AND id <> ? LIMIT 1',
+    [name === undefined ? null : name, code === undefined ? null : code, excludeId]
+  );
+  if (rows.length === 0) return null;
+  return rows[0].code === code ? 'A category with this code already exists' : 'A category with this name already exists';
+};
+
+// GET - Every category, inactive ones included, with inquiry counts
+router.get('/', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const [categories] = await pool.execute(`
+      SELECT ic.*, a.name as default_assignee_name,
+             (SELECT COUNT(*) FROM inquiries i WHERE i.category_id = ic.id) as inquiry_count,
+             (SELECT COUNT(*) FROM inquiries i WHERE i.category_id = ic.id AND i.status IN ('pen', 'in_prog')) as open_count
+      FROM inquiry_categories ic
+      LEFT JOIN admins_tbl a ON ic.default_assignee_id = a.id
+      ORDER BY ic.sort_order ASC, ic.name ASC
+    `);
+
+    res.json({
+      success: true,
+      data: categories.map(category => ({
+        ...category,
+        is_active: Boolean(category.is_active),
+        inquiry_count: Number(category.inquiry_count),
+        open_count: Number(category.open_count)
+      })),
+      meta: {
+        count: categories.length,
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching inquiry categories:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// POST - Create a category at the end of the picker
+router.post('/', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const { error, fields } = await validateCategoryFields(req.body, { partial: false });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const conflict = await findConflict(pool, fields);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict,
+        code: 'DUPLICATE_CATEGORY',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const columns = Object.keys(fields);
+    const [result] = await pool.execute(
+      `INSERT INTO inquiry_categories (${columns.join(', ')}, sort_order)
+       SELECT ${columns.map(() => '?').join(', ')}, COALESCE(MAX(sort_order), 0) + 10 FROM inquiry_categories`,
+      Object.values(fields)
+    );
+
+    console.log(`Inquiry category ${fields.code} created by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: {
+        id: result.insertId,
+        ...fields,
+        ...(fields.is_active !== undefined && { is_active: Boolean(fields.is_active) })
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error creating inquiry category:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// PUT - Reorder the picker; category_ids lists every category once, first to last
+router.put('/order', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    const { category_ids } = req.body;
+    const categoryIds = Array.isArray(category_ids) ? category_ids.map(id => parseInt(id)) : null;
+
+    const [categories] = await pool.execute('SELECT id FROM inquiry_categories');
+    const existingIds = new Set(categories.map(category => category.id));
+
+    if (!categoryIds || categoryIds.length !== existingIds.size ||
+        new Set(categoryIds).size !== categoryIds.length || !categoryIds.every(id => existingIds.has(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'category_ids must list every category exactly once',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    for (const [index, categoryId] of categoryIds.entries()) {
+      await conn.execute('UPDATE inquiry_categories SET sort_order = ? WHERE id = ?', [(index + 1) * 10, categoryId]);
+    }
+
+    await conn.commit();
+
+    console.log(`Inquiry categories reordered by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: {
+        category_ids: categoryIds
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
+    const processingTime = Date.now() - startTime;
+    console.error('Error reordering inquiry categories:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// PUT - Rename, (de)activate or change a category's defaults; omitted fields are left unchanged
+router.put('/:id', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const categoryId = parseInt(req.params.id);
+    const { error, fields } = await validateCategoryFields(req.body, { partial: true });
+
+    if (error || Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: error || 'Nothing to update',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const conflict = await findConflict(pool, fields, categoryId);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict,
+        code: 'DUPLICATE_CATEGORY',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE inquiry_categories SET ${Object.keys(fields).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(fields), categoryId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    console.log(`Inquiry category ${categoryId} updated by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: {
+        id: categoryId,
+        ...fields,
+        ...(fields.is_active !== undefined && { is_active: Boolean(fields.is_active) })
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error updating inquiry category:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+// POST - Merge a category into another: its inquiries and routing pool move to the
+// target and the category is removed
+router.post('/:id/merge', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const pool = getPool();
+    const sourceId = parseInt(req.params.id);
+    const targetId = parseInt(req.body.into_category_id);
+
+    if (isNaN(targetId) || targetId === sourceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'into_category_id must be another category',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const [categories] = await conn.execute(
+      'SELECT id, code FROM inquiry_categories WHERE id IN (?, ?) FOR UPDATE',
+      [sourceId, targetId]
+    );
+
+    if (categories.length !== 2) {
+      await conn.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const [moved] = await conn.execute(
+      'UPDATE inquiries SET category_id = ? WHERE category_id = ?',
+      [targetId, sourceId]
+    );
+
+    await conn.execute(
+      `INSERT IGNORE INTO inquiry_category_assignees (category_id, admin_id)
+       SELECT ?, admin_id FROM inquiry_category_assignees WHERE category_id = ?`,
+      [targetId, sourceId]
+    );
+
+    await conn.execute('DELETE FROM inquiry_categories WHERE id = ?', [sourceId]);
+    await conn.commit();
+
+    const sourceCode = categories.find(category => category.id === sourceId).code;
+    const targetCode = categories.find(category => category.id === targetId).code;
+    console.log(`Inquiry category ${sourceCode} merged into ${targetCode} (${moved.affectedRows} inquiries) by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Categories merged successfully',
+      data: {
+        merged_category_id: sourceId,
+        into_category_id: targetId,
+        inquiries_moved: moved.affectedRows
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
+    const processingTime = Date.now() - startTime;
+    console.error('Error merging inquiry categories:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// DELETE - Remove a category that was never used; used ones are deactivated or merged instead
+router.delete('/:id', requirePermission('inquiries.manage'), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const pool = getPool();
+    const categoryId = parseInt(req.params.id);
+
+    const [usage] = await pool.execute(
+      'SELECT COUNT(*) as count FROM inquiries WHERE category_id = ?',
+      [categoryId]
+    );
+
+    if (Number(usage[0].count) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This category has inquiries. Deactivate it or merge it into another category instead.',
+        code: 'CATEGORY_IN_USE',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const [result] = await pool.execute('DELETE FROM inquiry_categories WHERE id = ?', [categoryId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    console.log(`Inquiry category ${categoryId} deleted by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error deleting inquiry category:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,371 @@
+const express = require('express');
+const router = express.Router();
+const { getPool } = require('../config/database');
+const { authenticateAdminToken, requirePermission } = require('./admin');
+const { PERMISSIONS, getAdminAccess, checkGrantable } = require('../services/adminAccess');
+
+router.use(authenticateAdminToken);
+
+const ROLE_CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+// Validates a role bundle from the request body.
+// Returns an error response payload, or null when the bundle is acceptable.
+const validateBundle = async (req, { permissions, navPermissions, formPermissions }) => {
+  if (permissions !== undefined && !Array.isArray(permissions)) {
+    return { status: 400, error: 'permissions must be an array' };
+  }
+  if (navPermissions !== undefined && !Array.isArray(navPermissions)) {
+    return { status: 400, error: 'navPermissions must be an array' };
+  }
+  if (formPermissions !== undefined && !Array.isArray(formPermissions)) {
+    return { status: 400, error: 'formPermissions must be an array' };
+  }
+
+  if ((formPermissions || []).some(fp => !fp || isNaN(parseInt(fp.formTypeId)))) {
+    return { status: 400, error: 'Each formPermissions entry needs a formTypeId' };
+  }
+
+  for (const permission of permissions || []) {
+    if (!PERMISSIONS[permission]) {
+      return { status: 400, error: `Unknown permission: ${permission}` };
+    }
+  }
+
+  // Stops an admin from building a role more powerful than their own
+  const access = await getAdminAccess(req.admin.adminId || req.admin.id);
+  return checkGrantable(access, { permissions, navPermissionIds: navPermissions, formPermissions });
+};
+
+// Replace the parts of a role's bundle present in the body (inside a transaction)
+const writeBundle = async (connection, roleId, { permissions, navPermissions, formPermissions }) => {
+  if (permissions !== undefined) {
+    await connection.execute('DELETE FROM admin_role_permissions WHERE role_id = ?', [roleId]);
+    for (const permission of new Set(permissions)) {
+      await connection.execute(
+        'INSERT INTO admin_role_permissions (role_id, permission) VALUES (?, ?)',
+        [roleId, permission]
+      );
+    }
+  }
+
+  if (navPermissions !== undefined) {
+    await connection.execute('DELETE FROM admin_role_nav_access WHERE role_id = ?', [roleId]);
+    for (const navId of new Set(navPermissions.map(id => parseInt(id)))) {
+      await connection.execute(
+        'INSERT INTO admin_role_nav_access (role_id, nav_permission_id) VALUES (?, ?)',
+        [roleId, navId]
+      );
+    }
+  }
+
+  if (formPermissions !== undefined) {
+    await connection.execute('DELETE FROM admin_role_form_access WHERE role_id = ?', [roleId]);
+    for (const fp of formPermissions) {
+      await connection.execute(
+        `INSERT INTO admin_role_form_access
+         (role_id, form_type_id, can_view, can_create, can_edit, can_delete)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [roleId, parseInt(fp.formTypeId), fp.canView ? 1 : 0, fp.canCreate ? 1 : 0, fp.canEdit ? 1 : 0, fp.canDelete ? 1 : 0]
+      );
+    }
+  }
+};
+
+const formatRole = (role) => ({
+  id: role.id,
+  code: role.code,
+  name: role.name,
+  description: role.description,
+  isSuper: Boolean(role.is_super),
+  isSystem: Boolean(role.is_system),
+  createdAt: role.created_at,
+  updatedAt: role.updated_at
+});
+
+// GET capability catalog for building roles
+router.get('/permissions', requirePermission('roles.manage', 'admins.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+});
+
+// GET all roles with the number of admins holding each
+router.get('/', requirePermission('roles.manage', 'admins.manage'), async (req, res) => {
+  try {
+    const pool = getPool();
+
+    const [roles] = await pool.execute(`
+      SELECT r.*, COUNT(a.id) as admin_count
+      FROM admin_roles r
+      LEFT JOIN admins_tbl a ON a.role = r.code
+      GROUP BY r.id
+      ORDER BY r.is_system DESC, r.name
+    `);
+
+    res.json({
+      success: true,
+      data: roles.map(role => ({
+        ...formatRole(role),
+        adminCount: Number(role.admin_count)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+// GET one role with its full bundle
+router.get('/:id', requirePermission('roles.manage', 'admins.manage'), async (req, res) => {
+  try {
+    const pool = getPool();
+    const roleId = parseInt(req.params.id);
+
+    if (isNaN(roleId)) {
+      return res.status(400).json({ success: false, error: 'Invalid role ID' });
+    }
+
+    const [roles] = await pool.execute('SELECT * FROM admin_roles WHERE id = ?', [roleId]);
+
+    if (roles.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    const [[permissions], [navPermissions], [formPermissions]] = await Promise.all([
+      pool.execute('SELECT permission FROM admin_role_permissions WHERE role_id = ?', [roleId]),
+      pool.execute('SELECT nav_permission_id FROM admin_role_nav_access WHERE role_id = ?', [roleId]),
+      pool.execute(
+        `SELECT rfa.form_type_id, ft.name as form_type_name, rfa.can_view, rfa.can_create, rfa.can_edit, rfa.can_delete
+         FROM admin_role_form_access rfa
+         JOIN form_type ft ON rfa.form_type_id = ft.id
+         WHERE rfa.role_id = ?`,
+        [roleId]
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...formatRole(roles[0]),
+        permissions: permissions.map(p => p.permission),
+        navPermissions: navPermissions.map(p => p.nav_permission_id),
+        formPermissions: formPermissions.map(fp => ({
+          formTypeId: fp.form_type_id,
+          formTypeName: fp.form_type_name,
+          canView: Boolean(fp.can_view),
+          canCreate: Boolean(fp.can_create),
+          canEdit: Boolean(fp.can_edit),
+          canDelete: Boolean(fp.can_delete)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch role'
+    });
+  }
+});
+
+// POST create a custom role
+router.post('/', requirePermission('roles.manage'), async (req, res) => {
+  let connection;
+  try {
+    const { code, name, description } = req.body;
+
+    if (!code || !ROLE_CODE_PATTERN.test(code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role code must be 2-50 uppercase letters, digits or underscores, starting with a letter'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ success: false, error: 'Role name is required' });
+    }
+
+    const bundleError = await validateBundle(req, req.body);
+    if (bundleError) {
+      return res.status(bundleError.status).json({ success: false, error: bundleError.error });
+    }
+
+    connection = await getPool().getConnection();
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `INSERT INTO admin_roles (code, name, description, is_super, is_system, created_at)
+       VALUES (?, ?, ?, 0, 0, NOW())`,
+      [code, name.trim(), description || null]
+    );
+
+    await writeBundle(connection, result.insertId, req.body);
+    await connection.commit();
+
+    console.log(`Role ${code} created by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { id: result.insertId, code, name: name.trim() }
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error creating role:', error);
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        error: 'A role with this code already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create role'
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// PUT update a role's name, description and/or bundle (omitted parts are left unchanged)
+router.put('/:id', requirePermission('roles.manage'), async (req, res) => {
+  let connection;
+  try {
+    const pool = getPool();
+    const roleId = parseInt(req.params.id);
+    const { name, description } = req.body;
+
+    if (isNaN(roleId)) {
+      return res.status(400).json({ success: false, error: 'Invalid role ID' });
+    }
+
+    const [roles] = await pool.execute('SELECT id, code, is_super FROM admin_roles WHERE id = ?', [roleId]);
+
+    if (roles.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    // Super roles already have everything; their bundle is meaningless
+    if (roles[0].is_super) {
+      return res.status(400).json({
+        success: false,
+        error: 'Super admin roles cannot be edited'
+      });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0)) {
+      return res.status(400).json({ success: false, error: 'Role name cannot be empty' });
+    }
+
+    const bundleError = await validateBundle(req, req.body);
+    if (bundleError) {
+      return res.status(bundleError.status).json({ success: false, error: bundleError.error });
+    }
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    await connection.execute(
+      `UPDATE admin_roles
+       SET name = COALESCE(?, name), description = IF(?, ?, description), updated_at = NOW()
+       WHERE id = ?`,
+      [name !== undefined ? name.trim() : null, description !== undefined ? 1 : 0, description || null, roleId]
+    );
+
+    await writeBundle(connection, roleId, req.body);
+    await connection.commit();
+
+    console.log(`Role ${roles[0].code} updated by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// DELETE a custom role that no admin holds
+router.delete('/:id', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const pool = getPool();
+    const roleId = parseInt(req.params.id);
+
+    if (isNaN(roleId)) {
+      return res.status(400).json({ success: false, error: 'Invalid role ID' });
+    }
+
+    const [roles] = await pool.execute(
+      `SELECT r.id, r.code, r.is_system, COUNT(a.id) as admin_count
+       FROM admin_roles r
+       LEFT JOIN admins_tbl a ON a.role = r.code
+       WHERE r.id = ?
+       GROUP BY r.id`,
+      [roleId]
+    );
+
+    if (roles.length === 0) {
+      return res.status(404).json({ success: false, error: 'Role not found' });
+    }
+
+    const role = roles[0];
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        error: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    if (Number(role.admin_count) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Reassign the admins holding this role before deleting it'
+      });
+    }
+
+    await pool.execute('DELETE FROM admin_2fa_policy WHERE role = ?', [role.code]);
+    await pool.execute('DELETE FROM admin_roles WHERE id = ?', [roleId]);
+
+    console.log(`Role ${role.code} deleted by admin ${req.admin.adminId} (${req.admin.email})`);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete role'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,116 @@
 const express = require('express');
 const router = express.Router();
-const { getPool } = require('../config/database');
+const { getPool, executeQuery, withTransaction } = require('../config/database');
+const { authenticatePensionerToken, requireOwnAccount, requireVerifiedAccount } = require('./users');
+const { createRateLimiter } = require('../config/rateLimit');
+const {
+  listActiveFormTypes,
+  getActiveFormType,
+  requirementsFor,
+  validateField,
+  validateRequirements,
+  requirementLocation
+} = require('../services/formTypes');
+const {
+  DRAFT_TTL_DAYS,
+  MAX_OPEN_DRAFTS,
+  listDrafts,
+  getDraft,
+  countOpenDrafts,
+  validateDraftFile,
+  isFileReferenced,
+  removeOrphanedFiles
+} = require('../services/formDrafts');
+const {
+  getOpenCorrections,
+  validateResubmission,
+  resubmitCorrections,
+  getCorrectionRounds
+} = require('../services/formCorrections');
+const { auditContext } = require('../services/formAudit');
+
+// Counted per pensioner account, so shared mobile networks do not block each other
+const submitLimiter = createRateLimiter('forms.submit', {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,
+  keyGenerator: (req) => `user:${req.user.userId}`,
+  message: {
+    success: false,
+    error: 'Too many form submissions. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Form type every submission used before clients sent form_type_id; app versions that
+// do not send it still submit this one
+const LEGACY_FORM_TYPE_ID = 5;
+
+// Optional submission coordinates as numbers, or { error, code } when they are invalid
+const parseCoordinates = (longitude, latitude) => {
+  let finalLongitude = null;
+  let finalLatitude = null;
+
+  if (longitude !== null && longitude !== undefined && longitude !== '') {
+    finalLongitude = Number(longitude);
+    if (isNaN(finalLongitude)) {
+      return { error: 'Invalid longitude value', code: 'INVALID_LONGITUDE' };
+    }
+  }
+
+  if (latitude !== null && latitude !== undefined && latitude !== '') {
+    finalLatitude = Number(latitude);
+    if (isNaN(finalLatitude)) {
+      return { error: 'Invalid latitude value', code: 'INVALID_LATITUDE' };
+    }
+  }
+
+  if (finalLongitude !== null && finalLatitude !== null) {
+    if (finalLongitude < -180 || finalLongitude > 180) {
+      return { error: 'Invalid longitude value. Must be between -180 and 180', code: 'LONGITUDE_OUT_OF_RANGE' };
+    }
+
+    if (finalLatitude < -90 || finalLatitude > 90) {
+      return { error: 'Invalid latitude value. Must be between -90 and 90', code: 'LATITUDE_OUT_OF_RANGE' };
+    }
+  }
+
+  return { longitude: finalLongitude, latitude: finalLatitude };
+};
+
+// Insert a pending submission and its requirements on conn (inside the caller's
+// transaction). Requirements are located per the form type's definition.
+const createSubmission = async (conn, { userId, formType, locationStatus, longitude, latitude, requirements }) => {
+  const [submissionResult] = await conn.execute(
+    `INSERT INTO form_submission (user_id, form_type_id, longitude, latitude, location, status, submitted_at) 
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [userId, formType.id, longitude, latitude, locationStatus, 'p'] // 'p' for pending
+  );
+
+  const formSubmissionId = submissionResult.insertId;
+
+  for (const requirement of requirements) {
+    const { requirement_type, value, file_url, file_key, file_type } = requirement;
+    const applies_to_location = requirementLocation(formType, requirement_type, locationStatus);
+
+    await conn.execute(
+      `INSERT INTO form_requirements (form_id, requirement_type, value, file_url, file_key, file_type, applies_to_location) 
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        formSubmissionId, 
+        requirement_type, 
+        value || null, 
+        file_url || null, 
+        file_key || null, 
+        file_type || null,
+        applies_to_location
+      ]
+    );
+  }
+
+  return formSubmissionId;
+};
 
 // Database connection health check (same as users router)
 const checkDatabaseHealth = async () => {
@@ -16,15 +126,12 @@ const checkDatabaseHealth = async () => {
   }
 };
 
+// GET - Active form types with the requirements each one asks for
 router.get('/types', async (req, res) => {
   const startTime = Date.now();
-  let conn = null;
 
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const [rows] = await conn.execute('SELECT * FROM form_type');
+    const rows = await listActiveFormTypes();
     
     res.json({ 
       success: true, 
@@ -42,22 +149,66 @@ router.get('/types', async (req, res) => {
       code: 'SERVER_ERROR',
       processingTime: `${processingTime}ms`
     });
-  } finally {
-    if (conn) {
-      try {
-        conn.release();
-        console.log("Database connection released");
-      } catch (releaseError) {
-        console.error("Connection release error:", releaseError);
-      }
+  }
+});
+
+// GET - Requirement schema of a form type, for rendering the form in the app.
+// With abroad_status=true|false only the requirements for that location are returned.
+router.get('/types/:id/requirements', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const formTypeId = parseInt(req.params.id);
+    const { abroad_status } = req.query;
+
+    if (abroad_status !== undefined && !['true', 'false'].includes(abroad_status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'abroad_status must be true or false',
+        code: 'VALIDATION_ERROR',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const formType = isNaN(formTypeId) ? null : await getActiveFormType(formTypeId);
+    if (!formType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form type not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
     }
+
+    const locationStatus = abroad_status === undefined ? null : (abroad_status === 'true' ? 'abr' : 'loc');
+
+    res.json({
+      success: true,
+      data: {
+        form_type_id: formType.id,
+        form_type_name: formType.name,
+        location_status: locationStatus,
+        requirements: requirementsFor(formType, locationStatus)
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching form requirements:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
   }
 });
 
-// POST - Submit a new form
-router.post('/submit', async (req, res) => {
+// POST - Submit a new form of any active type
+router.post('/submit', authenticatePensionerToken, submitLimiter, requireVerifiedAccount('forms.submit'), async (req, res) => {
   const startTime = Date.now();
-  let conn = null;
 
   try {
     // Database health check
@@ -71,132 +222,71 @@ router.post('/submit', async (req, res) => {
       });
     }
 
-    const pool = getPool();
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
+    const { userId: user_id } = req.user;
     const { 
-      user_id, 
       longitude, 
       latitude, 
       requirements, 
       location_metadata, 
       abroad_status 
     } = req.body;
-
-    // Set form_type_id to 5
-    const form_type_id = 5;
+    const form_type_id = req.body.form_type_id === undefined || req.body.form_type_id === null
+      ? LEGACY_FORM_TYPE_ID
+      : parseInt(req.body.form_type_id);
 
     // Validate required fields
-    if (!user_id || !requirements || !Array.isArray(requirements)) {
+    if (!requirements || !Array.isArray(requirements) || isNaN(form_type_id)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: user_id and requirements array',
+        error: 'Missing required fields: requirements array and a valid form_type_id',
         code: 'MISSING_FIELDS',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    // Convert location values to proper types if they exist
-    let finalLongitude = null;
-    let finalLatitude = null;
-
-    if (longitude !== null && longitude !== undefined && longitude !== '') {
-      finalLongitude = Number(longitude);
-      if (isNaN(finalLongitude)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid longitude value',
-          code: 'INVALID_LONGITUDE',
-          processingTime: `${Date.now() - startTime}ms`
-        });
-      }
-    }
-
-    if (latitude !== null && latitude !== undefined && latitude !== '') {
-      finalLatitude = Number(latitude);
-      if (isNaN(finalLatitude)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid latitude value',
-          code: 'INVALID_LATITUDE',
-          processingTime: `${Date.now() - startTime}ms`
-        });
-      }
+    const formType = await getActiveFormType(form_type_id);
+    if (!formType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or inactive form_type_id',
+        code: 'INVALID_FORM_TYPE',
+        processingTime: `${Date.now() - startTime}ms`
+      });
     }
 
-    // Validate location data if provided
-    if (finalLongitude !== null && finalLatitude !== null) {
-      if (finalLongitude < -180 || finalLongitude > 180) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid longitude value. Must be between -180 and 180',
-          code: 'LONGITUDE_OUT_OF_RANGE',
-          processingTime: `${Date.now() - startTime}ms`
-        });
-      }
-
-      if (finalLatitude < -90 || finalLatitude > 90) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid latitude value. Must be between -90 and 90',
-          code: 'LATITUDE_OUT_OF_RANGE',
-          processingTime: `${Date.now() - startTime}ms`
-        });
-      }
+    const coordinates = parseCoordinates(longitude, latitude);
+    if (coordinates.error) {
+      return res.status(400).json({
+        success: false,
+        error: coordinates.error,
+        code: coordinates.code,
+        processingTime: `${Date.now() - startTime}ms`
+      });
     }
+    const { longitude: finalLongitude, latitude: finalLatitude } = coordinates;
 
     // Determine location status based on abroad_status
     const locationStatus = abroad_status ? 'abr' : 'loc';
-    
-    // Insert form submission with location data and location status
-    const [submissionResult] = await conn.execute(
-      `INSERT INTO form_submission (user_id, form_type_id, longitude, latitude, location, status, submitted_at) 
-       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-      [user_id, form_type_id, finalLongitude, finalLatitude, locationStatus, 'p'] // 'p' for pending
-    );
-
-    const formSubmissionId = submissionResult.insertId;
-
-    // Verify the insertion by querying the record
-    const [insertedRecord] = await conn.execute(
-      'SELECT id, user_id, form_type_id, longitude, latitude, location, status, submitted_at FROM form_submission WHERE id = ?',
-      [formSubmissionId]
-    );
-    
-    // Insert form requirements with proper applies_to_location mapping
-    for (const requirement of requirements) {
-      const { requirement_type, value, file_url, file_key, file_type } = requirement;
-
-      if (!requirement_type) {
-        throw new Error('requirement_type is required for all requirements');
-      }
-
-      let applies_to_location = 'both'; 
-      
-      if (['passport', 'oath_of_allegiance', 'cert_of_naturalization'].includes(requirement_type)) {
-        applies_to_location = 'abr';
-      } 
-      else if (['unified_id', 'photo_2x2', 'video_submission', 'home_address', 'crs5_reference'].includes(requirement_type)) {
-        applies_to_location = abroad_status ? 'abr' : 'loc';
-      }
 
-      await conn.execute(
-        `INSERT INTO form_requirements (form_id, requirement_type, value, file_url, file_key, file_type, applies_to_location) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [
-          formSubmissionId, 
-          requirement_type, 
-          value || null, 
-          file_url || null, 
-          file_key || null, 
-          file_type || null,
-          applies_to_location
-        ]
-      );
+    const fieldErrors = validateRequirements(formType, requirements, locationStatus);
+    if (Object.keys(fieldErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some requirements are missing or invalid',
+        code: 'INVALID_REQUIREMENTS',
+        field_errors: fieldErrors,
+        processingTime: `${Date.now() - startTime}ms`
+      });
     }
 
-    await conn.commit();
+    const formSubmissionId = await withTransaction(conn => createSubmission(conn, {
+      userId: user_id,
+      formType,
+      locationStatus,
+      longitude: finalLongitude,
+      latitude: finalLatitude,
+      requirements
+    }));
 
     const processingTime = Date.now() - startTime;
 
@@ -225,15 +315,6 @@ router.post('/submit', async (req, res) => {
     res.json(responseData);
 
   } catch (error) {
-    // Rollback transaction if connection exists
-    if (conn) {
-      try {
-        await conn.rollback();
-      } catch (rollbackError) {
-        console.error("Rollback error:", rollbackError);
-      }
-    }
-
     const processingTime = Date.now() - startTime;
     console.error('❌ Error submitting form:', error);
     console.error('❌ Stack trace:', error.stack);
@@ -260,22 +341,11 @@ router.post('/submit', async (req, res) => {
     }
 
     res.status(500).json(errorResponse);
-
-  } finally {
-    // Always release connection
-    if (conn) {
-      try {
-        conn.release();
-        console.log("Database connection released");
-      } catch (releaseError) {
-        console.error("Connection release error:", releaseError);
-      }
-    }
   }
 });
 
 // GET user's form submissions with location data
-router.get('/user/:user_id', async (req, res) => {
+router.get(['/user', '/user/:user_id'], authenticatePensionerToken, requireOwnAccount, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
@@ -283,7 +353,7 @@ router.get('/user/:user_id', async (req, res) => {
     const pool = getPool();
     conn = await pool.getConnection();
     
-    const { user_id } = req.params;
+    const { userId: user_id } = req.user;
 
     const [rows] = await conn.execute(`
       SELECT fs.*, ft.name as form_type_name,
@@ -322,67 +392,107 @@ router.get('/user/:user_id', async (req, res) => {
   }
 });
 
-// GET specific form submission with requirements and location
-router.get('/:form_id', async (req, res) => {
+// Draft with what is still missing: field_errors keyed like the submit validation,
+// empty and is_complete once it can be finalized
+const withProgress = (draft, formType) => {
+  if (!formType) {
+    return { ...draft, form_type_active: false, field_errors: null, is_complete: false };
+  }
+
+  const fieldErrors = validateRequirements(formType, draft.requirements, draft.abroad_status ? 'abr' : 'loc');
+  return {
+    ...draft,
+    form_type_active: true,
+    field_errors: fieldErrors,
+    is_complete: Object.keys(fieldErrors).length === 0
+  };
+};
+
+const draftNotFound = (res, startTime) => res.status(404).json({
+  success: false,
+  error: 'Draft not found or expired',
+  code: 'DRAFT_NOT_FOUND',
+  processingTime: `${Date.now() - startTime}ms`
+});
+
+// Every change to a draft pushes its expiry back
+const touchDraft = (conn, draftId) => conn.execute(
+  'UPDATE form_drafts SET updated_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? DAY) WHERE id = ?',
+  [DRAFT_TTL_DAYS, draftId]
+);
+
+// POST - Start a draft submission, filled in later one requirement at a time
+router.post('/drafts', authenticatePensionerToken, requireVerifiedAccount('forms.submit'), async (req, res) => {
   const startTime = Date.now();
   let conn = null;
-  
+
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { form_id } = req.params;
+    const { userId } = req.user;
+    const { longitude, latitude, abroad_status } = req.body;
+    const form_type_id = parseInt(req.body.form_type_id);
 
-    // Get form submission details with location
-    const [submissionRows] = await conn.execute(`
-      SELECT fs.*, ft.name as form_type_name, u.email as user_email,
-             fs.longitude, fs.latitude, fs.location as location_status
-      FROM form_submission fs
-      JOIN form_type ft ON fs.form_type_id = ft.id
-      JOIN users_tbl u ON fs.user_id = u.id
-      WHERE fs.id = ?
-    `, [form_id]);
+    if (isNaN(form_type_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'form_type_id is required',
+        code: 'MISSING_FIELDS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
 
-    if (submissionRows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Form submission not found',
-        code: 'NOT_FOUND',
+    const formType = await getActiveFormType(form_type_id);
+    if (!formType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or inactive form_type_id',
+        code: 'INVALID_FORM_TYPE',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    // Get form requirements with applies_to_location
-    const [requirementRows] = await conn.execute(
-      'SELECT * FROM form_requirements WHERE form_id = ? ORDER BY applies_to_location, requirement_type',
-      [form_id]
+    const coordinates = parseCoordinates(longitude, latitude);
+    if (coordinates.error) {
+      return res.status(400).json({
+        success: false,
+        error: coordinates.error,
+        code: coordinates.code,
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (await countOpenDrafts(userId) >= MAX_OPEN_DRAFTS) {
+      return res.status(409).json({
+        success: false,
+        error: `You can have at most ${MAX_OPEN_DRAFTS} open drafts. Finish or discard one first.`,
+        code: 'TOO_MANY_DRAFTS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await getPool().getConnection();
+    const [result] = await conn.execute(
+      `INSERT INTO form_drafts (user_id, form_type_id, abroad_status, longitude, latitude, expires_at)
+       VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+      [userId, form_type_id, abroad_status ? 1 : 0, coordinates.longitude, coordinates.latitude, DRAFT_TTL_DAYS]
     );
 
-    const formData = {
-      ...submissionRows[0],
-      requirements: requirementRows,
-      location: {
-        longitude: submissionRows[0].longitude,
-        latitude: submissionRows[0].latitude,
-        status: submissionRows[0].location_status
-      }
-    };
+    const draft = await getDraft(userId, result.insertId);
 
-    res.json({ 
-      success: true, 
-      data: formData,
+    res.status(201).json({
+      success: true,
+      message: 'Draft created',
+      data: withProgress(draft, formType),
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching form submission:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error creating form draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create draft',
       code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
+      processingTime: `${Date.now() - startTime}ms`
     });
   } finally {
     if (conn) {
@@ -396,55 +506,118 @@ router.get('/:form_id', async (req, res) => {
   }
 });
 
-// GET forms by location status (local vs abroad)
-router.get('/location/:location_status', async (req, res) => {
+// GET the pensioner's open drafts with what each still needs
+router.get('/drafts', authenticatePensionerToken, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const [drafts, formTypes] = await Promise.all([
+      listDrafts(req.user.userId),
+      listActiveFormTypes()
+    ]);
+    const typesById = new Map(formTypes.map(type => [type.id, type]));
+
+    res.json({
+      success: true,
+      data: drafts.map(draft => withProgress(draft, typesById.get(draft.form_type_id))),
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching form drafts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch drafts',
+      code: 'SERVER_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// GET one of the pensioner's drafts
+router.get('/drafts/:draft_id', authenticatePensionerToken, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const draft = await getDraft(req.user.userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
+
+    res.json({
+      success: true,
+      data: withProgress(draft, await getActiveFormType(draft.form_type_id)),
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching form draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch draft',
+      code: 'SERVER_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// PATCH - Change a draft's abroad status or location
+router.patch('/drafts/:draft_id', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
-  
+
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { location_status } = req.params;
+    const { userId } = req.user;
+    const draft = await getDraft(userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
 
-    // Validate location status
-    if (!['loc', 'abr'].includes(location_status)) {
+    const { abroad_status } = req.body;
+    const coordinates = parseCoordinates(
+      req.body.longitude !== undefined ? req.body.longitude : draft.longitude,
+      req.body.latitude !== undefined ? req.body.latitude : draft.latitude
+    );
+    if (coordinates.error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid location_status. Must be "loc" (local) or "abr" (abroad)',
-        code: 'INVALID_LOCATION_STATUS',
+        error: coordinates.error,
+        code: coordinates.code,
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const [rows] = await conn.execute(`
-      SELECT fs.*, ft.name as form_type_name,
-             fs.longitude, fs.latitude, fs.location as location_status
-      FROM form_submission fs
-      JOIN form_type ft ON fs.form_type_id = ft.id
-      WHERE fs.location = ?
-      ORDER BY fs.submitted_at DESC
-    `, [location_status]);
+    conn = await getPool().getConnection();
+    await conn.execute(
+      'UPDATE form_drafts SET abroad_status = ?, longitude = ?, latitude = ? WHERE id = ?',
+      [
+        (abroad_status !== undefined ? abroad_status : draft.abroad_status) ? 1 : 0,
+        coordinates.longitude,
+        coordinates.latitude,
+        draft.draft_id
+      ]
+    );
+    await touchDraft(conn, draft.draft_id);
+
+    const updated = await getDraft(userId, draft.draft_id);
 
     res.json({
       success: true,
-      data: {
-        location_status: location_status,
-        count: rows.length,
-        submissions: rows
-      },
+      message: 'Draft updated',
+      data: withProgress(updated, await getActiveFormType(updated.form_type_id)),
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching forms by location status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error updating form draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update draft',
       code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
+      processingTime: `${Date.now() - startTime}ms`
     });
   } finally {
     if (conn) {
@@ -458,78 +631,109 @@ router.get('/location/:location_status', async (req, res) => {
   }
 });
 
-// GET forms by location proximity 
-router.get('/location/nearby', async (req, res) => {
+// PATCH - Save one requirement of a draft, replacing what was saved before.
+// A file it replaces is removed from storage once nothing else uses it.
+router.patch('/drafts/:draft_id/requirements/:requirement_type', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
-  
+
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { longitude, latitude, radius = 10 } = req.query;
+    const { userId } = req.user;
+    const { requirement_type } = req.params;
+    const { value, file_url, file_key, file_type } = req.body;
+
+    const draft = await getDraft(userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
+
+    if (requirement_type.length > 64) {
+      return res.status(400).json({
+        success: false,
+        error: 'requirement_type must be at most 64 characters',
+        code: 'INVALID_REQUIREMENT_TYPE',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
 
-    if (!longitude || !latitude) {
+    // A file needs both its key and URL; file requirements must have one (validateField below)
+    const fileError = file_key || file_url ? validateDraftFile({ file_url, file_key }) : null;
+    if (fileError) {
       return res.status(400).json({
         success: false,
-        error: 'longitude and latitude parameters are required',
-        code: 'MISSING_COORDINATES',
+        error: fileError,
+        code: 'INVALID_FILE',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const lng = parseFloat(longitude);
-    const lat = parseFloat(latitude);
-    const radiusKm = parseFloat(radius);
+    const requirement = { requirement_type, value, file_url, file_key, file_type };
 
-    if (isNaN(lng) || isNaN(lat) || isNaN(radiusKm)) {
+    const formType = await getActiveFormType(draft.form_type_id);
+    const definition = formType && formType.requirements.find(item => item.requirement_type === requirement_type);
+    const fieldError = definition ? validateField(definition, requirement) : null;
+    if (fieldError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid coordinate or radius values',
-        code: 'INVALID_COORDINATES',
+        error: fieldError,
+        code: 'INVALID_REQUIREMENTS',
+        field_errors: { [requirement_type]: fieldError },
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    // Using Haversine formula to calculate distance
-    const [rows] = await conn.execute(`
-      SELECT fs.*, ft.name as form_type_name,
-             fs.longitude, fs.latitude, fs.location as location_status,
-             (
-               6371 * acos(
-                 cos(radians(?)) * cos(radians(fs.latitude)) *
-                 cos(radians(fs.longitude) - radians(?)) +
-                 sin(radians(?)) * sin(radians(fs.latitude))
-               )
-             ) AS distance_km
-      FROM form_submission fs
-      JOIN form_type ft ON fs.form_type_id = ft.id
-      WHERE fs.longitude IS NOT NULL 
-        AND fs.latitude IS NOT NULL
-      HAVING distance_km <= ?
-      ORDER BY distance_km ASC
-      LIMIT 100
-    `, [lat, lng, lat, radiusKm]);
+    conn = await getPool().getConnection();
+    await conn.beginTransaction();
+
+    const [existing] = await conn.execute(
+      'SELECT file_key, owns_file FROM form_draft_requirements WHERE draft_id = ? AND requirement_type = ? FOR UPDATE',
+      [draft.draft_id, requirement_type]
+    );
+
+    // The draft owns a file nothing else used when it was first saved here
+    const keptFile = existing.length > 0 && file_key && existing[0].file_key === file_key;
+    const ownsFile = keptFile ? existing[0].owns_file : (file_key && !(await isFileReferenced(file_key)) ? 1 : 0);
+
+    await conn.execute(
+      `INSERT INTO form_draft_requirements (draft_id, requirement_type, value, file_url, file_key, file_type, owns_file, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE value = VALUES(value), file_url = VALUES(file_url), file_key = VALUES(file_key),
+         file_type = VALUES(file_type), owns_file = VALUES(owns_file), updated_at = VALUES(updated_at)`,
+      [draft.draft_id, requirement_type, value || null, file_url || null, file_key || null, file_type || null, ownsFile]
+    );
+    await touchDraft(conn, draft.draft_id);
+
+    await conn.commit();
+
+    if (existing.length > 0 && existing[0].owns_file && existing[0].file_key !== file_key) {
+      removeOrphanedFiles([existing[0].file_key]);
+    }
+
+    const updated = await getDraft(userId, draft.draft_id);
 
     res.json({
       success: true,
-      data: {
-        center: { longitude: lng, latitude: lat },
-        radius_km: radiusKm,
-        results: rows
-      },
+      message: 'Requirement saved',
+      data: withProgress(updated, formType),
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching nearby forms:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+
+    console.error('Error saving draft requirement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save requirement',
       code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
+      processingTime: `${Date.now() - startTime}ms`
     });
   } finally {
     if (conn) {
@@ -543,58 +747,105 @@ router.get('/location/nearby', async (req, res) => {
   }
 });
 
-// PUT - Update form submission status
-router.put('/:form_id/status', async (req, res) => {
+// DELETE - Clear one requirement of a draft
+router.delete('/drafts/:draft_id/requirements/:requirement_type', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { form_id } = req.params;
-    const { status } = req.body;
+    const { userId } = req.user;
+    const draft = await getDraft(userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
 
-    // Validate status
-    const validStatuses = ['p', 'a', 'd']; // pending, approved, denied
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const saved = draft.requirements.find(item => item.requirement_type === req.params.requirement_type);
+    if (!saved) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid status. Must be p (pending), a (approved), or d (denied)',
-        code: 'INVALID_STATUS',
+        error: 'Requirement not saved on this draft',
+        code: 'REQUIREMENT_NOT_FOUND',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const [result] = await conn.execute(
-      'UPDATE form_submission SET status = ? WHERE id = ?',
-      [status, form_id]
+    conn = await getPool().getConnection();
+    const [owned] = await conn.execute(
+      'SELECT file_key FROM form_draft_requirements WHERE draft_id = ? AND requirement_type = ? AND owns_file = 1',
+      [draft.draft_id, saved.requirement_type]
+    );
+    await conn.execute(
+      'DELETE FROM form_draft_requirements WHERE draft_id = ? AND requirement_type = ?',
+      [draft.draft_id, saved.requirement_type]
     );
+    await touchDraft(conn, draft.draft_id);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Form submission not found',
-        code: 'NOT_FOUND',
+    removeOrphanedFiles(owned.map(item => item.file_key));
+
+    const updated = await getDraft(userId, draft.draft_id);
+
+    res.json({
+      success: true,
+      message: 'Requirement removed',
+      data: withProgress(updated, await getActiveFormType(updated.form_type_id)),
+      meta: {
         processingTime: `${Date.now() - startTime}ms`
-      });
+      }
+    });
+  } catch (error) {
+    console.error('Error removing draft requirement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove requirement',
+      code: 'SERVER_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
     }
+  }
+});
 
-    res.json({ 
-      success: true, 
-      message: 'Form status updated successfully',
+// DELETE - Discard a draft and the uploads only it used
+router.delete('/drafts/:draft_id', authenticatePensionerToken, async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const draft = await getDraft(req.user.userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
+
+    conn = await getPool().getConnection();
+    const [owned] = await conn.execute(
+      'SELECT file_key FROM form_draft_requirements WHERE draft_id = ? AND owns_file = 1',
+      [draft.draft_id]
+    );
+    await conn.execute('DELETE FROM form_drafts WHERE id = ?', [draft.draft_id]);
+
+    removeOrphanedFiles(owned.map(item => item.file_key));
+
+    res.json({
+      success: true,
+      message: 'Draft discarded',
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error updating form status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error discarding form draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard draft',
       code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
+      processingTime: `${Date.now() - startTime}ms`
     });
   } finally {
     if (conn) {
@@ -608,73 +859,250 @@ router.put('/:form_id/status', async (req, res) => {
   }
 });
 
-// GET location statistics with abroad/local breakdown
-router.get('/analytics/location-stats', async (req, res) => {
+// POST - Submit a complete draft. It is validated like /submit and replaced by
+// the pending submission in one transaction.
+router.post('/drafts/:draft_id/finalize', authenticatePensionerToken, submitLimiter, requireVerifiedAccount('forms.submit'), async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    // Get submission counts by location status
-    const [locationStats] = await conn.execute(`
-      SELECT 
-        location as location_status,
-        COUNT(*) as total_submissions,
-        COUNT(CASE WHEN status = 'a' THEN 1 END) as approved_count,
-        COUNT(CASE WHEN status = 'p' THEN 1 END) as pending_count,
-        COUNT(CASE WHEN status = 'd' THEN 1 END) as denied_count,
-        AVG(longitude) as avg_longitude,
-        AVG(latitude) as avg_latitude,
-        MIN(submitted_at) as earliest_submission,
-        MAX(submitted_at) as latest_submission
-      FROM form_submission 
-      GROUP BY location
-    `);
-
-    // Get requirement statistics by applies_to_location
-    const [requirementStats] = await conn.execute(`
-      SELECT 
-        fr.applies_to_location,
-        fr.requirement_type,
-        COUNT(*) as count
-      FROM form_requirements fr
-      JOIN form_submission fs ON fr.form_id = fs.id
-      GROUP BY fr.applies_to_location, fr.requirement_type
-      ORDER BY fr.applies_to_location, fr.requirement_type
-    `);
-
-    // Get bounding box of all submissions with coordinates
-    const [boundingBox] = await conn.execute(`
-      SELECT 
-        MIN(longitude) as min_lng,
-        MAX(longitude) as max_lng,
-        MIN(latitude) as min_lat,
-        MAX(latitude) as max_lat
-      FROM form_submission 
-      WHERE longitude IS NOT NULL AND latitude IS NOT NULL
-    `);
+    const { userId } = req.user;
+    const draft = await getDraft(userId, req.params.draft_id);
+    if (!draft) {
+      return draftNotFound(res, startTime);
+    }
+
+    const formType = await getActiveFormType(draft.form_type_id);
+    if (!formType) {
+      return res.status(400).json({
+        success: false,
+        error: 'This form type is no longer accepted. Discard the draft and start a new one.',
+        code: 'INVALID_FORM_TYPE',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const locationStatus = draft.abroad_status ? 'abr' : 'loc';
+    const fieldErrors = validateRequirements(formType, draft.requirements, locationStatus);
+    if (Object.keys(fieldErrors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Some requirements are missing or invalid',
+        code: 'INVALID_REQUIREMENTS',
+        field_errors: fieldErrors,
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await getPool().getConnection();
+    await conn.beginTransaction();
+
+    // Lock the draft so a repeated finalize cannot submit it twice
+    const [locked] = await conn.execute(
+      'SELECT id FROM form_drafts WHERE id = ? AND user_id = ? FOR UPDATE',
+      [draft.draft_id, userId]
+    );
+    if (locked.length === 0) {
+      await conn.rollback();
+      return draftNotFound(res, startTime);
+    }
+
+    const formSubmissionId = await createSubmission(conn, {
+      userId,
+      formType,
+      locationStatus,
+      longitude: draft.longitude,
+      latitude: draft.latitude,
+      requirements: draft.requirements
+    });
+
+    await conn.execute('DELETE FROM form_drafts WHERE id = ?', [draft.draft_id]);
+
+    await conn.commit();
+
+    res.json({
+      success: true,
+      message: 'Form submitted successfully',
+      data: {
+        form_id: formSubmissionId,
+        form_type_id: formType.id,
+        location_status: locationStatus,
+        abroad_status: draft.abroad_status,
+        location: {
+          longitude: draft.longitude,
+          latitude: draft.latitude,
+          was_recorded: draft.longitude !== null && draft.latitude !== null
+        }
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`,
+        submissionTime: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+
+    console.error('❌ Error finalizing form draft:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Form submission failed due to server error',
+      code: 'SERVER_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
+// GET the correction rounds of one of the pensioner's forms
+router.get('/:form_id/corrections', authenticatePensionerToken, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const forms = await executeQuery(
+      'SELECT id, status, review_round FROM form_submission WHERE id = ? AND user_id = ?',
+      [req.params.form_id, req.user.userId]
+    );
+
+    if (forms.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Form submission not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
 
+    const form = forms[0];
     res.json({
       success: true,
       data: {
-        location_statistics: locationStats,
-        requirement_statistics: requirementStats,
-        bounding_box: boundingBox[0] || null
+        form_id: form.id,
+        status: form.status,
+        review_round: form.review_round,
+        open_corrections: form.status === 'r' ? await getOpenCorrections(form.id, form.review_round) : [],
+        rounds: await getCorrectionRounds(form.id)
       },
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching location statistics:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error fetching form corrections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch corrections',
       code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// POST - Resubmit a form returned for correction, replacing only the flagged requirements.
+// Body: { requirements: [{ requirement_type, value, file_url, file_key, file_type }] }
+router.post('/:form_id/resubmit', authenticatePensionerToken, submitLimiter, requireVerifiedAccount('forms.submit'), async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+
+  try {
+    const { requirements } = req.body;
+
+    if (!Array.isArray(requirements) || requirements.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: requirements array',
+        code: 'MISSING_FIELDS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    conn = await getPool().getConnection();
+    await conn.beginTransaction();
+
+    const [forms] = await conn.execute(
+      'SELECT id, form_type_id, status, location, review_round FROM form_submission WHERE id = ? AND user_id = ? FOR UPDATE',
+      [req.params.form_id, req.user.userId]
+    );
+
+    if (forms.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Form submission not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const form = forms[0];
+    if (form.status !== 'r') {
+      await conn.rollback();
+      return res.status(409).json({
+        success: false,
+        error: 'This form was not returned for correction',
+        code: 'NOT_RETURNED',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const formType = await getActiveFormType(form.form_type_id);
+    const openCorrections = await getOpenCorrections(form.id, form.review_round);
+    const fieldErrors = validateResubmission(formType, openCorrections, requirements, form.location);
+    if (Object.keys(fieldErrors).length > 0) {
+      await conn.rollback();
+      return res.status(400).json({
+        success: false,
+        error: 'Some requirements are missing or invalid',
+        code: 'INVALID_REQUIREMENTS',
+        field_errors: fieldErrors,
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    await resubmitCorrections(conn, { form, formType, requirements, audit: auditContext(req) });
+    await conn.commit();
+
+    res.json({
+      success: true,
+      message: 'Form resubmitted successfully',
+      data: {
+        form_id: form.id,
+        status: 'p',
+        review_round: form.review_round + 1
+      },
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`,
+        submissionTime: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (conn) {
+      try {
+        await conn.rollback();
+      } catch (rollbackError) {
+        console.error("Rollback error:", rollbackError);
+      }
+    }
+
+    console.error('❌ Error resubmitting form:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Form resubmission failed due to server error',
+      code: 'SERVER_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
     });
   } finally {
     if (conn) {
@@ -723,4 +1151,82 @@ router.get("/health", async (req, res) => {
   }
 });
 
+// GET specific form submission with requirements and location
+router.get('/:form_id', authenticatePensionerToken, async (req, res) => {
+  const startTime = Date.now();
+  let conn = null;
+  
+  try {
+    const pool = getPool();
+    conn = await pool.getConnection();
+    
+    const { form_id } = req.params;
+
+    // Get form submission details with location
+    const [submissionRows] = await conn.execute(`
+      SELECT fs.*, ft.name as form_type_name, u.email as user_email,
+             fs.longitude, fs.latitude, fs.location as location_status
+      FROM form_submission fs
+      JOIN form_type ft ON fs.form_type_id = ft.id
+      JOIN users_tbl u ON fs.user_id = u.id
+      WHERE fs.id = ? AND fs.user_id = ?
+    `, [form_id, req.user.userId]);
+
+    if (submissionRows.length === 0) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Form submission not found',
+        code: 'NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    // Get form requirements with applies_to_location
+    const [requirementRows] = await conn.execute(
+      'SELECT * FROM form_requirements WHERE form_id = ? ORDER BY applies_to_location, requirement_type',
+      [form_id]
+    );
+
+    const formData = {
+      ...submissionRows[0],
+      requirements: requirementRows,
+      // What the reviewer asked to correct, while the form is returned
+      corrections: submissionRows[0].status === 'r'
+        ? await getOpenCorrections(submissionRows[0].id, submissionRows[0].review_round)
+        : [],
+      location: {
+        longitude: submissionRows[0].longitude,
+        latitude: submissionRows[0].latitude,
+        status: submissionRows[0].location_status
+      }
+    };
+
+    res.json({ 
+      success: true, 
+      data: formData,
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`
+      }
+    });
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Error fetching form submission:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message,
+      code: 'SERVER_ERROR',
+      processingTime: `${processingTime}ms`
+    });
+  } finally {
+    if (conn) {
+      try {
+        conn.release();
+        console.log("Database connection released");
+      } catch (releaseError) {
+        console.error("Connection release error:", releaseError);
+      }
+    }
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const express = require('express');
 const { getPool } = require('../config/database');
+const { authenticatePensionerToken, requireOwnAccount } = require('./users');
+const { listActiveFormTypes } = require('../services/formTypes');
 const router = express.Router();
 
 // Database connection health check
@@ -16,8 +18,8 @@ const checkDatabaseHealth = async () => {
   }
 };
 
-// User Profile endpoint
-router.get('/profile', async (req, res) => {
+// User Profile endpoint (profile of the authenticated pensioner)
+router.get('/profile', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   const poolInstance = getPool(); 
   let conn = null;
@@ -52,10 +54,9 @@ router.get('/profile', async (req, res) => {
       FROM users_tbl u
       JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
       JOIN test_table h ON p.hero_ndx = h.NDX
-      WHERE u.status IN ('ACT', 'UNV')
-      ORDER BY u.created_at DESC
+      WHERE u.id = ? AND u.status IN ('ACT', 'UNV')
       LIMIT 1
-    `);
+    `, [req.user.userId]);
 
     if (profiles.length === 0) {
       return res.status(404).json({
@@ -79,7 +80,9 @@ router.get('/profile', async (req, res) => {
         DOB: profile.DOB,
         TYPE: profile.TYPE,
         MOBILENR: profile.MOBILENR,
-        AFPSN: profile.AFPSN
+        AFPSN: profile.AFPSN,
+        STATUS: profile.status,
+        EMAIL_VERIFIED: profile.status === 'ACT'
       },
       meta: {
         processingTime: `${processingTime}ms`,
@@ -113,13 +116,13 @@ router.get('/profile', async (req, res) => {
 });
 
 // Profile endpoint with user ID parameter
-router.get('/profile/:userId', async (req, res) => {
+router.get('/profile/:userId', authenticatePensionerToken, requireOwnAccount, async (req, res) => {
   const startTime = Date.now();
   const poolInstance = getPool(); 
   let conn = null;
 
   try {
-    const userId = req.params.userId;
+    const { userId } = req.user;
     // Validate userId is a number
     if (isNaN(userId) || userId <= 0) {
       return res.status(400).json({
@@ -193,6 +196,8 @@ router.get('/profile/:userId', async (req, res) => {
       EMAIL: profile.email,
       MOBILENR: profile.MOBILENR,
       CTRLNR: profile.CTRLNR,
+      STATUS: profile.status,
+      EMAIL_VERIFIED: profile.status === 'ACT',
       email: profile.email,
       pensioner_type: profile.pensioner_type,
       ...(profile.pensioner_type === 'B' && {
@@ -268,8 +273,8 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// Form submissions endpoint
-router.get('/submissions', async (req, res) => {
+// Form submissions endpoint (submissions of the authenticated pensioner)
+router.get('/submissions', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   const poolInstance = getPool(); 
   let conn = null; 
@@ -290,7 +295,6 @@ router.get('/submissions', async (req, res) => {
     // Get database connection
     conn = await poolInstance.getConnection();
     
-    // This gets submissions for the most recent userr
     const [submissions] = await conn.query(`
       SELECT 
         fs.id,
@@ -301,10 +305,11 @@ router.get('/submissions', async (req, res) => {
         fs.longitude
       FROM form_submission fs
       JOIN users_tbl u ON fs.user_id = u.id
-      WHERE u.status IN ('ACT', 'UNV')
+      WHERE u.id = ?
+      AND u.status IN ('ACT', 'UNV')
       AND fs.status IN ('p', 'a') -- Only pending or approved submissions
       ORDER BY fs.submitted_at DESC
-    `);
+    `, [req.user.userId]);
 
     const processingTime = Date.now() - startTime;
 
@@ -343,13 +348,13 @@ router.get('/submissions', async (req, res) => {
   }
 });
 
-router.get('/submissions/:userId', async (req, res) => {
+router.get('/submissions/:userId', authenticatePensionerToken, requireOwnAccount, async (req, res) => {
   const startTime = Date.now();
   const poolInstance = getPool(); 
   let conn = null; 
 
   try {
-    const userId = req.params.userId;
+    const { userId } = req.user;
     
     // Validate userId
     if (isNaN(userId) || userId <= 0) {
@@ -425,21 +430,17 @@ router.get('/submissions/:userId', async (req, res) => {
   }
 });
 
-// Form types reference endpoint
+// Form types reference endpoint: id -> name of every active form type
 router.get('/form-types', async (req, res) => {
   try {
+    const formTypes = await listActiveFormTypes();
+
     res.json({
       success: true,
-      data: {
-        1: "Updating",
-        2: "Restoration", 
-        3: "Resumption",
-        4: "Transfer of Pension",
-        5: "Declaration of Legal Beneficiary"
-      },
-      message: "Form type ID mapping. Adjust these IDs based on your form_types table."
+      data: Object.fromEntries(formTypes.map(formType => [formType.id, formType.name]))
     });
   } catch (error) {
+    console.error('Error fetching form types:', error);
     res.status(500).json({
       success: false,
       error: "Failed to retrieve form types"
@@ -1,6 +1,96 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const { getPool } = require('../config/database');
+const { getPool, withTransaction } = require('../config/database');
+const { authenticatePensionerToken } = require('./users');
+const { createRateLimiter } = require('../config/rateLimit');
+const { sendMail } = require('../services/mailer');
+const { autoAssignInquiry } = require('../services/inquiryAssignment');
+const {
+  validateMessageInput,
+  addMessage,
+  recordStatusChange,
+  getThread,
+  notifyAssignee
+} = require('../services/inquiryThread');
+const { normalizeEmail, findDuplicateInquiry, contactCooldownRemaining } = require('../services/inquiryDuplicates');
+const { setSlaDueDates, updateInquiryStatus } = require('../services/inquirySla');
+
+// Public submitter side of inquiries. Listing, status changes, assignment and
+// statistics are admin-only and live in routes/admin_inquiries.js.
+
+const submitLimiter = createRateLimiter('inquiries.submit', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    error: 'Too many inquiries submitted. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Submissions per contact per day, whichever IP they come from
+const createContactLimiter = (field, normalize) => createRateLimiter(`inquiries.contact.${field}`, {
+  windowMs: 24 * 60 * 60 * 1000,
+  max: parseInt(process.env.INQUIRY_CONTACT_DAILY_LIMIT) || 5,
+  keyGenerator: (req) => normalize(req.body[field]),
+  skip: (req) => !req.body || typeof req.body[field] !== 'string' || req.body[field].trim().length === 0,
+  message: {
+    success: false,
+    error: 'Too many inquiries from this contact today. Please try again tomorrow.',
+    code: 'CONTACT_RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const emailLimiter = createContactLimiter('email', normalizeEmail);
+const mobileLimiter = createContactLimiter('mobilenr', mobilenr => mobilenr.trim());
+
+// Guessing tracking codes is limited per IP
+const trackLimiter = createRateLimiter('inquiries.track', {
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    success: false,
+    error: 'Too many lookups. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Follow-ups through the tracking link
+const followUpLimiter = createRateLimiter('inquiries.followUp', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many messages. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Unambiguous characters only (no 0/O, 1/I/L) since codes are typed in by hand
+const TRACKING_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// e.g. "INQ-7KQ4-M2XH-9PRT"; only its hash is stored
+const generateTrackingCode = () => {
+  const chars = Array.from(crypto.randomBytes(12), byte => TRACKING_CODE_ALPHABET[byte % TRACKING_CODE_ALPHABET.length]);
+  return `INQ-${chars.slice(0, 4).join('')}-${chars.slice(4, 8).join('')}-${chars.slice(8, 12).join('')}`;
+};
+
+const hashTrackingCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).trim().toUpperCase())
+  .digest('hex');
+
+// Responses never include the tracking code hash
+const withoutTrackingHash = ({ tracking_code_hash, ...inquiry }) => inquiry;
 
 // Database connection health check
 const checkDatabaseHealth = async () => {
@@ -25,7 +115,13 @@ router.get('/categories', async (req, res) => {
     const pool = getPool();
     conn = await pool.getConnection();
     
-    const [rows] = await conn.execute('SELECT * FROM inquiry_categories ORDER BY name ASC');
+    // Only active categories are offered in the picker
+    const [rows] = await conn.execute(
+      `SELECT id, name, code, description, sort_order
+       FROM inquiry_categories
+       WHERE is_active = 1
+       ORDER BY sort_order ASC, name ASC`
+    );
     
     res.json({ 
       success: true, 
@@ -56,7 +152,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // POST - Submit a new inquiry
-router.post('/submit', async (req, res) => {
+router.post('/submit', submitLimiter, emailLimiter, mobileLimiter, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
@@ -118,63 +214,109 @@ router.post('/submit', async (req, res) => {
       });
     }
 
-    // Check if email already has a submission
-    const [existingEmail] = await conn.execute(
-      'SELECT id, created_at FROM inquiries WHERE email = ? LIMIT 1',
-      [email]
+    // Verify category exists
+    const [categoryCheck] = await conn.execute(
+      'SELECT id FROM inquiry_categories WHERE id = ? AND is_active = 1',
+      [category_id]
     );
 
-    if (existingEmail.length > 0) {
-      return res.status(409).json({
+    if (categoryCheck.length === 0) {
+      return res.status(400).json({
         success: false,
-        error: 'An inquiry with this email address has already been submitted',
-        code: 'DUPLICATE_EMAIL',
-        existing_inquiry_id: existingEmail[0].id,
-        submitted_at: existingEmail[0].created_at,
+        error: 'Invalid category_id',
+        code: 'INVALID_CATEGORY',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    // Check if mobile number already has a submission
-    const [existingMobile] = await conn.execute(
-      'SELECT id, created_at FROM inquiries WHERE mobilenr = ? LIMIT 1',
-      [mobilenr]
-    );
-
-    if (existingMobile.length > 0) {
-      return res.status(409).json({
+    // Nothing from the same contact right after their previous submission, linked or not
+    const cooldownSeconds = await contactCooldownRemaining(conn, { email, mobilenr });
+    if (cooldownSeconds > 0) {
+      res.set('Retry-After', String(cooldownSeconds));
+      return res.status(429).json({
         success: false,
-        error: 'An inquiry with this mobile number has already been submitted',
-        code: 'DUPLICATE_MOBILE',
-        existing_inquiry_id: existingMobile[0].id,
-        submitted_at: existingMobile[0].created_at,
+        error: 'You submitted an inquiry moments ago. Please wait before submitting another.',
+        code: 'CONTACT_COOLDOWN',
+        retry_after_seconds: cooldownSeconds,
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    // Verify category exists
-    const [categoryCheck] = await conn.execute(
-      'SELECT id FROM inquiry_categories WHERE id = ?',
-      [category_id]
-    );
+    // Asking the same open question again adds it to that inquiry's thread
+    const duplicate = await findDuplicateInquiry(conn, { email, mobilenr, message });
 
-    if (categoryCheck.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid category_id',
-        code: 'INVALID_CATEGORY',
-        processingTime: `${Date.now() - startTime}ms`
+    if (duplicate) {
+      await conn.beginTransaction();
+      try {
+        await addMessage(conn, {
+          inquiryId: duplicate.id,
+          authorType: 'submitter',
+          messageType: 'duplicate_submission',
+          body: message
+        });
+        await conn.execute('UPDATE inquiries SET updated_at = NOW() WHERE id = ?', [duplicate.id]);
+        await conn.commit();
+      } catch (linkError) {
+        await conn.rollback();
+        throw linkError;
+      }
+
+      console.log(`Inquiry submission linked to open inquiry ${duplicate.id} (similarity ${duplicate.similarity.toFixed(2)})`);
+
+      notifyAssignee(duplicate.id, {
+        subject: `Inquiry #${duplicate.id} was submitted again`,
+        text: ['The submitter sent this question again as a new inquiry:', '', message.trim()].join('\n')
+      });
+
+      // The inquiry's details go only to the address on file, never in the response
+      sendMail({
+        to: duplicate.email,
+        subject: `Your message was added to inquiry #${duplicate.id}`,
+        text: [
+          `Hello ${duplicate.name},`,
+          '',
+          `You already have an open inquiry about this (#${duplicate.id}), so we added your message to it instead of opening a new one.`,
+          '',
+          'Use the tracking code from your first confirmation email to follow it.'
+        ].join('\n')
+      }).catch(mailError => console.error('Failed to send duplicate inquiry notice:', mailError.message));
+
+      return res.json({
+        success: true,
+        message: 'Your message was added to your open inquiry about this. Check your email for details.',
+        code: 'LINKED_TO_OPEN_INQUIRY',
+        data: {
+          linked: true
+        },
+        meta: {
+          processingTime: `${Date.now() - startTime}ms`,
+          submissionTime: new Date().toISOString()
+        }
       });
     }
 
-    // Insert inquiry with default status 'pen' (pending)
-    const [result] = await conn.execute(
-      `INSERT INTO inquiries (name, email, mobilenr, category_id, message, status, created_at, updated_at) 
-       VALUES (?, ?, ?, ?, ?, 'pen', NOW(), NOW())`,
-      [name, email, mobilenr, category_id, message]
-    );
+    const trackingCode = generateTrackingCode();
 
-    const inquiryId = result.insertId;
+    // The inquiry and its SLA due dates are written together, so the escalation job
+    // never sees an inquiry without due dates
+    const inquiryId = await withTransaction(async (connection) => {
+      // Insert inquiry with default status 'pen' (pending)
+      const [result] = await connection.execute(
+        `INSERT INTO inquiries (name, email, mobilenr, category_id, message, status, tracking_code_hash, created_at, updated_at) 
+         VALUES (?, ?, ?, ?, ?, 'pen', ?, NOW(), NOW())`,
+        [name, email, mobilenr, category_id, message, hashTrackingCode(trackingCode)]
+      );
+
+      await setSlaDueDates(connection, result.insertId);
+      return result.insertId;
+    });
+
+    // A routing failure must not lose the inquiry; it stays unassigned for an admin to pick up
+    try {
+      await autoAssignInquiry(inquiryId, category_id);
+    } catch (assignError) {
+      console.error('Failed to auto-assign inquiry:', assignError.message);
+    }
 
     // Fetch the created inquiry with category details
     const [inquiry] = await conn.execute(`
@@ -184,6 +326,21 @@ router.post('/submit', async (req, res) => {
       WHERE i.id = ?
     `, [inquiryId]);
 
+    // The code is only ever shown here and in this email
+    sendMail({
+      to: email,
+      subject: `We received your inquiry (${trackingCode})`,
+      text: [
+        `Hello ${name},`,
+        '',
+        `Thank you for contacting AFPPGMC. Your inquiry about "${inquiry[0].category_name}" has been received.`,
+        '',
+        `Tracking code: ${trackingCode}`,
+        '',
+        'Use this code in the app to check the status of your inquiry. Keep it private.'
+      ].join('\n')
+    }).catch(mailError => console.error('Failed to send inquiry confirmation:', mailError.message));
+
     const processingTime = Date.now() - startTime;
 
     res.json({
@@ -191,6 +348,7 @@ router.post('/submit', async (req, res) => {
       message: 'Inquiry submitted successfully',
       data: {
         inquiry_id: inquiryId,
+        tracking_code: trackingCode,
         name: inquiry[0].name,
         email: inquiry[0].email,
         mobilenr: inquiry[0].mobilenr,
@@ -245,113 +403,64 @@ router.post('/submit', async (req, res) => {
     }
   }
 });
-// GET - Fetch all inquiries (with optional filtering)
-router.get('/', async (req, res) => {
-  const startTime = Date.now();
-  let conn = null;
-
-  try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { status, category_id, assigned_to } = req.query;
-    
-    let query = `
-      SELECT i.*, ic.name as category_name, ic.code as category_code
-      FROM inquiries i
-      JOIN inquiry_categories ic ON i.category_id = ic.id
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (status) {
-      query += ' AND i.status = ?';
-      params.push(status);
-    }
-
-    if (category_id) {
-      query += ' AND i.category_id = ?';
-      params.push(category_id);
-    }
-
-    if (assigned_to) {
-      query += ' AND i.assigned_to = ?';
-      params.push(assigned_to);
-    }
-
-    query += ' ORDER BY i.created_at DESC';
-
-    const [rows] = await conn.execute(query, params);
-    
-    res.json({ 
-      success: true, 
-      data: rows,
-      meta: {
-        count: rows.length,
-        processingTime: `${Date.now() - startTime}ms`
-      }
-    });
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching inquiries:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
-    });
-  } finally {
-    if (conn) {
-      try {
-        conn.release();
-        console.log("Database connection released");
-      } catch (releaseError) {
-        console.error("Connection release error:", releaseError);
-      }
-    }
-  }
-});
 
-// GET - Fetch specific inquiry by ID
-router.get('/:inquiry_id', async (req, res) => {
+// GET - Look up one's own inquiry with the tracking code given at submission
+router.get('/track/:tracking_code', trackLimiter, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
   try {
     const pool = getPool();
     conn = await pool.getConnection();
-    
-    const { inquiry_id } = req.params;
 
     const [rows] = await conn.execute(`
-      SELECT i.*, ic.name as category_name, ic.code as category_code, ic.description as category_description
+      SELECT i.id, i.name, i.email, i.mobilenr, i.category_id, i.message, i.status, i.created_at, i.updated_at,
+             ic.name as category_name, ic.code as category_code
       FROM inquiries i
       JOIN inquiry_categories ic ON i.category_id = ic.id
-      WHERE i.id = ?
-    `, [inquiry_id]);
+      WHERE i.tracking_code_hash = ?
+    `, [hashTrackingCode(req.params.tracking_code)]);
 
     if (rows.length === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Inquiry not found',
+      return res.status(404).json({
+        success: false,
+        error: 'No inquiry found for this tracking code',
         code: 'NOT_FOUND',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    res.json({ 
-      success: true, 
-      data: rows[0],
+    const inquiry = rows[0];
+    const messages = await getThread(inquiry.id);
+
+    res.json({
+      success: true,
+      data: {
+        inquiry_id: inquiry.id,
+        name: inquiry.name,
+        email: inquiry.email,
+        mobilenr: inquiry.mobilenr,
+        category: {
+          id: inquiry.category_id,
+          name: inquiry.category_name,
+          code: inquiry.category_code
+        },
+        message: inquiry.message,
+        status: inquiry.status,
+        created_at: inquiry.created_at,
+        updated_at: inquiry.updated_at,
+        messages
+      },
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    console.error('Error fetching inquiry:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error tracking inquiry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up inquiry',
       code: 'SERVER_ERROR',
       processingTime: `${processingTime}ms`
     });
@@ -367,156 +476,102 @@ router.get('/:inquiry_id', async (req, res) => {
   }
 });
 
-// GET - Fetch inquiries by email
-router.get('/email/:email', async (req, res) => {
+// POST - Submitter follow-up through the tracking link. A follow-up on a resolved
+// inquiry reopens it; closed inquiries take no more messages.
+router.post('/track/:tracking_code/messages', followUpLimiter, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
   try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { email } = req.params;
-
-    const [rows] = await conn.execute(`
-      SELECT i.*, ic.name as category_name, ic.code as category_code
-      FROM inquiries i
-      JOIN inquiry_categories ic ON i.category_id = ic.id
-      WHERE i.email = ?
-      ORDER BY i.created_at DESC
-    `, [email]);
+    const { message, attachments } = req.body;
 
-    res.json({ 
-      success: true, 
-      data: rows,
-      meta: {
-        count: rows.length,
+    const inputError = validateMessageInput({ message, attachments });
+    if (inputError) {
+      return res.status(400).json({
+        success: false,
+        error: inputError,
+        code: 'VALIDATION_ERROR',
         processingTime: `${Date.now() - startTime}ms`
-      }
-    });
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching inquiries by email:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
-    });
-  } finally {
-    if (conn) {
-      try {
-        conn.release();
-        console.log("Database connection released");
-      } catch (releaseError) {
-        console.error("Connection release error:", releaseError);
-      }
+      });
     }
-  }
-});
-
-// GET - Fetch inquiries by mobile number
-router.get('/mobile/:mobilenr', async (req, res) => {
-  const startTime = Date.now();
-  let conn = null;
 
-  try {
     const pool = getPool();
     conn = await pool.getConnection();
-    
-    const { mobilenr } = req.params;
+    await conn.beginTransaction();
 
-    const [rows] = await conn.execute(`
-      SELECT i.*, ic.name as category_name, ic.code as category_code
-      FROM inquiries i
-      JOIN inquiry_categories ic ON i.category_id = ic.id
-      WHERE i.mobilenr = ?
-      ORDER BY i.created_at DESC
-    `, [mobilenr]);
+    const [rows] = await conn.execute(
+      'SELECT id, status FROM inquiries WHERE tracking_code_hash = ? FOR UPDATE',
+      [hashTrackingCode(req.params.tracking_code)]
+    );
 
-    res.json({ 
-      success: true, 
-      data: rows,
-      meta: {
-        count: rows.length,
+    if (rows.length === 0) {
+      await conn.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'No inquiry found for this tracking code',
+        code: 'NOT_FOUND',
         processingTime: `${Date.now() - startTime}ms`
-      }
-    });
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Error fetching inquiries by mobile:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
-      code: 'SERVER_ERROR',
-      processingTime: `${processingTime}ms`
-    });
-  } finally {
-    if (conn) {
-      try {
-        conn.release();
-        console.log("Database connection released");
-      } catch (releaseError) {
-        console.error("Connection release error:", releaseError);
-      }
+      });
     }
-  }
-});
 
-// PUT - Update inquiry status
-router.put('/:inquiry_id/status', async (req, res) => {
-  const startTime = Date.now();
-  let conn = null;
-
-  try {
-    const pool = getPool();
-    conn = await pool.getConnection();
-    
-    const { inquiry_id } = req.params;
-    const { status } = req.body;
+    const inquiry = rows[0];
 
-    // Validate status
-    const validStatuses = ['pen', 'in_prog', 'res', 'clo']; // pending, in_progress, resolved, closed
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    if (inquiry.status === 'clo') {
+      await conn.rollback();
+      return res.status(409).json({
         success: false,
-        error: 'Invalid status. Must be pen (pending), in_prog (in progress), res (resolved), or clo (closed)',
-        code: 'INVALID_STATUS',
+        error: 'This inquiry is closed. Please submit a new inquiry.',
+        code: 'INQUIRY_CLOSED',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const [result] = await conn.execute(
-      'UPDATE inquiries SET status = ?, updated_at = NOW() WHERE id = ?',
-      [status, inquiry_id]
-    );
+    const messageId = await addMessage(conn, {
+      inquiryId: inquiry.id,
+      authorType: 'submitter',
+      body: message,
+      attachments: attachments || []
+    });
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Inquiry not found',
-        code: 'NOT_FOUND',
-        processingTime: `${Date.now() - startTime}ms`
-      });
+    const status = inquiry.status === 'res' ? 'in_prog' : inquiry.status;
+    await updateInquiryStatus(conn, inquiry.id, status);
+
+    if (status !== inquiry.status) {
+      await recordStatusChange(conn, { inquiryId: inquiry.id, fromStatus: inquiry.status, toStatus: status });
     }
 
-    res.json({ 
-      success: true, 
-      message: 'Inquiry status updated successfully',
+    await conn.commit();
+
+    notifyAssignee(inquiry.id, {
+      subject: `New follow-up on inquiry #${inquiry.id}`,
+      text: [
+        'The submitter added a message:',
+        '',
+        message.trim(),
+        ...(status !== inquiry.status ? ['', 'The inquiry was reopened because it had been marked resolved.'] : [])
+      ].join('\n')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
       data: {
-        inquiry_id: parseInt(inquiry_id),
-        status: status
+        message_id: messageId,
+        status
       },
       meta: {
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
+    if (conn) {
+      await conn.rollback();
+    }
     const processingTime = Date.now() - startTime;
-    console.error('Error updating inquiry status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message,
+    console.error('Error adding inquiry follow-up:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message',
       code: 'SERVER_ERROR',
       processingTime: `${processingTime}ms`
     });
@@ -532,8 +587,8 @@ router.put('/:inquiry_id/status', async (req, res) => {
   }
 });
 
-// PUT - Assign inquiry to user
-router.put('/:inquiry_id/assign', async (req, res) => {
+// GET - Fetch inquiries by email (only the authenticated pensioner's own email)
+router.get('/email/:email', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
@@ -541,61 +596,41 @@ router.put('/:inquiry_id/assign', async (req, res) => {
     const pool = getPool();
     conn = await pool.getConnection();
     
-    const { inquiry_id } = req.params;
-    const { assigned_to } = req.body;
-
-    if (!assigned_to) {
-      return res.status(400).json({
-        success: false,
-        error: 'assigned_to user ID is required',
-        code: 'MISSING_ASSIGNED_TO',
-        processingTime: `${Date.now() - startTime}ms`
-      });
-    }
+    const { email } = req.params;
 
-    // Optionally verify the assigned_to user exists in users_tbl
-    const [userCheck] = await conn.execute(
-      'SELECT id FROM users_tbl WHERE id = ?',
-      [assigned_to]
+    const [owner] = await conn.execute(
+      'SELECT id FROM users_tbl WHERE id = ? AND email = ?',
+      [req.user.userId, email.trim().toLowerCase()]
     );
 
-    if (userCheck.length === 0) {
-      return res.status(400).json({
+    if (owner.length === 0) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid assigned_to user ID',
-        code: 'INVALID_USER',
+        error: 'You can only view inquiries submitted with your own email',
+        code: 'FORBIDDEN',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const [result] = await conn.execute(
-      'UPDATE inquiries SET assigned_to = ?, status = IF(status = "pen", "in_prog", status), updated_at = NOW() WHERE id = ?',
-      [assigned_to, inquiry_id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Inquiry not found',
-        code: 'NOT_FOUND',
-        processingTime: `${Date.now() - startTime}ms`
-      });
-    }
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      WHERE i.email = ?
+      ORDER BY i.created_at DESC
+    `, [email]);
 
     res.json({ 
       success: true, 
-      message: 'Inquiry assigned successfully',
-      data: {
-        inquiry_id: parseInt(inquiry_id),
-        assigned_to: assigned_to
-      },
+      data: rows.map(withoutTrackingHash),
       meta: {
+        count: rows.length,
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    console.error('Error assigning inquiry:', error);
+    console.error('Error fetching inquiries by email:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message,
@@ -614,8 +649,8 @@ router.put('/:inquiry_id/assign', async (req, res) => {
   }
 });
 
-// GET - Analytics/Statistics for inquiries
-router.get('/analytics/stats', async (req, res) => {
+// GET - Fetch inquiries by mobile number (only the authenticated pensioner's own number)
+router.get('/mobile/:mobilenr', authenticatePensionerToken, async (req, res) => {
   const startTime = Date.now();
   let conn = null;
 
@@ -623,61 +658,44 @@ router.get('/analytics/stats', async (req, res) => {
     const pool = getPool();
     conn = await pool.getConnection();
     
-    // Get inquiry counts by status
-    const [statusStats] = await conn.execute(`
-      SELECT 
-        status,
-        COUNT(*) as count
-      FROM inquiries
-      GROUP BY status
-    `);
-
-    // Get inquiry counts by category
-    const [categoryStats] = await conn.execute(`
-      SELECT 
-        ic.name as category_name,
-        ic.code as category_code,
-        COUNT(i.id) as count
-      FROM inquiry_categories ic
-      LEFT JOIN inquiries i ON ic.id = i.category_id
-      GROUP BY ic.id, ic.name, ic.code
-      ORDER BY count DESC
-    `);
-
-    // Get recent inquiries
-    const [recentInquiries] = await conn.execute(`
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as count
-      FROM inquiries
-      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-    `);
-
-    // Get assigned vs unassigned
-    const [assignmentStats] = await conn.execute(`
-      SELECT 
-        COUNT(CASE WHEN assigned_to IS NOT NULL THEN 1 END) as assigned_count,
-        COUNT(CASE WHEN assigned_to IS NULL THEN 1 END) as unassigned_count
-      FROM inquiries
-    `);
+    const { mobilenr } = req.params;
 
-    res.json({
-      success: true,
-      data: {
-        status_statistics: statusStats,
-        category_statistics: categoryStats,
-        recent_inquiries: recentInquiries,
-        assignment_statistics: assignmentStats[0]
-      },
+    const [owner] = await conn.execute(`
+      SELECT u.id
+      FROM users_tbl u
+      JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
+      JOIN test_table h ON p.hero_ndx = h.NDX
+      WHERE u.id = ? AND h.MOBILENR = ?
+    `, [req.user.userId, mobilenr.trim()]);
+
+    if (owner.length === 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view inquiries submitted with your own mobile number',
+        code: 'FORBIDDEN',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const [rows] = await conn.execute(`
+      SELECT i.*, ic.name as category_name, ic.code as category_code
+      FROM inquiries i
+      JOIN inquiry_categories ic ON i.category_id = ic.id
+      WHERE i.mobilenr = ?
+      ORDER BY i.created_at DESC
+    `, [mobilenr]);
+
+    res.json({ 
+      success: true, 
+      data: rows.map(withoutTrackingHash),
       meta: {
+        count: rows.length,
         processingTime: `${Date.now() - startTime}ms`
       }
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
-    console.error('Error fetching inquiry statistics:', error);
+    console.error('Error fetching inquiries by mobile:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message,
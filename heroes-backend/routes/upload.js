@@ -1,14 +1,21 @@
 const express = require('express');
+const crypto = require('crypto');
 const multer = require('multer');
-const { Client } = require('minio');
+const { createRateLimiter } = require('../config/rateLimit');
+const { minioClient, BUCKET, publicUrlFor, removeFile } = require('../services/storage');
+const { authenticatePensionerToken } = require('./users');
+const { isFileReferenced } = require('../services/formDrafts');
 const router = express.Router();
 
-const minioClient = new Client({
-  endPoint: process.env.SPACES_ENDPOINT.replace('https://', ''),
-  port: 443,
-  useSSL: true,
-  accessKey: process.env.SPACES_KEY,
-  secretKey: process.env.SPACES_SECRET,
+const uploadLimiter = createRateLimiter('upload', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50,
+  message: {
+    success: false,
+    error: 'Too many uploads. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
 // Configure multer for file uploads
@@ -34,7 +41,7 @@ const upload = multer({
 });
 
 // Upload file to DigitalOcean Spaces
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', uploadLimiter, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -45,7 +52,9 @@ router.post('/', upload.single('file'), async (req, res) => {
 
     const timestamp = Date.now();
     const folder = req.body.folder || 'uploads';
-    const fileName = `${folder}/${timestamp}-${req.file.originalname}`;
+    // The random part keeps keys unguessable: a file can only be attached or deleted by
+    // whoever was given its key
+    const fileName = `${folder}/${timestamp}-${crypto.randomBytes(8).toString('hex')}-${req.file.originalname}`;
 
     // Parse metadata FIRST, before using it
     const metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
@@ -89,14 +98,14 @@ router.post('/', upload.single('file'), async (req, res) => {
     }
 
     await minioClient.putObject(
-      process.env.SPACES_BUCKET,
+      BUCKET,
       fileName,
       req.file.buffer,
       req.file.size,
       uploadMetadata
     );
 
-    const publicUrl = `https://${process.env.SPACES_BUCKET}.sgp1.digitaloceanspaces.com/${fileName}`;
+    const publicUrl = publicUrlFor(fileName);
     
     const responseData = {
       url: publicUrl,
@@ -138,8 +147,9 @@ router.post('/', upload.single('file'), async (req, res) => {
   }
 });
 
-// Delete file from DigitalOcean Spaces
-router.delete('/:key(*)', async (req, res) => {
+// Delete an upload from DigitalOcean Spaces. Only files nothing uses yet can be deleted;
+// files saved on a draft, submission or inquiry go away with it.
+router.delete('/:key(*)', authenticatePensionerToken, async (req, res) => {
   try {
     const { key } = req.params;
     if (!key) {
@@ -149,10 +159,15 @@ router.delete('/:key(*)', async (req, res) => {
       });
     }
 
-    await minioClient.removeObject(
-      process.env.SPACES_BUCKET, 
-      decodeURIComponent(key)
-    );
+    const fileKey = decodeURIComponent(key);
+    if (await isFileReferenced(fileKey)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This file is in use and cannot be deleted'
+      });
+    }
+
+    await removeFile(fileKey);
     
     res.json({ 
       success: true, 
@@ -180,7 +195,7 @@ router.get('/info/:key(*)', async (req, res) => {
     }
 
     const stat = await minioClient.statObject(
-      process.env.SPACES_BUCKET, 
+      BUCKET, 
       decodeURIComponent(key)
     );
     
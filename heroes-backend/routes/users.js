@@ -1,10 +1,16 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
-const rateLimit = require("express-rate-limit");
 const validator = require("validator");
+const jwt = require("jsonwebtoken");
 const router = express.Router();
-const { getConnection, executeQuery, healthCheck, testConnection, logger } = require('../config/database');
+const { executeQuery, withTransaction, healthCheck, testConnection, logger } = require('../config/database');
+const { createRateLimiter } = require('../config/rateLimit');
+const { ACCESS_TOKEN_EXPIRATION, createSession, rotateRefreshToken, revokeSession, revokeAllSessions, isSessionActive } = require('../services/sessions');
+const { sendMail } = require('../services/mailer');
+const { sendSms } = require('../services/sms');
+const { filterPassword, validatePasswordStrength } = require('../services/passwordPolicy');
+const { checkLockout, recordFailedAttempt, clearFailedAttempts, unlockWithToken } = require('../services/accountLockout');
 
 router.get("/", async (req, res) => {
   res.json({
@@ -15,6 +21,12 @@ router.get("/", async (req, res) => {
       "POST /api/users/validate-step2",
       "POST /api/users/create-account",
       "POST /api/users/login", 
+      "POST /api/users/refresh",
+      "POST /api/users/verify-email",
+      "POST /api/users/resend-verification",
+      "POST /api/users/forgot-password",
+      "POST /api/users/forgot-password/identity",
+      "POST /api/users/reset-password",
       "GET /api/users/health",
       "POST /api/users/logout"
     ]
@@ -47,6 +59,7 @@ router.get("/health", async (req, res) => {
           { method: "POST", path: "/api/users/validate-step2", description: "Step 2: Validate personal information" },
           { method: "POST", path: "/api/users/create-account", description: "Step 3: Create user account" },
           { method: "POST", path: "/api/users/login", description: "signin" },
+          { method: "POST", path: "/api/users/refresh", description: "rotate refresh token" },
           { method: "GET", path: "/api/users/health", description: "health status" },
           { method: "POST", path: "/api/users/logout", description: "logout" }
         ],
@@ -86,7 +99,7 @@ router.get("/health", async (req, res) => {
 });
 
 // Rate limiting
-const step1Limiter = rateLimit({
+const step1Limiter = createRateLimiter('users.step1', {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10,
   message: {
@@ -98,7 +111,7 @@ const step1Limiter = rateLimit({
   legacyHeaders: false,
 });
 
-const step2Limiter = rateLimit({
+const step2Limiter = createRateLimiter('users.step2', {
   windowMs: 15 * 60 * 1000,
   max: 10,
   message: {
@@ -110,7 +123,7 @@ const step2Limiter = rateLimit({
   legacyHeaders: false,
 });
 
-const createAccountLimiter = rateLimit({
+const createAccountLimiter = createRateLimiter('users.createAccount', {
   windowMs: 30 * 60 * 1000,
   max: 5, // signup attempts
   message: {
@@ -122,7 +135,7 @@ const createAccountLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const signupLimiter = rateLimit({
+const signupLimiter = createRateLimiter('users.signup', {
   windowMs: 30 * 60 * 1000,
   max: 20,
   message: {
@@ -135,7 +148,7 @@ const signupLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const loginLimiter = rateLimit({
+const loginLimiter = createRateLimiter('users.login', {
   windowMs: 15 * 60 * 1000,
   max: 5,
   message: {
@@ -148,6 +161,20 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Response for an account that is locked or has to wait before the next attempt
+const accountLockedResponse = (res, lockState, startTime) => {
+  res.set('Retry-After', String(lockState.retryAfterSeconds));
+  return res.status(lockState.locked ? 423 : 429).json({
+    success: false,
+    error: lockState.locked
+      ? "Too many failed attempts. This account is temporarily locked. Check your email for an unlock link or try again later."
+      : "Too many failed attempts. Please wait a moment before trying again.",
+    code: lockState.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_FAILED_ATTEMPTS',
+    retryAfter: lockState.retryAfterSeconds,
+    processingTime: `${Date.now() - startTime}ms`
+  });
+};
+
 const sanitizeInput = (req, res, next) => {
   const sanitizeString = (str) => {
     if (typeof str !== 'string') return str;
@@ -162,37 +189,6 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
-const filterPassword = (password) => {
-  if (typeof password !== 'string') return '';
-  return password.replace(/[<>;"'`\\]/g, '').trim();
-};
-
-const validatePasswordStrength = (password) => {
-  const minLength = 8;
-  const maxLength = 128;
-  const hasNumber = /\d/.test(password);
-  const hasLetter = /[a-zA-Z]/.test(password);
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-  const hasMinLength = password.length >= minLength;
-  const hasMaxLength = password.length <= maxLength;
-  const noRepeatedChars = !/(.)\1{2,}/.test(password);
-  const noCommonPatterns = !/^(123456|password|qwerty|abc123|admin|letmein)/i.test(password);
-
-  const errors = [];
-  if (!hasMinLength) errors.push("Password must be at least 8 characters");
-  if (!hasMaxLength) errors.push("Password must be less than 128 characters");
-  if (!hasNumber) errors.push("Password must contain at least one number");
-  if (!hasLetter) errors.push("Password must contain at least one letter");
-  if (!hasSpecialChar) errors.push("Password must contain at least one special character (!@#$%^&*(),.?\":{}|<>)");
-  if (!noRepeatedChars) errors.push("Password cannot contain more than 2 repeated characters");
-  if (!noCommonPatterns) errors.push("Password cannot be a common password");
-
-  return {
-    isValid: hasMinLength && hasMaxLength && hasNumber && hasLetter && hasSpecialChar && noRepeatedChars && noCommonPatterns,
-    errors
-  };
-};
-
 // Database connection validation middleware
 const validateDatabaseConnection = async (req, res, next) => {
   try {
@@ -215,6 +211,99 @@ const validateDatabaseConnection = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate pensioner JWT tokens (mobile app)
+const authenticatePensionerToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: "Access token required",
+      code: 'TOKEN_REQUIRED'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'afppgmc-mobile',
+    audience: 'afppgmc-mobile-app'
+  }, async (err, user) => {
+    if (err) {
+      logger.warn(`Pensioner JWT verification error: ${err.message}`);
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired token",
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    if (user.type !== 'pensioner') {
+      return res.status(403).json({
+        success: false,
+        error: "Pensioner access required",
+        code: 'PENSIONER_ACCESS_REQUIRED'
+      });
+    }
+
+    try {
+      // Logout, suspension or refresh-token reuse revokes the session immediately
+      if (!(await isSessionActive('pensioner', user.userId, user.sid))) {
+        return res.status(401).json({
+          success: false,
+          error: "Session has ended. Please log in again.",
+          code: 'SESSION_REVOKED'
+        });
+      }
+    } catch (error) {
+      logger.error('Pensioner session check failed:', error);
+      return res.status(503).json({
+        success: false,
+        error: "Unable to verify session. Please try again later.",
+        code: 'SESSION_CHECK_FAILED'
+      });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Rejects requests whose :userId / :user_id does not belong to the token holder.
+// Must run after authenticatePensionerToken on routes that still carry the id in the URL.
+const requireOwnAccount = (req, res, next) => {
+  const requestedId = req.params.userId || req.params.user_id;
+
+  if (requestedId !== undefined && parseInt(requestedId, 10) !== req.user.userId) {
+    logger.warn(`User ${req.user.userId} attempted to access account ${requestedId}`);
+    return res.status(403).json({
+      success: false,
+      error: "You can only access your own account",
+      code: 'FORBIDDEN'
+    });
+  }
+  next();
+};
+
+const generatePensionerToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      userId: user.user_id,
+      id: user.user_id,
+      pensionerId: user.pensioner_id,
+      email: user.email,
+      sid: sessionId,
+      loginAt: new Date().toISOString(),
+      type: 'pensioner'
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_EXPIRATION,
+      issuer: 'afppgmc-mobile',
+      audience: 'afppgmc-mobile-app'
+    }
+  );
+};
+
 const generateValidationToken = (data) => {
   const token = crypto.randomBytes(32).toString('hex');
   return { token, data };
@@ -361,7 +450,87 @@ const debugTokenStatus = async (token) => {
   }
 };
 
-setInterval(cleanupExpiredTokens, 60 * 60 * 1000);
+setInterval(cleanupExpiredTokens, 60 * 60 * 1000).unref();
+
+// Single-use tokens (email verification) are removed once redeemed
+const consumeValidationToken = async (token) => {
+  await executeQuery('DELETE FROM signup_tokens WHERE token = ?', [token]);
+};
+
+// EMAIL VERIFICATION
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// Actions an unverified (UNV) account may not perform, e.g. "forms.submit,profile.update"
+const UNVERIFIED_BLOCKED_ACTIONS = (process.env.UNVERIFIED_BLOCKED_ACTIONS || 'forms.submit')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+const VERIFICATION_TOKEN_FILTER = `JSON_UNQUOTE(JSON_EXTRACT(data, '$.purpose')) = 'email_verification'
+       AND JSON_EXTRACT(data, '$.user_id') = ?`;
+
+// Issue a fresh verification token (replacing older ones) and email it to the user
+const sendVerificationEmail = async (userId, email) => {
+  await executeQuery(`DELETE FROM signup_tokens WHERE ${VERIFICATION_TOKEN_FILTER}`, [userId]);
+
+  const { token, data } = generateValidationToken({
+    purpose: 'email_verification',
+    user_id: userId,
+    email
+  });
+  await storeValidationToken(token, data, EMAIL_VERIFICATION_TTL_HOURS);
+
+  const verifyUrl = `${process.env.APP_BASE_URL || 'https://afppgmc.com'}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your AFPPGMC Heroes account',
+    text: [
+      'Thank you for registering with the AFPPGMC Heroes app.',
+      '',
+      `Verify your email address by opening this link: ${verifyUrl}`,
+      '',
+      `Or enter this code in the app: ${token}`,
+      '',
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. If you did not create an account, ignore this email.`
+    ].join('\n')
+  });
+
+  return token;
+};
+
+// Middleware factory: blocks configured actions for accounts that have not verified their email.
+// Must run after authenticatePensionerToken.
+const requireVerifiedAccount = (action) => async (req, res, next) => {
+  if (!UNVERIFIED_BLOCKED_ACTIONS.includes(action)) {
+    return next();
+  }
+
+  try {
+    const users = await executeQuery(
+      'SELECT status FROM users_tbl WHERE id = ? LIMIT 1',
+      [req.user.userId]
+    );
+
+    if (users.length > 0 && users[0].status === 'UNV') {
+      return res.status(403).json({
+        success: false,
+        error: "Please verify your email address before continuing.",
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (error) {
+    logger.error('Verification status check failed:', error);
+    res.status(503).json({
+      success: false,
+      error: "Unable to verify account status. Please try again later.",
+      code: 'STATUS_CHECK_FAILED'
+    });
+  }
+};
 
 // SIGNUP 
 
@@ -750,25 +919,20 @@ router.post("/create-account", createAccountLimiter, sanitizeInput, validateData
       });
     }
 
-    // Create account using transaction
-    const connection = await getConnection();
-    
-    try {
-      await connection.beginTransaction();
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(filteredPassword, saltRounds);
+
+    const pensionerData = {
+      hero_ndx: validationData.hero_ndx,
+      type: validationData.type,
+      bos: validationData.bos,
+      b_type: validationData.b_type,
+      principal_firstname: validationData.principal_first_name,
+      principal_lastname: validationData.principal_last_name
+    };
 
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(filteredPassword, saltRounds);
-      
-      // Create pensioner record
-      const pensionerData = {
-        hero_ndx: validationData.hero_ndx,
-        type: validationData.type,
-        bos: validationData.bos,
-        b_type: validationData.b_type,
-        principal_firstname: validationData.principal_first_name,
-        principal_lastname: validationData.principal_last_name
-      };
-      
+    // The pensioner and user records are created together or not at all
+    const { pensionerId, userId } = await withTransaction(async (connection) => {
       const [pensionerResult] = await connection.execute(
         `INSERT INTO pensioners_tbl (hero_ndx, type, bos, b_type, principal_firstname, principal_lastname) 
          VALUES (?, ?, ?, ?, ?, ?)`,
@@ -781,58 +945,61 @@ router.post("/create-account", createAccountLimiter, sanitizeInput, validateData
           pensionerData.principal_lastname
         ]
       );
-      
-      const pensionerId = pensionerResult.insertId;
-      
-      // Create user record
+
       const [userResult] = await connection.execute(
         `INSERT INTO users_tbl (pensioner_ndx, email, password_hash, status, created_at) 
          VALUES (?, ?, ?, 'UNV', NOW())`,
-        [pensionerId, normalizedEmail, hashedPassword]
+        [pensionerResult.insertId, normalizedEmail, hashedPassword]
       );
-      
-      const userId = userResult.insertId;
-      await connection.commit();
-
-      const processingTime = Date.now() - startTime;
-      logger.info(`Account creation successful for ${normalizedEmail} (${validationData.firstname} ${validationData.lastname}) in ${processingTime}ms`);
 
-      res.status(201).json({
-        success: true,
-        message: "Account created successfully",
-        user: {
-          id: userId,
-          email: normalizedEmail,
-          pensioner_id: pensionerId,
-          type: validationData.type,
-          bos: pensionerData.bos,
-          status: 'ACTIVE',
-          validated_hero: {
-            name: `${validationData.firstname} ${validationData.lastname}`,
-            afpsn: validationData.afpsn,
-            control_number: validationData.hero_ctrl_nr
-          },
-          ...(validationData.type === 'B' && {
-            principal_info: {
-              firstname: validationData.principal_first_name,
-              lastname: validationData.principal_last_name,
-              relationship: validationData.b_type
-            }
-          })
-        },
-        meta: {
-          processingTime: `${processingTime}ms`,
-          accountCreated: new Date().toISOString()
-        }
-      });
+      return { pensionerId: pensionerResult.insertId, userId: userResult.insertId };
+    });
 
-    } catch (insertError) {
-      await connection.rollback();
-      throw insertError;
-    } finally {
-      connection.release();
+    // The account exists even if mail delivery fails; the user can request a resend
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(userId, normalizedEmail);
+    } catch (mailError) {
+      verificationEmailSent = false;
+      logger.warn(`Failed to send verification email to ${normalizedEmail}: ${mailError.message}`);
     }
 
+    const processingTime = Date.now() - startTime;
+    logger.info(`Account creation successful for ${normalizedEmail} (${validationData.firstname} ${validationData.lastname}) in ${processingTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      message: "Account created successfully",
+      user: {
+        id: userId,
+        email: normalizedEmail,
+        pensioner_id: pensionerId,
+        type: validationData.type,
+        bos: pensionerData.bos,
+        status: 'UNVERIFIED',
+        emailVerified: false,
+        validated_hero: {
+          name: `${validationData.firstname} ${validationData.lastname}`,
+          afpsn: validationData.afpsn,
+          control_number: validationData.hero_ctrl_nr
+        },
+        ...(validationData.type === 'B' && {
+          principal_info: {
+            firstname: validationData.principal_first_name,
+            lastname: validationData.principal_last_name,
+            relationship: validationData.b_type
+          }
+        })
+      },
+      verification: {
+        required: true,
+        emailSent: verificationEmailSent
+      },
+      meta: {
+        processingTime: `${processingTime}ms`,
+        accountCreated: new Date().toISOString()
+      }
+    });
   } catch (error) {
     const processingTime = Date.now() - startTime;
     logger.error("Account creation error:", error);
@@ -889,6 +1056,13 @@ router.post("/login", loginLimiter, sanitizeInput, validateDatabaseConnection, a
     const normalizedEmail = email.toLowerCase().trim();
     logger.info(`Login attempt for: ${normalizedEmail}`);
 
+    // Per-account limit on top of the per-IP loginLimiter
+    const lockState = await checkLockout('pensioner', 'email', normalizedEmail);
+    if (lockState.blocked) {
+      logger.warn(`Login blocked for ${normalizedEmail}: ${lockState.locked ? 'locked' : 'delayed'}`);
+      return accountLockedResponse(res, lockState, startTime);
+    }
+
     const users = await executeQuery(`
       SELECT 
         u.id as user_id,
@@ -916,6 +1090,11 @@ router.post("/login", loginLimiter, sanitizeInput, validateDatabaseConnection, a
 
     if (users.length === 0) {
       logger.warn(`Login failed - user not found: ${normalizedEmail}`);
+      // Counted like a real account so lockouts do not reveal which emails exist
+      const failure = await recordFailedAttempt('pensioner', 'email', normalizedEmail, { ip: req.ip });
+      if (failure.locked) {
+        return accountLockedResponse(res, failure, startTime);
+      }
       return res.status(401).json({
         success: false,
         error: "Invalid credentials",
@@ -941,6 +1120,13 @@ router.post("/login", loginLimiter, sanitizeInput, validateDatabaseConnection, a
     
     if (!passwordMatch) {
       logger.warn(`Login failed - invalid password: ${normalizedEmail}`);
+      const failure = await recordFailedAttempt('pensioner', 'email', normalizedEmail, {
+        ip: req.ip,
+        notifyEmail: user.email
+      });
+      if (failure.locked) {
+        return accountLockedResponse(res, failure, startTime);
+      }
       return res.status(401).json({
         success: false,
         error: "Invalid credentials",
@@ -949,23 +1135,35 @@ router.post("/login", loginLimiter, sanitizeInput, validateDatabaseConnection, a
       });
     }
 
+    await clearFailedAttempts('pensioner', 'email', normalizedEmail);
+
     // Update last login (non-blocking)
     executeQuery('UPDATE users_tbl SET last_login = NOW() WHERE id = ?', [user.user_id])
       .catch(error => logger.warn('Failed to update last_login:', error.message));
 
+    const session = await createSession('pensioner', user.user_id, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+    const token = generatePensionerToken(user, session.sessionId);
+
     const processingTime = Date.now() - startTime;
     logger.info(`Login successful for ${normalizedEmail} in ${processingTime}ms`);
 
     const loginResponse = {
       success: true,
       message: "Login successful",
+      token,
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRATION,
       user: {
         id: user.user_id,
         email: user.email,
         pensioner_id: user.pensioner_id,
         type: user.type,
         bos: user.bos, 
-        status: 'ACTIVE',
+        status: user.user_status === 'UNV' ? 'UNVERIFIED' : 'ACTIVE',
+        emailVerified: user.user_status !== 'UNV',
         validated_hero: {
           name: `${user.FIRSTNAME} ${user.LASTNAME}`,
           afpsn: user.AFPSN,
@@ -1034,9 +1232,91 @@ router.post("/login", loginLimiter, sanitizeInput, validateDatabaseConnection, a
   }
 });
 
-// Logout endpoint
-router.post("/logout", async (req, res) => {
+// Normal clients refresh a few times an hour; this only stops token guessing and hammering
+const refreshLimiter = createRateLimiter('users.refresh', {
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: {
+    success: false,
+    error: 'Too many token refresh requests. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Refresh endpoint - rotates the refresh token and issues a new access token
+router.post("/refresh", refreshLimiter, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { refreshToken } = req.body;
+
+    let session;
+    try {
+      session = await rotateRefreshToken(refreshToken, 'pensioner', {
+        ip: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+    } catch (error) {
+      if (!error.code || !error.code.includes('REFRESH_TOKEN')) {
+        throw error;
+      }
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const users = await executeQuery(`
+      SELECT u.id as user_id, u.email, u.status as user_status, p.id as pensioner_id
+      FROM users_tbl u
+      JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
+      WHERE u.id = ?
+      LIMIT 1
+    `, [session.subjectId]);
+
+    if (users.length === 0 || users[0].user_status === 'SUS') {
+      await revokeSession(session.sessionId, 'account_unavailable');
+      return res.status(403).json({
+        success: false,
+        error: "Account is no longer active. Please contact support.",
+        code: 'ACCOUNT_UNAVAILABLE',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Token refreshed",
+      token: generatePensionerToken(users[0], session.sessionId),
+      refreshToken: session.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRATION,
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`,
+        refreshExpiresAt: session.refreshExpiresAt.toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Token refresh failed. Please log in again.",
+      code: 'REFRESH_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// Logout endpoint - revokes the current session so its refresh token can no longer be used
+router.post("/logout", authenticatePensionerToken, async (req, res) => {
   try {
+    await revokeSession(req.user.sid, 'logout');
+    logger.info(`Logout for user ${req.user.userId}`);
+
     res.json({
       success: true,
       message: "Logged out successfully",
@@ -1054,59 +1334,161 @@ router.post("/logout", async (req, res) => {
   }
 });
 
-// PROFILE ROUTES
+// Lift a temporary lockout with the link emailed when the account was locked
+router.post("/unlock-account", step1Limiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
 
-// Add these endpoints to your users.js route file
+  try {
+    const { token } = req.body;
 
-// Rate limiter for profile updates
-const profileUpdateLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Unlock token is required",
+        code: 'MISSING_TOKEN',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const unlocked = await unlockWithToken('pensioner', token);
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        error: "This unlock link is invalid or has expired.",
+        code: 'INVALID_UNLOCK_TOKEN',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Your account has been unlocked. You can sign in again.",
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to unlock account. Please try again.",
+      code: 'UNLOCK_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+const resendVerificationLimiter = createRateLimiter('users.resendVerification', {
+  windowMs: 60 * 60 * 1000, // 1 hour
   max: 5,
+  keyGenerator: (req) => `user:${req.user.userId}`,
   message: {
     success: false,
-    error: 'Too many update attempts. Please try again later.',
+    error: 'Too many verification emails requested. Please try again later.',
     code: 'RATE_LIMITED'
   },
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-// Update Email Endpoint
-router.put("/update-email/:userId", profileUpdateLimiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+// Verify email - flips an UNV account to ACT
+router.post("/verify-email", step1Limiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { userId } = req.params;
-    const { email } = req.body;
+    const { token } = req.body;
 
-    // Validation
-    if (!email) {
+    if (!token) {
       return res.status(400).json({
         success: false,
-        error: "Email is required",
-        code: 'MISSING_EMAIL',
+        error: "Verification token is required",
+        code: 'MISSING_TOKEN',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    if (!validator.isEmail(email)) {
+    let tokenData;
+    try {
+      tokenData = await getValidationToken(token);
+      if (tokenData.purpose !== 'email_verification') {
+        throw new Error('Invalid verification token');
+      }
+    } catch (error) {
+      const expired = error.message.includes('expired');
       return res.status(400).json({
         success: false,
-        error: "Please enter a valid email address",
-        code: 'INVALID_EMAIL',
+        error: expired
+          ? "This verification link has expired. Please request a new one."
+          : "Invalid verification link.",
+        code: expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
         processingTime: `${Date.now() - startTime}ms`
       });
     }
 
-    const normalizedEmail = email.toLowerCase().trim();
+    // Only verify the address the token was issued for
+    const result = await executeQuery(
+      `UPDATE users_tbl SET status = 'ACT', updated_at = NOW()
+       WHERE id = ? AND email = ? AND status = 'UNV'`,
+      [tokenData.user_id, tokenData.email]
+    );
 
-    // Check if user exists
-    const userCheck = await executeQuery(
-      'SELECT id, email FROM users_tbl WHERE id = ? LIMIT 1',
-      [userId]
+    await consumeValidationToken(token);
+
+    if (result.affectedRows === 0) {
+      const users = await executeQuery(
+        'SELECT status, email FROM users_tbl WHERE id = ? LIMIT 1',
+        [tokenData.user_id]
+      );
+
+      if (users.length > 0 && users[0].status === 'ACT' && users[0].email === tokenData.email) {
+        return res.json({
+          success: true,
+          message: "Email already verified",
+          processingTime: `${Date.now() - startTime}ms`
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: "This verification link is no longer valid.",
+        code: 'INVALID_TOKEN',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    logger.info(`Email verified for user ${tokenData.user_id}: ${tokenData.email}`);
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        email: tokenData.email,
+        status: 'ACTIVE'
+      },
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+  } catch (error) {
+    logger.error("Email verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Email verification failed. Please try again.",
+      code: 'VERIFICATION_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// Resend verification email for the logged-in, unverified user
+router.post("/resend-verification", authenticatePensionerToken, resendVerificationLimiter, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const users = await executeQuery(
+      'SELECT id, email, status FROM users_tbl WHERE id = ? LIMIT 1',
+      [req.user.userId]
     );
 
-    if (userCheck.length === 0) {
+    if (users.length === 0) {
       return res.status(404).json({
         success: false,
         error: "User not found",
@@ -1115,11 +1497,539 @@ router.put("/update-email/:userId", profileUpdateLimiter, sanitizeInput, validat
       });
     }
 
-    // Check if new email already exists (excluding current user)
-    const emailExists = await executeQuery(
-      'SELECT id FROM users_tbl WHERE email = ? AND id != ? LIMIT 1',
-      [normalizedEmail, userId]
-    );
+    const user = users[0];
+
+    if (user.status !== 'UNV') {
+      return res.status(409).json({
+        success: false,
+        error: "Email is already verified",
+        code: 'ALREADY_VERIFIED',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const lastSent = await executeQuery(
+      `SELECT TIMESTAMPDIFF(SECOND, created_at, NOW()) as age_seconds
+       FROM signup_tokens
+       WHERE ${VERIFICATION_TOKEN_FILTER}
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [user.id]
+    );
+
+    if (lastSent.length > 0 && lastSent[0].age_seconds < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - lastSent[0].age_seconds;
+      return res.status(429).json({
+        success: false,
+        error: `Please wait ${retryAfter} seconds before requesting another email.`,
+        code: 'RESEND_COOLDOWN',
+        retryAfter,
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    await sendVerificationEmail(user.id, user.email);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+  } catch (error) {
+    logger.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send verification email. Please try again.",
+      code: 'RESEND_VERIFICATION_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// PASSWORD RESET
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const PASSWORD_RESET_MAX_CODE_ATTEMPTS = 5;
+
+const PASSWORD_RESET_TOKEN_FILTER = `JSON_UNQUOTE(JSON_EXTRACT(data, '$.purpose')) = 'password_reset'
+       AND JSON_EXTRACT(data, '$.user_id') = ?`;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// SMS codes are short, so they are looked up per user and only their hash is stored
+const smsResetTokenKey = (userId) => sha256(`password-reset-sms:${userId}`);
+
+const forgotPasswordLimiter = createRateLimiter('users.forgotPassword', {
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    success: false,
+    error: 'Too many password reset requests. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Caps reset requests per account as well as per IP, so one address cannot be flooded from many IPs.
+// Keyed on the submitted email whether or not it is registered, so the 429 reveals nothing.
+const forgotPasswordAccountLimiter = createRateLimiter('users.forgotPassword.account', {
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_ACCOUNT_HOURLY_LIMIT) || 3,
+  keyGenerator: (req) => req.body.email.toLowerCase().trim(),
+  skip: (req) => !req.body || typeof req.body.email !== 'string' || req.body.email.trim().length === 0,
+  message: {
+    success: false,
+    error: 'Too many password reset requests. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const resetPasswordLimiter = createRateLimiter('users.resetPassword', {
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    success: false,
+    error: 'Too many password reset attempts. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Same response whether or not the account exists, so the endpoint cannot be used to probe emails
+const forgotPasswordResponse = (channel, startTime) => ({
+  success: true,
+  message: channel === 'sms'
+    ? "If an account matches, a reset code has been sent to the registered mobile number."
+    : "If an account matches, password reset instructions have been sent to the email address.",
+  processingTime: `${Date.now() - startTime}ms`
+});
+
+// Request a password reset link (email) or code (SMS)
+router.post("/forgot-password", forgotPasswordLimiter, forgotPasswordAccountLimiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { email, channel = 'email' } = req.body;
+
+    if (!email || !validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: "Please enter a valid email address",
+        code: 'INVALID_EMAIL',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (!['email', 'sms'].includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        error: "Reset channel must be email or sms",
+        code: 'INVALID_CHANNEL',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const users = await executeQuery(`
+      SELECT u.id, u.email, u.status, h.MOBILENR
+      FROM users_tbl u
+      JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
+      JOIN test_table h ON p.hero_ndx = h.NDX
+      WHERE u.email = ?
+      LIMIT 1
+    `, [normalizedEmail]);
+
+    if (users.length === 0 || users[0].status === 'SUS') {
+      logger.warn(`Password reset requested for unknown or suspended account: ${normalizedEmail}`);
+      return res.json(forgotPasswordResponse(channel, startTime));
+    }
+
+    const user = users[0];
+
+    // Only the most recent reset request stays valid
+    await executeQuery(`DELETE FROM signup_tokens WHERE ${PASSWORD_RESET_TOKEN_FILTER}`, [user.id]);
+
+    if (channel === 'sms') {
+      if (!user.MOBILENR) {
+        logger.warn(`SMS password reset requested but no mobile number on file for user ${user.id}`);
+        return res.json(forgotPasswordResponse(channel, startTime));
+      }
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+      await storeValidationToken(smsResetTokenKey(user.id), {
+        purpose: 'password_reset',
+        channel: 'sms',
+        user_id: user.id,
+        email: user.email,
+        code_hash: sha256(code),
+        attempts: 0
+      }, PASSWORD_RESET_TTL_MINUTES / 60);
+
+      // Delivery failures are logged, not returned: a 500 here would only happen for real accounts
+      try {
+        await sendSms({
+          to: user.MOBILENR,
+          message: `Your AFPPGMC Heroes password reset code is ${code}. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. Do not share this code.`
+        });
+      } catch (error) {
+        logger.error(`Password reset SMS delivery failed for user ${user.id}:`, error);
+        return res.json(forgotPasswordResponse(channel, startTime));
+      }
+    } else {
+      const { token, data } = generateValidationToken({
+        purpose: 'password_reset',
+        channel: 'email',
+        user_id: user.id,
+        email: user.email
+      });
+      await storeValidationToken(token, data, PASSWORD_RESET_TTL_MINUTES / 60);
+
+      const resetUrl = `${process.env.APP_BASE_URL || 'https://afppgmc.com'}/reset-password?token=${token}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your AFPPGMC Heroes password',
+          text: [
+            'We received a request to reset the password of your AFPPGMC Heroes account.',
+            '',
+            `Reset your password by opening this link: ${resetUrl}`,
+            '',
+            `Or enter this code in the app: ${token}`,
+            '',
+            `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not request a reset, ignore this email.`
+          ].join('\n')
+        });
+      } catch (error) {
+        logger.error(`Password reset email delivery failed for user ${user.id}:`, error);
+        return res.json(forgotPasswordResponse(channel, startTime));
+      }
+    }
+
+    logger.info(`Password reset issued via ${channel} for user ${user.id}`);
+    res.json(forgotPasswordResponse(channel, startTime));
+
+  } catch (error) {
+    logger.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Unable to process password reset request. Please try again later.",
+      code: 'FORGOT_PASSWORD_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// Re-prove identity with the same AFPSN + name + DOB match used in signup step 2.
+// Returns a short-lived reset token directly, for pensioners who lost access to email and mobile.
+router.post("/forgot-password/identity", step2Limiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { email, afpsn, firstname, lastname, dob } = req.body;
+
+    if (!email || !afpsn || !firstname || !lastname || !dob) {
+      return res.status(400).json({
+        success: false,
+        error: "Email, AFP Serial Number, first name, last name, and date of birth are required",
+        code: 'MISSING_IDENTITY_INFO',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    // Guessing identity details is limited per AFPSN, not just per IP
+    const lockState = await checkLockout('pensioner', 'afpsn', afpsn);
+    if (lockState.blocked) {
+      logger.warn(`Identity re-proof blocked for AFPSN ${afpsn.trim()}`);
+      return accountLockedResponse(res, lockState, startTime);
+    }
+
+    const matches = await executeQuery(`
+      SELECT u.id, u.email, u.status
+      FROM users_tbl u
+      JOIN pensioners_tbl p ON u.pensioner_ndx = p.id
+      JOIN test_table h ON p.hero_ndx = h.NDX
+      WHERE u.email = ?
+        AND UPPER(TRIM(h.AFPSN)) = ?
+        AND UPPER(TRIM(h.FIRSTNAME)) = ?
+        AND UPPER(TRIM(h.LASTNAME)) = ?
+        AND DATE(h.DOB) = DATE(?)
+      LIMIT 1
+    `, [
+      email.toLowerCase().trim(),
+      afpsn.trim().toUpperCase(),
+      firstname.trim().toUpperCase(),
+      lastname.trim().toUpperCase(),
+      dob
+    ]);
+
+    if (matches.length === 0 || matches[0].status === 'SUS') {
+      logger.warn(`Identity re-proof failed for ${email}`);
+      const failure = await recordFailedAttempt('pensioner', 'afpsn', afpsn, { ip: req.ip });
+      if (failure.locked) {
+        return accountLockedResponse(res, failure, startTime);
+      }
+      return res.status(401).json({
+        success: false,
+        error: "Information does not match our records. Please verify your details or contact support.",
+        code: 'IDENTITY_MISMATCH',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const user = matches[0];
+    await clearFailedAttempts('pensioner', 'afpsn', afpsn);
+    await executeQuery(`DELETE FROM signup_tokens WHERE ${PASSWORD_RESET_TOKEN_FILTER}`, [user.id]);
+
+    const { token, data } = generateValidationToken({
+      purpose: 'password_reset',
+      channel: 'identity',
+      user_id: user.id,
+      email: user.email
+    });
+    const identityTtlMinutes = Math.min(PASSWORD_RESET_TTL_MINUTES, 15);
+    await storeValidationToken(token, data, identityTtlMinutes / 60);
+
+    logger.info(`Password reset issued via identity re-proof for user ${user.id}`);
+
+    res.json({
+      success: true,
+      message: "Identity verified. You may now set a new password.",
+      resetToken: token,
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`,
+        validUntil: new Date(Date.now() + identityTtlMinutes * 60 * 1000).toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error("Identity re-proof error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Identity verification failed. Please try again.",
+      code: 'IDENTITY_VERIFICATION_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// Set a new password with a reset token (email link / identity) or an SMS code
+router.post("/reset-password", resetPasswordLimiter, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { token, email, code, newPassword } = req.body;
+
+    if (!newPassword || (!token && !(email && code))) {
+      return res.status(400).json({
+        success: false,
+        error: "A reset token (or email and SMS code) and a new password are required",
+        code: 'MISSING_FIELDS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const filteredNewPassword = filterPassword(newPassword);
+
+    if (filteredNewPassword !== newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: "New password contains invalid characters",
+        code: 'INVALID_PASSWORD_CHARS',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const passwordValidation = validatePasswordStrength(filteredNewPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: "New password does not meet security requirements",
+        details: passwordValidation.errors,
+        code: 'WEAK_PASSWORD',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const invalidResetResponse = (message = "Invalid or expired reset code. Please request a new one.") => res.status(400).json({
+      success: false,
+      error: message,
+      code: 'INVALID_RESET_TOKEN',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+    let tokenData;
+
+    if (token) {
+      try {
+        tokenData = await getValidationToken(token);
+      } catch (error) {
+        return invalidResetResponse();
+      }
+
+      if (tokenData.purpose !== 'password_reset' || !['email', 'identity'].includes(tokenData.channel)) {
+        return invalidResetResponse();
+      }
+    } else {
+      if (typeof email !== 'string' || !validator.isEmail(email)) {
+        return invalidResetResponse();
+      }
+
+      const users = await executeQuery(
+        'SELECT id FROM users_tbl WHERE email = ? LIMIT 1',
+        [email.toLowerCase().trim()]
+      );
+
+      if (users.length === 0) {
+        return invalidResetResponse();
+      }
+
+      const tokenKey = smsResetTokenKey(users[0].id);
+      try {
+        tokenData = await getValidationToken(tokenKey);
+      } catch (error) {
+        return invalidResetResponse();
+      }
+
+      if (tokenData.purpose !== 'password_reset' || tokenData.channel !== 'sms') {
+        return invalidResetResponse();
+      }
+
+      // Each guess claims one attempt in a single conditional update before the code is compared,
+      // so parallel guesses cannot all read the same counter and exceed the limit
+      const claimed = await executeQuery(
+        `UPDATE signup_tokens
+         SET data = JSON_SET(data, '$.attempts', COALESCE(JSON_EXTRACT(data, '$.attempts'), 0) + 1)
+         WHERE token = ? AND COALESCE(JSON_EXTRACT(data, '$.attempts'), 0) < ?`,
+        [tokenKey, PASSWORD_RESET_MAX_CODE_ATTEMPTS]
+      );
+
+      if (claimed.affectedRows === 0) {
+        await consumeValidationToken(tokenKey);
+        logger.warn(`SMS reset code locked after ${PASSWORD_RESET_MAX_CODE_ATTEMPTS} attempts for user ${tokenData.user_id}`);
+        return invalidResetResponse("Too many incorrect codes. Please request a new one.");
+      }
+
+      const expected = Buffer.from(tokenData.code_hash, 'hex');
+      const provided = Buffer.from(sha256(String(code).trim()), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, provided)) {
+        return invalidResetResponse("Incorrect reset code.");
+      }
+    }
+
+    const hashedNewPassword = await bcrypt.hash(filteredNewPassword, 12);
+
+    const result = await executeQuery(
+      `UPDATE users_tbl SET password_hash = ?, updated_at = NOW()
+       WHERE id = ? AND email = ? AND status <> 'SUS'`,
+      [hashedNewPassword, tokenData.user_id, tokenData.email]
+    );
+
+    // Reset tokens are single-use; drop every outstanding one for this user
+    await executeQuery(`DELETE FROM signup_tokens WHERE ${PASSWORD_RESET_TOKEN_FILTER}`, [tokenData.user_id]);
+
+    if (result.affectedRows === 0) {
+      return invalidResetResponse();
+    }
+
+    // Sign out every device that used the old password
+    await revokeAllSessions('pensioner', tokenData.user_id, 'password_reset');
+
+    logger.info(`Password reset via ${tokenData.channel} completed for user ${tokenData.user_id}`);
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+      meta: {
+        processingTime: `${Date.now() - startTime}ms`,
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to reset password. Please try again.",
+      code: 'RESET_PASSWORD_ERROR',
+      processingTime: `${Date.now() - startTime}ms`
+    });
+  }
+});
+
+// PROFILE ROUTES
+
+// Add these endpoints to your users.js route file
+
+// Rate limiter for profile updates
+const profileUpdateLimiter = createRateLimiter('users.profileUpdate', {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    success: false,
+    error: 'Too many update attempts. Please try again later.',
+    code: 'RATE_LIMITED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Update Email Endpoint
+router.put(["/update-email", "/update-email/:userId"], authenticatePensionerToken, requireOwnAccount, profileUpdateLimiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { userId } = req.user;
+    const { email } = req.body;
+
+    // Validation
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is required",
+        code: 'MISSING_EMAIL',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    if (!validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: "Please enter a valid email address",
+        code: 'INVALID_EMAIL',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Check if user exists
+    const userCheck = await executeQuery(
+      'SELECT id, email FROM users_tbl WHERE id = ? LIMIT 1',
+      [userId]
+    );
+
+    if (userCheck.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+        code: 'USER_NOT_FOUND',
+        processingTime: `${Date.now() - startTime}ms`
+      });
+    }
+
+    // Check if new email already exists (excluding current user)
+    const emailExists = await executeQuery(
+      'SELECT id FROM users_tbl WHERE email = ? AND id != ? LIMIT 1',
+      [normalizedEmail, userId]
+    );
 
     if (emailExists.length > 0) {
       return res.status(409).json({
@@ -1130,12 +2040,20 @@ router.put("/update-email/:userId", profileUpdateLimiter, sanitizeInput, validat
       });
     }
 
-    // Update email
+    // Update email - a new address has to be verified again
+    const emailChanged = normalizedEmail !== userCheck[0].email;
     await executeQuery(
-      'UPDATE users_tbl SET email = ?, updated_at = NOW() WHERE id = ?',
-      [normalizedEmail, userId]
+      `UPDATE users_tbl
+       SET email = ?, status = IF(? AND status = 'ACT', 'UNV', status), updated_at = NOW()
+       WHERE id = ?`,
+      [normalizedEmail, emailChanged ? 1 : 0, userId]
     );
 
+    if (emailChanged) {
+      sendVerificationEmail(userId, normalizedEmail)
+        .catch(error => logger.warn(`Failed to send verification email to ${normalizedEmail}: ${error.message}`));
+    }
+
     const processingTime = Date.now() - startTime;
     logger.info(`Email updated successfully for user ${userId}: ${normalizedEmail} in ${processingTime}ms`);
 
@@ -1143,7 +2061,8 @@ router.put("/update-email/:userId", profileUpdateLimiter, sanitizeInput, validat
       success: true,
       message: "Email updated successfully",
       data: {
-        email: normalizedEmail
+        email: normalizedEmail,
+        verificationRequired: emailChanged
       },
       meta: {
         processingTime: `${processingTime}ms`,
@@ -1165,11 +2084,11 @@ router.put("/update-email/:userId", profileUpdateLimiter, sanitizeInput, validat
 });
 
 // Update Password Endpoint
-router.put("/update-password/:userId", profileUpdateLimiter, validateDatabaseConnection, async (req, res) => {
+router.put(["/update-password", "/update-password/:userId"], authenticatePensionerToken, requireOwnAccount, requireVerifiedAccount("profile.update"), profileUpdateLimiter, validateDatabaseConnection, async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { userId } = req.params;
+    const { userId } = req.user;
     const { currentPassword, newPassword } = req.body;
 
     // Validation
@@ -1271,11 +2190,11 @@ router.put("/update-password/:userId", profileUpdateLimiter, validateDatabaseCon
 });
 
 // Update Mobile Number Endpoint
-router.put("/update-mobile/:userId", profileUpdateLimiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
+router.put(["/update-mobile", "/update-mobile/:userId"], authenticatePensionerToken, requireOwnAccount, requireVerifiedAccount("profile.update"), profileUpdateLimiter, sanitizeInput, validateDatabaseConnection, async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { userId } = req.params;
+    const { userId } = req.user;
     const { mobile } = req.body;
 
     // Validation
@@ -1368,11 +2287,11 @@ router.put("/update-mobile/:userId", profileUpdateLimiter, sanitizeInput, valida
   }
 });
 
-router.get("/profile/:userId", validateDatabaseConnection, async (req, res) => {
+router.get(["/profile", "/profile/:userId"], authenticatePensionerToken, requireOwnAccount, validateDatabaseConnection, async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { userId } = req.params;
+    const { userId } = req.user;
 
     const userProfile = await executeQuery(`
       SELECT 
@@ -1423,6 +2342,8 @@ router.get("/profile/:userId", validateDatabaseConnection, async (req, res) => {
       BOS: profile.bos,
       TYPE: profile.type,
       CTRLNR: profile.CTRLNR,
+      STATUS: profile.status,
+      EMAIL_VERIFIED: profile.status === 'ACT',
       ...(profile.type === 'B' && {
         B_TYPE: profile.b_type,
         PRINCIPAL_FIRSTNAME: profile.principal_firstname,
@@ -1447,4 +2368,9 @@ router.get("/profile/:userId", validateDatabaseConnection, async (req, res) => {
     });
   }
 });
-module.exports = router;
\ No newline at end of file
+module.exports = {
+  router,
+  authenticatePensionerToken,
+  requireOwnAccount,
+  requireVerifiedAccount
+};
\ No newline at end of file
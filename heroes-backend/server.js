@@ -7,14 +7,18 @@ const {
   testConnection, 
   closePool 
 } = require('./config/database');
+const mailer = require('./services/mailer');
+const sms = require('./services/sms');
 
 const heroesRoutes = require('./routes/heroes');
 const uploadRoutes = require('./routes/upload');
-const usersRoutes = require('./routes/users');
+const { router: usersRoutes } = require('./routes/users');
 const formsRoutes = require('./routes/forms');
 const adminForms = require('./routes/admin_forms');
 const { router: adminAuthRoutes } = require('./routes/admin');
+const adminRoles = require('./routes/admin_roles');
 const inquiriesRouter = require('./routes/inquiries');
+const adminInquiries = require('./routes/admin_inquiries');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -88,8 +92,10 @@ app.use('/api/forms', formsRoutes);
 app.use('/api/inquiries', inquiriesRouter);
 
 // web 
+app.use('/api/admin/roles', adminRoles);
 app.use('/api/admin', adminAuthRoutes);
 app.use('/api/admin_forms', adminForms);
+app.use('/api/admin_inquiries', adminInquiries);
 
 app.get('/api/test-inquiries', (req, res) => {
   res.json({
@@ -110,7 +116,9 @@ app.get('/api/check-routes', (req, res) => {
       '/api/forms', 
       '/api/inquiries',
       '/api/admin',
+      '/api/admin/roles',
       '/api/admin_forms',
+      '/api/admin_inquiries',
       '/api/health',
       '/api/test-inquiries'
     ],
@@ -202,6 +210,10 @@ process.on('SIGINT', shutdown);
 // Start server
 const startServer = async () => {
   try {
+    // Fails on a missing or console transport in production, before any token is sent
+    mailer.getTransport();
+    sms.getTransport();
+
     await initializeDatabase();
     await testConnection();
     
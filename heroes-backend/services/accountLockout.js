@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { executeQuery, logger } = require('../config/database');
+const { sendMail } = require('./mailer');
+
+// Failures counted inside this window; an older last failure starts the count over
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.ACCOUNT_LOCKOUT_WINDOW_MINUTES) || 15;
+// Failures before the account is temporarily locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD) || 5;
+// First lockout length; every further lockout doubles it up to the cap
+const LOCKOUT_MINUTES = parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.ACCOUNT_MAX_LOCKOUT_MINUTES) || 24 * 60;
+// Progressive delay between attempts starts after this many failures (1s, 2s, 4s, ...)
+const DELAY_AFTER_FAILURES = 2;
+const MAX_DELAY_SECONDS = 30;
+const UNLOCK_TOKEN_TTL_HOURS = parseInt(process.env.ACCOUNT_UNLOCK_TTL_HOURS) || 24;
+
+// Where the unlock link in the lockout email points, per subject type
+const UNLOCK_URLS = {
+  pensioner: () => `${process.env.APP_BASE_URL || 'https://afppgmc.com'}/unlock-account`,
+  admin: () => `${process.env.ADMIN_APP_BASE_URL || process.env.APP_BASE_URL || 'https://afppgmc.com'}/admin/unlock-account`
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeIdentifier = (identifier) => String(identifier || '').trim().toLowerCase();
+
+const delayForFailures = (failedCount) => {
+  if (failedCount < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failedCount - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+const lockoutMinutes = (lockCount) => Math.min(LOCKOUT_MINUTES * 2 ** lockCount, MAX_LOCKOUT_MINUTES);
+
+const getAttempts = async (subjectType, identifierType, identifier) => {
+  // Remaining times are computed by MySQL so every instance agrees regardless of clock drift
+  const rows = await executeQuery(
+    `SELECT id, failed_count, lock_count, locked_until,
+            TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lock_remaining_seconds,
+            TIMESTAMPDIFF(SECOND, last_failed_at, NOW()) AS seconds_since_failure
+     FROM auth_failed_attempts
+     WHERE subject_type = ? AND identifier_type = ? AND identifier = ?
+     LIMIT 1`,
+    [subjectType, identifierType, normalizeIdentifier(identifier)]
+  );
+  return rows.length > 0 ? rows[0] : null;
+};
+
+// Whether an attempt for this account may go ahead right now.
+// Returns { blocked: false } or { blocked: true, locked, retryAfterSeconds, lockedUntil }.
+const checkLockout = async (subjectType, identifierType, identifier) => {
+  const attempts = await getAttempts(subjectType, identifierType, identifier);
+  if (!attempts) return { blocked: false };
+
+  const lockRemaining = Number(attempts.lock_remaining_seconds);
+  if (attempts.locked_until && lockRemaining > 0) {
+    return {
+      blocked: true,
+      locked: true,
+      retryAfterSeconds: lockRemaining,
+      lockedUntil: attempts.locked_until
+    };
+  }
+
+  const sinceFailure = Number(attempts.seconds_since_failure);
+  if (sinceFailure < FAILURE_WINDOW_MINUTES * 60) {
+    const delay = delayForFailures(Number(attempts.failed_count));
+    if (sinceFailure < delay) {
+      return {
+        blocked: true,
+        locked: false,
+        retryAfterSeconds: delay - sinceFailure
+      };
+    }
+  }
+
+  return { blocked: false };
+};
+
+// Email the account owner a one-time link that lifts the lock early
+const sendUnlockEmail = async (subjectType, attemptsId, email, lockedMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await executeQuery(
+    `UPDATE auth_failed_attempts
+     SET unlock_token_hash = ?, unlock_token_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR)
+     WHERE id = ?`,
+    [hashToken(token), UNLOCK_TOKEN_TTL_HOURS, attemptsId]
+  );
+
+  const unlockUrl = `${UNLOCK_URLS[subjectType]()}?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Your AFPPGMC account has been temporarily locked',
+    text: [
+      'We locked your account after several failed sign-in attempts.',
+      '',
+      `It unlocks automatically in ${lockedMinutes} minutes.`,
+      `If these attempts were yours, you can unlock it now: ${unlockUrl}`,
+      '',
+      'If you did not try to sign in, someone may be guessing your password. Consider changing it once you are back in.'
+    ].join('\n')
+  });
+};
+
+// Count a failed attempt and lock the account once the threshold is reached.
+// notifyEmail is only passed when the account really exists, so unknown
+// identifiers are counted the same way without anything being sent.
+const recordFailedAttempt = async (subjectType, identifierType, identifier, { ip, notifyEmail } = {}) => {
+  const normalized = normalizeIdentifier(identifier);
+
+  // failed_count is assigned before last_failed_at so it still sees the previous failure time
+  await executeQuery(
+    `INSERT INTO auth_failed_attempts
+       (subject_type, identifier_type, identifier, failed_count, last_failed_at, last_failed_ip, created_at)
+     VALUES (?, ?, ?, 1, NOW(), ?, NOW())
+     ON DUPLICATE KEY UPDATE
+       failed_count = IF(last_failed_at IS NULL OR last_failed_at < DATE_SUB(NOW(), INTERVAL ? MINUTE), 1, failed_count + 1),
+       last_failed_at = NOW(),
+       last_failed_ip = VALUES(last_failed_ip)`,
+    [subjectType, identifierType, normalized, ip || null, FAILURE_WINDOW_MINUTES]
+  );
+
+  const attempts = await getAttempts(subjectType, identifierType, normalized);
+  const failedCount = Number(attempts.failed_count);
+
+  if (failedCount < LOCKOUT_THRESHOLD) {
+    return { locked: false, failedCount, attemptsRemaining: LOCKOUT_THRESHOLD - failedCount };
+  }
+
+  const minutes = lockoutMinutes(Number(attempts.lock_count));
+
+  // Only one instance wins the lock when failures race
+  const result = await executeQuery(
+    `UPDATE auth_failed_attempts
+     SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE), lock_count = lock_count + 1, failed_count = 0,
+         unlocked_by = NULL, unlocked_at = NULL
+     WHERE id = ? AND failed_count >= ? AND (locked_until IS NULL OR locked_until <= NOW())`,
+    [minutes, attempts.id, LOCKOUT_THRESHOLD]
+  );
+
+  if (result.affectedRows > 0) {
+    logger.warn(`Locked ${subjectType} account ${identifierType}=${normalized} for ${minutes} minutes after ${failedCount} failed attempts`);
+
+    if (notifyEmail) {
+      sendUnlockEmail(subjectType, attempts.id, notifyEmail, minutes)
+        .catch(error => logger.error(`Failed to send unlock email for ${subjectType} ${normalized}: ${error.message}`));
+    }
+  }
+
+  return { locked: true, failedCount, retryAfterSeconds: minutes * 60 };
+};
+
+// Successful sign-in: forget past failures
+const clearFailedAttempts = async (subjectType, identifierType, identifier) => {
+  await executeQuery(
+    'DELETE FROM auth_failed_attempts WHERE subject_type = ? AND identifier_type = ? AND identifier = ?',
+    [subjectType, identifierType, normalizeIdentifier(identifier)]
+  );
+};
+
+const UNLOCK_FIELDS = `locked_until = NULL, failed_count = 0, unlock_token_hash = NULL, unlock_token_expires_at = NULL`;
+
+// Unlock via the emailed link. Returns the unlocked account or null for an invalid/expired token.
+const unlockWithToken = async (subjectType, token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const rows = await executeQuery(
+    `SELECT id, identifier_type, identifier FROM auth_failed_attempts
+     WHERE unlock_token_hash = ? AND subject_type = ? AND unlock_token_expires_at > NOW()
+     LIMIT 1`,
+    [hashToken(token), subjectType]
+  );
+  if (rows.length === 0) return null;
+
+  await executeQuery(
+    `UPDATE auth_failed_attempts SET ${UNLOCK_FIELDS}, unlocked_at = NOW() WHERE id = ?`,
+    [rows[0].id]
+  );
+
+  logger.info(`Unlocked ${subjectType} account ${rows[0].identifier_type}=${rows[0].identifier} via email link`);
+  return { identifierType: rows[0].identifier_type, identifier: rows[0].identifier };
+};
+
+// Currently locked accounts, optionally for one subject type
+const listLockedAccounts = async (subjectType) => {
+  const rows = await executeQuery(
+    `SELECT id, subject_type, identifier_type, identifier, lock_count, locked_until,
+            last_failed_at, last_failed_ip,
+            TIMESTAMPDIFF(SECOND, NOW(), locked_until) AS lock_remaining_seconds
+     FROM auth_failed_attempts
+     WHERE locked_until > NOW() ${subjectType ? 'AND subject_type = ?' : ''}
+     ORDER BY locked_until DESC`,
+    subjectType ? [subjectType] : []
+  );
+
+  return rows.map(row => ({
+    id: row.id,
+    subjectType: row.subject_type,
+    identifierType: row.identifier_type,
+    identifier: row.identifier,
+    lockCount: Number(row.lock_count),
+    lockedUntil: row.locked_until,
+    retryAfterSeconds: Number(row.lock_remaining_seconds),
+    lastFailedAt: row.last_failed_at,
+    lastFailedIp: row.last_failed_ip
+  }));
+};
+
+// Unlock by an admin. Returns false when no locked account has that id.
+const unlockAccount = async (id, unlockedBy) => {
+  const result = await executeQuery(
+    `UPDATE auth_failed_attempts SET ${UNLOCK_FIELDS}, lock_count = 0, unlocked_by = ?, unlocked_at = NOW()
+     WHERE id = ? AND locked_until > NOW()`,
+    [unlockedBy, id]
+  );
+  return result.affectedRows > 0;
+};
+
+const cleanupStaleAttempts = async () => {
+  try {
+    const result = await executeQuery(
+      `DELETE FROM auth_failed_attempts
+       WHERE (locked_until IS NULL OR locked_until < NOW())
+         AND last_failed_at < DATE_SUB(NOW(), INTERVAL 7 DAY)`
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`Cleaned up ${result.affectedRows} stale failed-attempt records`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to cleanup failed-attempt records: ${error.message}`);
+  }
+};
+
+setInterval(cleanupStaleAttempts, 60 * 60 * 1000).unref();
+
+module.exports = {
+  checkLockout,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockWithToken,
+  listLockedAccounts,
+  unlockAccount
+};
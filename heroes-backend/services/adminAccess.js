@@ -0,0 +1,175 @@
+const { executeQuery } = require('../config/database');
+
+// Capabilities a role bundle (or a per-admin override) can grant.
+// Roles flagged is_super have all of them plus every nav item and form type.
+const PERMISSIONS = {
+  'admins.manage': 'Create, edit and delete admin accounts and their access',
+  'roles.manage': 'Create, edit and delete roles',
+  'security.manage': 'Change the two-factor authentication policy',
+  'accounts.unlock': 'List and unlock locked-out accounts',
+  'stats.view': 'View admin statistics',
+  'history.delete': 'Delete history log entries',
+  'inquiries.manage': 'Configure inquiry assignment, SLA targets and escalation per category',
+  'forms.review': 'Complete the initial review stage of form submissions',
+  'forms.verify': 'Complete the verification stage of form submissions',
+  'forms.approve': 'Give final approval to form submissions',
+  'forms.workflow.manage': 'Configure the review stages of each form type'
+};
+
+const FORM_ACTIONS = ['view', 'create', 'edit', 'delete'];
+
+const toFormFlags = (row) => ({
+  view: Boolean(row.can_view),
+  create: Boolean(row.can_create),
+  edit: Boolean(row.can_edit),
+  delete: Boolean(row.can_delete)
+});
+
+// Effective access of an admin: the role bundle with the admin's overrides applied.
+// Returns null when the admin no longer exists.
+const getAdminAccess = async (adminId) => {
+  const admins = await executeQuery(
+    `SELECT a.id, a.role, r.id AS role_id, r.name AS role_name, r.is_super
+     FROM admins_tbl a
+     LEFT JOIN admin_roles r ON r.code = a.role
+     WHERE a.id = ?
+     LIMIT 1`,
+    [adminId]
+  );
+  if (admins.length === 0) return null;
+
+  const admin = admins[0];
+  const roleId = admin.role_id || 0;
+
+  const [rolePermissions, permissionOverrides, roleNav, adminNav, roleForms, adminForms] = await Promise.all([
+    executeQuery('SELECT permission FROM admin_role_permissions WHERE role_id = ?', [roleId]),
+    executeQuery('SELECT permission, allowed FROM admin_permission_overrides WHERE admin_id = ?', [adminId]),
+    executeQuery('SELECT nav_permission_id FROM admin_role_nav_access WHERE role_id = ?', [roleId]),
+    executeQuery('SELECT nav_permission_id, allowed FROM admin_nav_access WHERE admin_id = ?', [adminId]),
+    executeQuery(
+      'SELECT form_type_id, can_view, can_create, can_edit, can_delete FROM admin_role_form_access WHERE role_id = ?',
+      [roleId]
+    ),
+    executeQuery(
+      'SELECT form_type_id, can_view, can_create, can_edit, can_delete FROM admin_form_access WHERE admin_id = ?',
+      [adminId]
+    )
+  ]);
+
+  const permissions = new Set(rolePermissions.map(row => row.permission));
+  permissionOverrides.forEach(row => {
+    if (row.allowed) permissions.add(row.permission);
+    else permissions.delete(row.permission);
+  });
+
+  const navPermissionIds = new Set(roleNav.map(row => row.nav_permission_id));
+  adminNav.forEach(row => {
+    if (row.allowed) navPermissionIds.add(row.nav_permission_id);
+    else navPermissionIds.delete(row.nav_permission_id);
+  });
+
+  // A per-admin row replaces the role's flags for that form type
+  const formAccess = new Map();
+  roleForms.forEach(row => formAccess.set(row.form_type_id, toFormFlags(row)));
+  adminForms.forEach(row => formAccess.set(row.form_type_id, toFormFlags(row)));
+
+  return {
+    adminId: admin.id,
+    role: admin.role,
+    roleName: admin.role_name || admin.role,
+    isSuper: Boolean(admin.is_super),
+    permissions,
+    navPermissionIds,
+    formAccess
+  };
+};
+
+const hasPermission = (access, permission) => access.isSuper || access.permissions.has(permission);
+
+// Whether the admin may open the section at this nav path
+const hasNavPath = async (access, path) => {
+  if (access.isSuper) return true;
+
+  const navItems = await executeQuery('SELECT id FROM nav_permissions WHERE path = ?', [path]);
+  return navItems.some(item => access.navPermissionIds.has(item.id));
+};
+
+// Form type ids allowed for an action; null means every type
+const getPermittedFormTypeIds = (access, action) => {
+  if (access.isSuper) return null;
+
+  return [...access.formAccess.entries()]
+    .filter(([, flags]) => flags[action])
+    .map(([formTypeId]) => formTypeId);
+};
+
+const FORM_FLAG_FIELDS = { view: 'canView', create: 'canCreate', edit: 'canEdit', delete: 'canDelete' };
+
+// Whether the admin holds everything they are about to grant, through a role's bundle,
+// per-admin overrides or a role assignment. formPermissions entries use the request
+// shape ({ formTypeId, canView, canCreate, canEdit, canDelete }).
+// Returns { status, error } for the first thing they do not hold, or null.
+const checkGrantable = (access, { permissions = [], navPermissionIds = [], formPermissions = [] }) => {
+  if (access.isSuper) return null;
+
+  for (const permission of permissions) {
+    if (!hasPermission(access, permission)) {
+      return { status: 403, error: `You cannot grant a permission you do not have: ${permission}` };
+    }
+  }
+
+  for (const navId of navPermissionIds) {
+    if (!access.navPermissionIds.has(parseInt(navId))) {
+      return { status: 403, error: `You cannot grant access to a section you do not have: ${navId}` };
+    }
+  }
+
+  for (const fp of formPermissions) {
+    const formTypeId = parseInt(fp.formTypeId);
+    for (const action of FORM_ACTIONS) {
+      if (fp[FORM_FLAG_FIELDS[action]] && !getPermittedFormTypeIds(access, action).includes(formTypeId)) {
+        return { status: 403, error: `You cannot grant ${action} access you do not have on form type ${fp.formTypeId}` };
+      }
+    }
+  }
+
+  return null;
+};
+
+// A role's bundle in the shape checkGrantable takes
+const getRoleBundle = async (roleId) => {
+  const [permissions, nav, forms] = await Promise.all([
+    executeQuery('SELECT permission FROM admin_role_permissions WHERE role_id = ?', [roleId]),
+    executeQuery('SELECT nav_permission_id FROM admin_role_nav_access WHERE role_id = ?', [roleId]),
+    executeQuery(
+      'SELECT form_type_id, can_view, can_create, can_edit, can_delete FROM admin_role_form_access WHERE role_id = ?',
+      [roleId]
+    )
+  ]);
+
+  return {
+    permissions: permissions.map(row => row.permission),
+    navPermissionIds: nav.map(row => row.nav_permission_id),
+    formPermissions: forms.map(row => {
+      const flags = toFormFlags(row);
+      return {
+        formTypeId: row.form_type_id,
+        canView: flags.view,
+        canCreate: flags.create,
+        canEdit: flags.edit,
+        canDelete: flags.delete
+      };
+    })
+  };
+};
+
+module.exports = {
+  PERMISSIONS,
+  FORM_ACTIONS,
+  getAdminAccess,
+  hasPermission,
+  hasNavPath,
+  getPermittedFormTypeIds,
+  checkGrantable,
+  getRoleBundle
+};
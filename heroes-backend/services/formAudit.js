@@ -0,0 +1,58 @@
+// Audit trail of form actions in history_logs. Every write goes through recordFormHistory
+// on the caller's connection, so the log commits or rolls back with the change itself.
+
+// Who did it and from where, taken from the request. Admin routes set req.admin,
+// pensioner routes req.user.
+const auditContext = (req) => ({
+  adminId: req.admin ? req.admin.adminId : null,
+  userId: !req.admin && req.user ? req.user.userId : null,
+  ipAddress: req.ip || null,
+  userAgent: (req.headers['user-agent'] || '').slice(0, 255) || null
+});
+
+// The fields of after that differ from before, as { before, after } objects
+const changedValues = (before, after) => {
+  const changed = { before: {}, after: {} };
+  Object.keys(after).forEach(key => {
+    const previous = before[key] === undefined ? null : before[key];
+    if (String(previous) !== String(after[key])) {
+      changed.before[key] = previous;
+      changed.after[key] = after[key];
+    }
+  });
+  return changed;
+};
+
+const toJson = (values) =>
+  values && Object.keys(values).length > 0 ? JSON.stringify(values) : null;
+
+// Write one history_logs row. status is the form's status after the action, or 'n'
+// for actions that do not change it (notes, edits, deletes). Deletes must be logged
+// before the form is removed, so its form type is still there to record.
+const recordFormHistory = async (connection, audit, { formId, action, status = 'n', remarks = null, before = null, after = null }) => {
+  await connection.execute(
+    `INSERT INTO history_logs
+      (form_submission_id, form_type_id, action_by, actor_user_id, status, action, remarks, old_values, new_values,
+       ip_address, user_agent, action_date)
+     VALUES (?, (SELECT form_type_id FROM form_submission WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      formId,
+      formId,
+      audit.adminId || null,
+      audit.userId || null,
+      status,
+      action,
+      remarks,
+      toJson(before),
+      toJson(after),
+      audit.ipAddress,
+      audit.userAgent
+    ]
+  );
+};
+
+module.exports = {
+  auditContext,
+  changedValues,
+  recordFormHistory
+};
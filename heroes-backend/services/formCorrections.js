@@ -0,0 +1,255 @@
+const { executeQuery } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { validateField, requirementLocation } = require('./formTypes');
+const { changedValues, recordFormHistory } = require('./formAudit');
+
+const MAX_COMMENT_LENGTH = 500;
+
+// Check reviewer comments ([{ requirement_type, comment }]) against the requirement
+// types that can be flagged. Returns an error message or null.
+const validateCorrectionComments = (comments, allowedTypes) => {
+  if (!Array.isArray(comments) || comments.length === 0) {
+    return 'comments must list at least one requirement to correct';
+  }
+
+  const seen = new Set();
+  for (const item of comments) {
+    if (!item || typeof item.requirement_type !== 'string' || !allowedTypes.includes(item.requirement_type)) {
+      return `Unknown requirement_type: ${item && item.requirement_type}`;
+    }
+    if (seen.has(item.requirement_type)) {
+      return `${item.requirement_type} is listed more than once`;
+    }
+    if (typeof item.comment !== 'string' || item.comment.trim().length === 0) {
+      return `A comment is required for ${item.requirement_type}`;
+    }
+    if (item.comment.trim().length > MAX_COMMENT_LENGTH) {
+      return `Comment for ${item.requirement_type} cannot exceed ${MAX_COMMENT_LENGTH} characters`;
+    }
+    seen.add(item.requirement_type);
+  }
+  return null;
+};
+
+// Return a pending form to the pensioner with per-requirement comments
+const returnForCorrection = async (connection, { form, adminId, comments, adminNotes, audit }) => {
+  for (const item of comments) {
+    await connection.execute(
+      `INSERT INTO form_requirement_reviews (form_id, review_round, requirement_type, comment, reviewed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [form.id, form.review_round, item.requirement_type, item.comment.trim(), adminId]
+    );
+  }
+
+  await connection.execute(
+    `UPDATE form_submission
+     SET status = 'r', admin_notes = ?, reviewed_at = NOW(), returned_at = NOW(), version = version + 1
+     WHERE id = ?`,
+    [adminNotes || null, form.id]
+  );
+
+  await recordFormHistory(connection, audit, {
+    formId: form.id,
+    action: 'return',
+    status: 'r',
+    remarks: adminNotes || `Returned for correction: ${comments.map(item => item.requirement_type).join(', ')}`,
+    before: { status: form.status },
+    after: {
+      status: 'r',
+      corrections: comments.map(item => ({ requirement_type: item.requirement_type, comment: item.comment.trim() }))
+    }
+  });
+};
+
+// Requirements flagged in the form's current round that still need replacing
+const getOpenCorrections = (formId, reviewRound) => executeQuery(
+  `SELECT requirement_type, comment, created_at
+   FROM form_requirement_reviews
+   WHERE form_id = ? AND review_round = ? AND resolved_at IS NULL
+   ORDER BY requirement_type ASC`,
+  [formId, reviewRound]
+);
+
+// Check a resubmission against the open corrections: every flagged requirement must
+// be replaced and nothing else may change. Returns per-field errors keyed like the
+// submit validation; empty when the resubmission can be saved.
+const validateResubmission = (formType, openCorrections, requirements, locationStatus) => {
+  const errors = {};
+  const submitted = new Map();
+  const flagged = new Set(openCorrections.map(item => item.requirement_type));
+
+  requirements.forEach((requirement, index) => {
+    if (!requirement || typeof requirement.requirement_type !== 'string' || requirement.requirement_type.length === 0) {
+      errors[`requirements[${index}]`] = 'requirement_type is required for all requirements';
+      return;
+    }
+    if (!flagged.has(requirement.requirement_type)) {
+      errors[requirement.requirement_type] = 'This requirement was not returned for correction';
+      return;
+    }
+    submitted.set(requirement.requirement_type, requirement);
+  });
+
+  flagged.forEach(requirementType => {
+    if (errors[requirementType]) return;
+
+    const requirement = submitted.get(requirementType);
+    const definition = formType && formType.requirements.find(item => item.requirement_type === requirementType);
+    if (!requirement) {
+      errors[requirementType] = `${definition ? definition.label : requirementType} needs to be replaced`;
+      return;
+    }
+
+    const error = definition
+      ? validateField({ ...definition, is_required: true }, requirement)
+      : (!requirement.value && !requirement.file_key ? `${requirementType} needs a value or an uploaded file` : null);
+    if (error) {
+      errors[requirementType] = error;
+    }
+  });
+
+  return errors;
+};
+
+// Replace the corrected requirements, keeping what they replace as versions of the
+// round being closed, and put the form back in the pending queue as the next round,
+// from the first review stage
+const resubmitCorrections = async (connection, { form, formType, requirements, audit }) => {
+  for (const requirement of requirements) {
+    const { requirement_type, value, file_url, file_key, file_type } = requirement;
+    const replacement = {
+      value: value || null,
+      file_url: file_url || null,
+      file_key: file_key || null,
+      file_type: file_type || null
+    };
+
+    const [current] = await connection.execute(
+      'SELECT id, value, file_url, file_key, file_type FROM form_requirements WHERE form_id = ? AND requirement_type = ? FOR UPDATE',
+      [form.id, requirement_type]
+    );
+
+    if (current.length > 0) {
+      await connection.execute(
+        `INSERT INTO form_requirement_versions (form_id, review_round, requirement_type, value, file_url, file_key, file_type)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [form.id, form.review_round, requirement_type, current[0].value, current[0].file_url, current[0].file_key, current[0].file_type]
+      );
+      await connection.execute(
+        'UPDATE form_requirements SET value = ?, file_url = ?, file_key = ?, file_type = ? WHERE id = ?',
+        [replacement.value, replacement.file_url, replacement.file_key, replacement.file_type, current[0].id]
+      );
+    } else {
+      await connection.execute(
+        `INSERT INTO form_requirements (form_id, requirement_type, value, file_url, file_key, file_type, applies_to_location)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          form.id,
+          requirement_type,
+          replacement.value,
+          replacement.file_url,
+          replacement.file_key,
+          replacement.file_type,
+          formType ? requirementLocation(formType, requirement_type, form.location) : 'both'
+        ]
+      );
+    }
+
+    const changed = changedValues(current.length > 0 ? current[0] : {}, replacement);
+    await recordFormHistory(connection, audit, {
+      formId: form.id,
+      action: 'requirement_edit',
+      remarks: `Replaced ${requirement_type}`,
+      before: { requirement_type, ...changed.before },
+      after: { requirement_type, ...changed.after }
+    });
+  }
+
+  await connection.execute(
+    `UPDATE form_requirement_reviews SET resolved_at = NOW()
+     WHERE form_id = ? AND review_round = ? AND resolved_at IS NULL`,
+    [form.id, form.review_round]
+  );
+
+  await connection.execute(
+    `UPDATE form_submission
+     SET status = 'p', review_round = review_round + 1, resubmitted_at = NOW(), current_stage_id = NULL,
+         version = version + 1
+     WHERE id = ?`,
+    [form.id]
+  );
+
+  await recordFormHistory(connection, audit, {
+    formId: form.id,
+    action: 'resubmit',
+    status: 'p',
+    remarks: `Resubmitted with corrections (round ${form.review_round + 1})`,
+    before: { status: form.status, review_round: form.review_round },
+    after: { status: 'p', review_round: form.review_round + 1 }
+  });
+};
+
+// Every review round of a form: the comments made and the requirement versions
+// that were replaced after them
+const getCorrectionRounds = async (formId) => {
+  const [reviews, versions] = await Promise.all([
+    executeQuery(
+      `SELECT r.review_round, r.requirement_type, r.comment, r.created_at, r.resolved_at,
+              r.reviewed_by, a.name AS reviewed_by_name
+       FROM form_requirement_reviews r
+       LEFT JOIN admins_tbl a ON a.id = r.reviewed_by
+       WHERE r.form_id = ?
+       ORDER BY r.review_round ASC, r.requirement_type ASC`,
+      [formId]
+    ),
+    executeQuery(
+      `SELECT review_round, requirement_type, value, file_url, file_key, file_type, superseded_at
+       FROM form_requirement_versions
+       WHERE form_id = ?
+       ORDER BY review_round ASC, requirement_type ASC`,
+      [formId]
+    )
+  ]);
+
+  const rounds = [...new Set([...reviews, ...versions].map(item => item.review_round))].sort((a, b) => a - b);
+  return rounds.map(round => ({
+    review_round: round,
+    corrections: reviews.filter(item => item.review_round === round),
+    replaced_requirements: versions.filter(item => item.review_round === round)
+  }));
+};
+
+const notifyReturned = async (formId, comments) => {
+  const rows = await executeQuery(
+    `SELECT u.email, ft.name AS form_type_name
+     FROM form_submission fs
+     JOIN users_tbl u ON u.id = fs.user_id
+     JOIN form_type ft ON ft.id = fs.form_type_id
+     WHERE fs.id = ?`,
+    [formId]
+  );
+  if (rows.length === 0 || !rows[0].email) return;
+
+  await sendMail({
+    to: rows[0].email,
+    subject: `Your ${rows[0].form_type_name} submission needs corrections`,
+    text: [
+      `Your submission #${formId} was returned so you can correct the following:`,
+      '',
+      ...comments.map(item => `- ${item.requirement_type}: ${item.comment.trim()}`),
+      '',
+      'Open the app to replace these items and resubmit. The rest of your submission is kept.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  validateCorrectionComments,
+  returnForCorrection,
+  getOpenCorrections,
+  validateResubmission,
+  resubmitCorrections,
+  getCorrectionRounds,
+  notifyReturned
+};
@@ -0,0 +1,177 @@
+const { executeQuery, withNamedLock, logger } = require('../config/database');
+const { minioClient, BUCKET, removeFile, isUploadedFile } = require('./storage');
+const { FORM_UPLOAD_FOLDER } = require('./formTypes');
+
+// Untouched drafts expire after this many days; every change pushes the expiry back
+const DRAFT_TTL_DAYS = parseInt(process.env.FORM_DRAFT_TTL_DAYS) || 7;
+// Open drafts a pensioner may have at once
+const MAX_OPEN_DRAFTS = parseInt(process.env.FORM_MAX_OPEN_DRAFTS) || 10;
+// Uploads in that folder that nothing uses this many hours after upload are deleted
+const UNATTACHED_UPLOAD_TTL_HOURS = parseInt(process.env.FORM_UNATTACHED_UPLOAD_TTL_HOURS) || 24;
+
+const formatDraft = (draft, requirements) => ({
+  draft_id: draft.id,
+  form_type_id: draft.form_type_id,
+  form_type_name: draft.form_type_name,
+  abroad_status: Boolean(draft.abroad_status),
+  longitude: draft.longitude === null ? null : Number(draft.longitude),
+  latitude: draft.latitude === null ? null : Number(draft.latitude),
+  created_at: draft.created_at,
+  updated_at: draft.updated_at,
+  expires_at: draft.expires_at,
+  requirements: requirements
+    .filter(requirement => requirement.draft_id === draft.id)
+    .map(({ draft_id, owns_file, ...requirement }) => requirement)
+});
+
+const loadRequirements = async (draftIds) => {
+  if (draftIds.length === 0) return [];
+  return executeQuery(
+    `SELECT draft_id, requirement_type, value, file_url, file_key, file_type, owns_file, updated_at
+     FROM form_draft_requirements
+     WHERE draft_id IN (${draftIds.map(() => '?').join(', ')})
+     ORDER BY requirement_type ASC`,
+    draftIds
+  );
+};
+
+// A pensioner's unexpired drafts, newest first
+const listDrafts = async (userId) => {
+  const drafts = await executeQuery(
+    `SELECT d.*, ft.name AS form_type_name
+     FROM form_drafts d
+     JOIN form_type ft ON ft.id = d.form_type_id
+     WHERE d.user_id = ? AND d.expires_at > NOW()
+     ORDER BY d.updated_at DESC`,
+    [userId]
+  );
+  const requirements = await loadRequirements(drafts.map(draft => draft.id));
+  return drafts.map(draft => formatDraft(draft, requirements));
+};
+
+// One unexpired draft of this pensioner, or null
+const getDraft = async (userId, draftId) => {
+  const drafts = await executeQuery(
+    `SELECT d.*, ft.name AS form_type_name
+     FROM form_drafts d
+     JOIN form_type ft ON ft.id = d.form_type_id
+     WHERE d.id = ? AND d.user_id = ? AND d.expires_at > NOW()
+     LIMIT 1`,
+    [draftId, userId]
+  );
+  if (drafts.length === 0) return null;
+
+  return formatDraft(drafts[0], await loadRequirements([drafts[0].id]));
+};
+
+const countOpenDrafts = async (userId) => {
+  const rows = await executeQuery(
+    'SELECT COUNT(*) AS count FROM form_drafts WHERE user_id = ? AND expires_at > NOW()',
+    [userId]
+  );
+  return Number(rows[0].count);
+};
+
+// Only files this backend uploaded to the form folder. Returns an error message or null.
+const validateDraftFile = (file) => (isUploadedFile(file, FORM_UPLOAD_FOLDER)
+  ? null
+  : `file_url and file_key must be the ones returned by /api/upload (folder "${FORM_UPLOAD_FOLDER}")`);
+
+// Whether any draft, submission (or earlier version of one) or inquiry message uses the upload
+const isFileReferenced = async (key) => {
+  const references = await Promise.all([
+    executeQuery('SELECT 1 FROM form_requirements WHERE file_key = ? LIMIT 1', [key]),
+    executeQuery('SELECT 1 FROM form_draft_requirements WHERE file_key = ? LIMIT 1', [key]),
+    executeQuery('SELECT 1 FROM form_requirement_versions WHERE file_key = ? LIMIT 1', [key]),
+    executeQuery('SELECT 1 FROM inquiry_message_attachments WHERE file_key = ? LIMIT 1', [key])
+  ]);
+  return references.some(rows => rows.length > 0);
+};
+
+// Delete uploads that nothing refers to any more. Callers pass only files a draft
+// introduced (owns_file), never keys taken from a request. Fire-and-forget.
+const removeOrphanedFiles = (fileKeys) => {
+  const keys = [...new Set(fileKeys.filter(Boolean))];
+  if (keys.length === 0) return;
+
+  (async () => {
+    for (const key of keys) {
+      if (!(await isFileReferenced(key))) {
+        await removeFile(key);
+      }
+    }
+  })().catch(error => logger.warn(`Failed to remove orphaned draft uploads: ${error.message}`));
+};
+
+// Form uploads that were never saved on a draft or submitted. Runs on one replica at a
+// time, and not at all while submissions made before file_key was recorded still lack
+// one (migration 020), since their files would look unused.
+const cleanupUnattachedUploads = () => withNamedLock('form_unattached_uploads', async () => {
+  const missingKeys = await executeQuery(
+    `SELECT 1 FROM form_requirements
+     WHERE file_key IS NULL AND file_url IS NOT NULL AND file_url <> ''
+     LIMIT 1`
+  );
+  if (missingKeys.length > 0) {
+    logger.warn('Skipped unattached form upload cleanup: some form requirements have a file_url without file_key');
+    return;
+  }
+
+  const cutoff = Date.now() - UNATTACHED_UPLOAD_TTL_HOURS * 60 * 60 * 1000;
+  const stale = [];
+  for await (const object of minioClient.listObjectsV2(BUCKET, `${FORM_UPLOAD_FOLDER}/`, true)) {
+    if (object.name && object.lastModified && object.lastModified.getTime() < cutoff) {
+      stale.push(object.name);
+    }
+  }
+
+  let removed = 0;
+  for (const key of stale) {
+    if (!(await isFileReferenced(key))) {
+      await removeFile(key);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    logger.info(`Removed ${removed} form uploads never attached to a draft or submission`);
+  }
+}).catch(error => logger.warn(`Failed to cleanup unattached form uploads: ${error.message}`));
+
+const cleanupExpiredDrafts = async () => {
+  try {
+    const expired = await executeQuery(
+      'SELECT id FROM form_drafts WHERE expires_at <= NOW() ORDER BY expires_at ASC LIMIT 500'
+    );
+    if (expired.length === 0) return;
+
+    const draftIds = expired.map(draft => draft.id);
+    const placeholders = draftIds.map(() => '?').join(', ');
+    const files = await executeQuery(
+      `SELECT file_key FROM form_draft_requirements WHERE draft_id IN (${placeholders}) AND owns_file = 1`,
+      draftIds
+    );
+
+    await executeQuery(`DELETE FROM form_drafts WHERE id IN (${placeholders})`, draftIds);
+    removeOrphanedFiles(files.map(file => file.file_key));
+
+    logger.info(`Cleaned up ${draftIds.length} expired form drafts`);
+  } catch (error) {
+    logger.warn(`Failed to cleanup expired form drafts: ${error.message}`);
+  }
+};
+
+setInterval(cleanupExpiredDrafts, 60 * 60 * 1000).unref();
+if (process.env.FORM_UPLOAD_CLEANUP !== 'false') {
+  setInterval(cleanupUnattachedUploads, 24 * 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  DRAFT_TTL_DAYS,
+  MAX_OPEN_DRAFTS,
+  listDrafts,
+  getDraft,
+  countOpenDrafts,
+  validateDraftFile,
+  isFileReferenced,
+  removeOrphanedFiles
+};
@@ -0,0 +1,83 @@
+// Form submission statuses and the transitions reviewers may make between them.
+// Reversals undo a decision and need a reason. A returned form has none: it goes back to
+// pending only when the pensioner resubmits, which also closes the correction round
+// (services/formCorrections.js).
+const FORM_STATUSES = {
+  p: 'pending',
+  a: 'approved',
+  d: 'denied',
+  r: 'returned'
+};
+
+const TRANSITIONS = {
+  p: ['a', 'd', 'r'],
+  a: ['p'],
+  d: ['p'],
+  r: []
+};
+
+const REVERSALS = new Set(['a>p', 'd>p']);
+
+const isReversal = (from, to) => REVERSALS.has(`${from}>${to}`);
+
+// Whether a reviewer may move a form from one status to another. Returns { code, error }
+// when not allowed, or null.
+const checkTransition = (from, to, reason) => {
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    return {
+      code: 'INVALID_TRANSITION',
+      error: `A ${FORM_STATUSES[from] || from} form cannot be set to ${FORM_STATUSES[to] || to}`
+    };
+  }
+  if (isReversal(from, to) && (typeof reason !== 'string' || reason.trim().length === 0)) {
+    return {
+      code: 'REASON_REQUIRED',
+      error: `A reason is required to move a ${FORM_STATUSES[from]} form back to ${FORM_STATUSES[to]}`
+    };
+  }
+  return null;
+};
+
+const formEtag = (version) => `"${version}"`;
+
+// Version the client based its update on: the If-Match header (as sent back from the
+// ETag) or "version" in the body. NaN when missing.
+const requestedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+  }
+  return parseInt(req.body.version);
+};
+
+// Compare the client's version with the locked form row. Returns { status, code, error,
+// current_version } to send back, or null when the update may go ahead.
+const checkVersion = (req, form) => {
+  const version = requestedVersion(req);
+  if (isNaN(version)) {
+    return {
+      status: 428,
+      code: 'VERSION_REQUIRED',
+      error: 'Send the form version you are updating, as an If-Match header or "version" in the body',
+      current_version: form.version
+    };
+  }
+  if (version !== form.version) {
+    return {
+      status: 409,
+      code: 'VERSION_CONFLICT',
+      error: 'This form was changed by someone else. Reload it and try again',
+      current_version: form.version
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  FORM_STATUSES,
+  TRANSITIONS,
+  isReversal,
+  checkTransition,
+  formEtag,
+  checkVersion
+};
@@ -0,0 +1,144 @@
+const { executeQuery } = require('../config/database');
+const { isUploadedFile } = require('./storage');
+
+// Folder clients pass to /api/upload for requirement files
+const FORM_UPLOAD_FOLDER = 'forms';
+
+// Requirement definition as served to the app and used for validation
+const formatRequirement = (row) => ({
+  requirement_type: row.requirement_type,
+  label: row.label,
+  kind: row.kind,
+  applies_to: row.applies_to,
+  stored_per_location: Boolean(row.stored_per_location),
+  is_required: Boolean(row.is_required),
+  allowed_file_types: row.allowed_file_types
+    ? row.allowed_file_types.split(',').map(type => type.trim()).filter(Boolean)
+    : null,
+  value_pattern: row.value_pattern,
+  value_hint: row.value_hint,
+  max_length: row.max_length,
+  sort_order: row.sort_order
+});
+
+// Active form types with their requirement definitions; pass an id for just that type
+const listActiveFormTypes = async (formTypeId = null) => {
+  const types = await executeQuery(
+    `SELECT * FROM form_type WHERE is_active = 1 ${formTypeId === null ? '' : 'AND id = ?'} ORDER BY id ASC`,
+    formTypeId === null ? [] : [formTypeId]
+  );
+  if (types.length === 0) return [];
+
+  const requirements = await executeQuery(
+    `SELECT * FROM form_type_requirements
+     WHERE form_type_id IN (${types.map(() => '?').join(', ')})
+     ORDER BY sort_order ASC, id ASC`,
+    types.map(type => type.id)
+  );
+
+  return types.map(type => ({
+    ...type,
+    is_active: Boolean(type.is_active),
+    requirements: requirements
+      .filter(requirement => requirement.form_type_id === type.id)
+      .map(formatRequirement)
+  }));
+};
+
+// One active form type with its requirement definitions, or null
+const getActiveFormType = async (formTypeId) => {
+  const types = await listActiveFormTypes(formTypeId);
+  return types.length > 0 ? types[0] : null;
+};
+
+const appliesToLocation = (definition, locationStatus) =>
+  definition.applies_to === 'both' || definition.applies_to === locationStatus;
+
+// The requirement schema a pensioner at locationStatus ('loc' or 'abr') fills in;
+// without a location, every definition of the form type
+const requirementsFor = (formType, locationStatus = null) => formType.requirements
+  .filter(definition => locationStatus === null || appliesToLocation(definition, locationStatus));
+
+const matchesFileType = (allowedTypes, fileType) => allowedTypes.some(allowed =>
+  allowed.endsWith('/*') ? fileType.startsWith(allowed.slice(0, -1)) : allowed === fileType);
+
+// Error for one submitted requirement against its definition, or null when it is valid
+const validateField = (definition, requirement) => {
+  if (!requirement) {
+    return definition.is_required ? `${definition.label} is required` : null;
+  }
+
+  if (definition.kind === 'file') {
+    if (!requirement.file_url || !requirement.file_key) {
+      return `${definition.label} needs an uploaded file`;
+    }
+    if (!isUploadedFile(requirement, FORM_UPLOAD_FOLDER)) {
+      return `${definition.label} must be a file returned by /api/upload (folder "${FORM_UPLOAD_FOLDER}")`;
+    }
+    if (definition.allowed_file_types &&
+        (typeof requirement.file_type !== 'string' || !matchesFileType(definition.allowed_file_types, requirement.file_type))) {
+      return `${definition.label} must be one of: ${definition.allowed_file_types.join(', ')}`;
+    }
+    return null;
+  }
+
+  const value = typeof requirement.value === 'string' ? requirement.value.trim() : '';
+  if (value.length === 0) {
+    return `${definition.label} needs a value`;
+  }
+  if (definition.max_length && value.length > definition.max_length) {
+    return `${definition.label} must be at most ${definition.max_length} characters`;
+  }
+  if (definition.value_pattern && !new RegExp(definition.value_pattern).test(value)) {
+    return definition.value_hint
+      ? `${definition.label} is not valid: ${definition.value_hint}`
+      : `${definition.label} is not in the expected format`;
+  }
+  return null;
+};
+
+// Check submitted requirements against the form type's schema for a pensioner at
+// locationStatus. Returns per-field errors keyed by requirement_type (or
+// "requirements[index]" for malformed entries); empty when the submission is complete.
+const validateRequirements = (formType, requirements, locationStatus) => {
+  const errors = {};
+  const submitted = new Map();
+
+  requirements.forEach((requirement, index) => {
+    if (!requirement || typeof requirement.requirement_type !== 'string' || requirement.requirement_type.length === 0) {
+      errors[`requirements[${index}]`] = 'requirement_type is required for all requirements';
+      return;
+    }
+    submitted.set(requirement.requirement_type, requirement);
+  });
+
+  requirementsFor(formType, locationStatus).forEach(definition => {
+    if (errors[definition.requirement_type]) return;
+
+    const error = validateField(definition, submitted.get(definition.requirement_type));
+    if (error) {
+      errors[definition.requirement_type] = error;
+    }
+  });
+
+  return errors;
+};
+
+// applies_to_location stored with a submitted requirement: the definition's applies_to,
+// except the submitter's location for shared ones marked stored_per_location, and
+// 'both' when not defined
+const requirementLocation = (formType, requirementType, locationStatus) => {
+  const definition = formType.requirements.find(item => item.requirement_type === requirementType);
+  if (!definition) return 'both';
+  return definition.applies_to === 'both' && definition.stored_per_location ? locationStatus : definition.applies_to;
+};
+
+module.exports = {
+  FORM_UPLOAD_FOLDER,
+  listActiveFormTypes,
+  getActiveFormType,
+  requirementsFor,
+  validateField,
+  validateRequirements,
+  requirementLocation
+};
@@ -0,0 +1,198 @@
+const { executeQuery } = require('../config/database');
+const { PERMISSIONS, hasPermission } = require('./adminAccess');
+const { returnForCorrection } = require('./formCorrections');
+const { recordFormHistory } = require('./formAudit');
+
+const STAGE_ACTIONS = ['advance', 'approve', 'return', 'deny'];
+const STAGE_CODE_PATTERN = /^[a-z0-9_]{1,32}$/;
+
+const formatStage = (row) => ({
+  ...row,
+  requires_distinct_admin: Boolean(row.requires_distinct_admin)
+});
+
+// Review stages of a form type in order; empty when it uses single-step review
+const listStages = async (formTypeId) => {
+  const rows = await executeQuery(
+    'SELECT * FROM form_workflow_stages WHERE form_type_id = ? ORDER BY stage_order ASC, id ASC',
+    [formTypeId]
+  );
+  return rows.map(formatStage);
+};
+
+// Check a stage list for PUT /workflows/:form_type_id. Returns an error message or null.
+const validateStages = (stages) => {
+  if (!Array.isArray(stages)) {
+    return 'stages must be an array (empty to remove the workflow)';
+  }
+
+  const codes = new Set();
+  for (const stage of stages) {
+    if (!stage || typeof stage.code !== 'string' || !STAGE_CODE_PATTERN.test(stage.code)) {
+      return 'Each stage needs a code of up to 32 lowercase letters, digits or underscores';
+    }
+    if (codes.has(stage.code)) {
+      return `Stage code ${stage.code} is used more than once`;
+    }
+    if (typeof stage.name !== 'string' || stage.name.trim().length === 0 || stage.name.trim().length > 100) {
+      return `Stage ${stage.code} needs a name of at most 100 characters`;
+    }
+    if (!PERMISSIONS[stage.permission]) {
+      return `Unknown permission for stage ${stage.code}: ${stage.permission}`;
+    }
+    codes.add(stage.code);
+  }
+  return null;
+};
+
+// Replace a form type's stages, in the given order. Stages keep their id by code, so
+// forms waiting at them stay put. Returns an error message (nothing saved) when a
+// stage to remove still has pending forms waiting at it, or null.
+const saveStages = async (connection, formTypeId, stages) => {
+  const [existing] = await connection.execute(
+    'SELECT id, code, name FROM form_workflow_stages WHERE form_type_id = ? FOR UPDATE',
+    [formTypeId]
+  );
+  const keptCodes = new Set(stages.map(stage => stage.code));
+  const removed = existing.filter(stage => !keptCodes.has(stage.code));
+
+  for (const stage of removed) {
+    const [waiting] = await connection.execute(
+      "SELECT COUNT(*) AS count FROM form_submission WHERE current_stage_id = ? AND status = 'p'",
+      [stage.id]
+    );
+    if (Number(waiting[0].count) > 0) {
+      return `Stage ${stage.name} still has ${waiting[0].count} pending forms waiting at it`;
+    }
+  }
+
+  // Forms of this type that have not started review wait at the first stage either way
+  if (removed.length > 0) {
+    await connection.execute(
+      `DELETE FROM form_workflow_stages WHERE id IN (${removed.map(() => '?').join(', ')})`,
+      removed.map(stage => stage.id)
+    );
+  }
+
+  for (const [index, stage] of stages.entries()) {
+    await connection.execute(
+      `INSERT INTO form_workflow_stages (form_type_id, stage_order, code, name, permission, requires_distinct_admin)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE stage_order = VALUES(stage_order), name = VALUES(name),
+         permission = VALUES(permission), requires_distinct_admin = VALUES(requires_distinct_admin)`,
+      [formTypeId, (index + 1) * 10, stage.code, stage.name.trim(), stage.permission, stage.requires_distinct_admin ? 1 : 0]
+    );
+  }
+
+  return null;
+};
+
+// Stage a pending form is at: its current stage, or the first one
+const currentStage = (form, stages) =>
+  stages.find(stage => stage.id === form.current_stage_id) || stages[0];
+
+// Stage actions taken on a form, oldest first
+const getStageActions = (formId) => executeQuery(
+  `SELECT sa.id, sa.stage_id, sa.stage_name, sa.review_round, sa.action, sa.action_by,
+          a.name AS action_by_name, sa.remarks, sa.created_at
+   FROM form_stage_actions sa
+   LEFT JOIN admins_tbl a ON a.id = sa.action_by
+   WHERE sa.form_id = ?
+   ORDER BY sa.created_at ASC, sa.id ASC`,
+  [formId]
+);
+
+// Whether the admin may take this action on the form's current stage.
+// Returns { status, error } when not allowed, or null.
+const checkStageAction = async ({ form, stages, access, action }) => {
+  if (form.status !== 'p') {
+    return { status: 409, error: 'Only pending forms can be moved through review stages' };
+  }
+
+  const stage = currentStage(form, stages);
+  const isLastStage = stage.id === stages[stages.length - 1].id;
+
+  if (!hasPermission(access, stage.permission)) {
+    return { status: 403, error: `You do not have permission to act on the ${stage.name} stage` };
+  }
+  if (action === 'advance' && isLastStage) {
+    return { status: 409, error: `${stage.name} is the last stage. Approve or deny the form instead` };
+  }
+  if (action === 'approve' && !isLastStage) {
+    return { status: 409, error: `The form is at ${stage.name}. Only the last stage can approve it` };
+  }
+
+  if (stage.requires_distinct_admin) {
+    const earlier = await executeQuery(
+      `SELECT 1 FROM form_stage_actions
+       WHERE form_id = ? AND review_round = ? AND action = 'advance' AND action_by = ?
+       LIMIT 1`,
+      [form.id, form.review_round, access.adminId]
+    );
+    if (earlier.length > 0) {
+      return { status: 403, error: `${stage.name} must be done by an admin who did not complete an earlier stage of this form` };
+    }
+  }
+
+  return null;
+};
+
+// Take a checked stage action inside the caller's transaction, logged to history_logs
+const performStageAction = async (connection, { form, stages, adminId, action, remarks, comments, audit }) => {
+  const stage = currentStage(form, stages);
+
+  await connection.execute(
+    `INSERT INTO form_stage_actions (form_id, stage_id, stage_name, review_round, action, action_by, remarks)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [form.id, stage.id, stage.name, form.review_round, action, adminId, remarks || null]
+  );
+
+  if (action === 'advance') {
+    const nextStage = stages[stages.findIndex(item => item.id === stage.id) + 1];
+    await connection.execute(
+      'UPDATE form_submission SET current_stage_id = ?, version = version + 1 WHERE id = ?',
+      [nextStage.id, form.id]
+    );
+    await recordFormHistory(connection, audit, {
+      formId: form.id,
+      action: 'stage',
+      remarks: `STAGE: ${stage.name} completed, moved to ${nextStage.name}${remarks ? ` - ${remarks}` : ''}`,
+      before: { stage: stage.name },
+      after: { stage: nextStage.name }
+    });
+    return nextStage;
+  }
+
+  if (action === 'return') {
+    await returnForCorrection(connection, { form, adminId, comments, adminNotes: remarks, audit });
+    return stage;
+  }
+
+  const status = action === 'approve' ? 'a' : 'd';
+  await connection.execute(
+    `UPDATE form_submission
+     SET status = ?, admin_notes = COALESCE(?, admin_notes), reviewed_at = NOW(), version = version + 1
+     WHERE id = ?`,
+    [status, remarks ? `${stage.name}: ${remarks}` : null, form.id]
+  );
+  await recordFormHistory(connection, audit, {
+    formId: form.id,
+    action: 'status',
+    status,
+    remarks: `${stage.name}: ${action === 'approve' ? 'approved' : 'denied'}${remarks ? ` - ${remarks}` : ''}`,
+    before: { status: form.status },
+    after: { status }
+  });
+  return stage;
+};
+
+module.exports = {
+  STAGE_ACTIONS,
+  listStages,
+  validateStages,
+  saveStages,
+  currentStage,
+  getStageActions,
+  checkStageAction,
+  performStageAction
+};
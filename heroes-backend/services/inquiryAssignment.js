@@ -0,0 +1,155 @@
+const { getConnection, logger } = require('../config/database');
+const { getAdminAccess, hasNavPath } = require('./adminAccess');
+const { recordStatusChange } = require('./inquiryThread');
+
+// Nav item that gates the admin inquiry screens
+const INQUIRIES_NAV_PATH = process.env.INQUIRIES_NAV_PATH || '/inquiries';
+
+// Statuses that count towards an admin's workload
+const OPEN_STATUSES = ['pen', 'in_prog'];
+
+const ROUTING_STRATEGIES = ['none', 'round_robin', 'least_open'];
+
+// Inquiries can only go to admins who can open the inquiry screens.
+// Returns an error message, or null when the admin is a valid assignee.
+const checkAssignee = async (adminId) => {
+  const access = Number.isInteger(adminId) ? await getAdminAccess(adminId) : null;
+  if (!access) {
+    return `Admin ${adminId} not found`;
+  }
+  if (!(await hasNavPath(access, INQUIRIES_NAV_PATH))) {
+    return `Admin ${adminId} does not have access to inquiries`;
+  }
+  return null;
+};
+
+// Point an inquiry at a new admin (or at nobody when toAdminId is null) and record it
+// in the history. Runs on the caller's connection, which should be inside a transaction.
+// Returns null when the inquiry does not exist.
+const assignInquiry = async (connection, { inquiryId, toAdminId, assignedBy = null, method, reason = null }) => {
+  const [rows] = await connection.execute(
+    'SELECT id, assigned_to, status FROM inquiries WHERE id = ? FOR UPDATE',
+    [inquiryId]
+  );
+  if (rows.length === 0) return null;
+
+  const fromAdminId = rows[0].assigned_to;
+  if (fromAdminId === toAdminId) {
+    return { changed: false, fromAdminId, toAdminId, status: rows[0].status };
+  }
+
+  // Someone picking up a pending inquiry by hand starts work on it;
+  // automatic assignment on submission leaves it pending
+  const status = method === 'manual' && toAdminId && rows[0].status === 'pen' ? 'in_prog' : rows[0].status;
+
+  await connection.execute(
+    `UPDATE inquiries
+     SET assigned_to = ?, assigned_at = IF(? IS NULL, NULL, NOW()), status = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [toAdminId, toAdminId, status, inquiryId]
+  );
+
+  await connection.execute(
+    `INSERT INTO inquiry_assignment_history
+       (inquiry_id, from_admin_id, to_admin_id, assigned_by, method, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [inquiryId, fromAdminId, toAdminId, assignedBy, method, reason]
+  );
+
+  if (status !== rows[0].status) {
+    await recordStatusChange(connection, { inquiryId, fromStatus: rows[0].status, toStatus: status, adminId: assignedBy });
+  }
+
+  return { changed: true, fromAdminId, toAdminId, status };
+};
+
+// Choose the admin a new inquiry of this category should go to, per the category's
+// routing strategy, falling back to its default assignee when the strategy is none
+// or the pool is empty. Locks the routing row so concurrent submissions take turns.
+const pickAssignee = async (connection, categoryId) => {
+  const [routing] = await connection.execute(
+    `SELECT ic.default_assignee_id, COALESCE(r.strategy, 'none') AS strategy, r.last_assigned_admin_id
+     FROM inquiry_categories ic
+     LEFT JOIN inquiry_category_routing r ON r.category_id = ic.id
+     WHERE ic.id = ?
+     FOR UPDATE`,
+    [categoryId]
+  );
+  if (routing.length === 0) return null;
+
+  const { strategy, last_assigned_admin_id: lastAdminId, default_assignee_id: defaultAdminId } = routing[0];
+  let adminId = null;
+
+  if (strategy === 'round_robin') {
+    const [pool] = await connection.execute(
+      'SELECT admin_id FROM inquiry_category_assignees WHERE category_id = ? ORDER BY admin_id',
+      [categoryId]
+    );
+
+    if (pool.length > 0) {
+      const next = pool.find(row => lastAdminId !== null && row.admin_id > lastAdminId) || pool[0];
+      adminId = next.admin_id;
+    }
+  } else if (strategy === 'least_open') {
+    // Ties go to whoever was given an inquiry longest ago
+    const [pool] = await connection.execute(
+      `SELECT ica.admin_id, COUNT(i.id) AS open_count, MAX(i.assigned_at) AS last_assigned_at
+       FROM inquiry_category_assignees ica
+       LEFT JOIN inquiries i ON i.assigned_to = ica.admin_id AND i.status IN (?, ?)
+       WHERE ica.category_id = ?
+       GROUP BY ica.admin_id
+       ORDER BY open_count ASC, last_assigned_at IS NOT NULL, last_assigned_at ASC, ica.admin_id ASC
+       LIMIT 1`,
+      [...OPEN_STATUSES, categoryId]
+    );
+
+    if (pool.length > 0) {
+      adminId = pool[0].admin_id;
+    }
+  }
+
+  if (adminId === null) {
+    return defaultAdminId;
+  }
+
+  await connection.execute(
+    'UPDATE inquiry_category_routing SET last_assigned_admin_id = ? WHERE category_id = ?',
+    [adminId, categoryId]
+  );
+  return adminId;
+};
+
+// Assign a newly submitted inquiry according to its category's routing.
+// Returns the chosen admin id, or null when nobody is set up to receive it.
+const autoAssignInquiry = async (inquiryId, categoryId) => {
+  const connection = await getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const adminId = await pickAssignee(connection, categoryId);
+    if (adminId !== null) {
+      await assignInquiry(connection, { inquiryId, toAdminId: adminId, method: 'auto' });
+    }
+
+    await connection.commit();
+
+    if (adminId !== null) {
+      logger.info(`Inquiry ${inquiryId} auto-assigned to admin ${adminId}`);
+    }
+    return adminId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  INQUIRIES_NAV_PATH,
+  OPEN_STATUSES,
+  ROUTING_STRATEGIES,
+  checkAssignee,
+  assignInquiry,
+  autoAssignInquiry
+};
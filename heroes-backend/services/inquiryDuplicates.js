@@ -0,0 +1,87 @@
+const { OPEN_STATUSES } = require('./inquiryAssignment');
+
+// Duplicate detection for public inquiry submissions. A contact may have several
+// inquiries, but resubmitting the same question while it is still open is linked to the
+// open ticket instead of creating another one. Linking needs both the email and the mobile
+// number to match, since the submission is added to that inquiry's thread.
+
+// How far back a similar open inquiry from the same contact counts as a duplicate
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.INQUIRY_DUPLICATE_WINDOW_HOURS) || 72;
+// Message similarity (0-1) at or above which two messages are the same question
+const DUPLICATE_SIMILARITY = parseFloat(process.env.INQUIRY_DUPLICATE_SIMILARITY) || 0.8;
+// Minimum time between two separate inquiries from one contact
+const CONTACT_COOLDOWN_MINUTES = parseInt(process.env.INQUIRY_CONTACT_COOLDOWN_MINUTES) || 10;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const trigrams = (text) => {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Dice coefficient over character trigrams: tolerant of typos, reordered
+// punctuation and small edits, which is what a resubmitted question looks like
+const messageSimilarity = (a, b) => {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = trigrams(left);
+  const rightGrams = trigrams(right);
+  let shared = 0;
+  leftGrams.forEach(gram => {
+    if (rightGrams.has(gram)) shared++;
+  });
+  return (2 * shared) / (leftGrams.size + rightGrams.size);
+};
+
+// The most similar open inquiry with the same email and mobile number inside the window, or null
+const findDuplicateInquiry = async (connection, { email, mobilenr, message }) => {
+  const [candidates] = await connection.execute(
+    `SELECT id, name, email, mobilenr, category_id, message, status, created_at
+     FROM inquiries
+     WHERE LOWER(email) = ? AND mobilenr = ?
+       AND status IN (?, ?)
+       AND created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+     ORDER BY created_at DESC`,
+    [normalizeEmail(email), String(mobilenr).trim(), ...OPEN_STATUSES, DUPLICATE_WINDOW_HOURS]
+  );
+
+  let best = null;
+  candidates.forEach(candidate => {
+    const similarity = messageSimilarity(message, candidate.message);
+    if (similarity >= DUPLICATE_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { ...candidate, similarity };
+    }
+  });
+  return best;
+};
+
+// Seconds until the contact may submit another separate inquiry; 0 when they may now
+const contactCooldownRemaining = async (connection, { email, mobilenr }) => {
+  const [rows] = await connection.execute(
+    `SELECT TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MAX(created_at), INTERVAL ? MINUTE)) AS remaining
+     FROM inquiries
+     WHERE LOWER(email) = ? OR mobilenr = ?`,
+    [CONTACT_COOLDOWN_MINUTES, normalizeEmail(email), String(mobilenr).trim()]
+  );
+  return Math.max(Number(rows[0].remaining) || 0, 0);
+};
+
+module.exports = {
+  normalizeEmail,
+  messageSimilarity,
+  findDuplicateInquiry,
+  contactCooldownRemaining
+};
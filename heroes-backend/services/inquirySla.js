@@ -0,0 +1,268 @@
+const { executeQuery, getConnection, logger } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { OPEN_STATUSES, assignInquiry } = require('./inquiryAssignment');
+const { addMessage } = require('./inquiryThread');
+
+// How often breached inquiries are looked for and escalated
+const SLA_CHECK_INTERVAL_MINUTES = parseInt(process.env.INQUIRY_SLA_CHECK_MINUTES) || 5;
+// Fallback recipient for categories without an escalation admin
+const ESCALATION_EMAIL = process.env.INQUIRY_ESCALATION_EMAIL;
+// Breaches escalated per stage per run, so a large backlog is worked through gradually
+const ESCALATION_BATCH_SIZE = 100;
+
+// The two SLA stages and the inquiries columns that track them
+const SLA_STAGES = {
+  first_response: {
+    label: 'first response',
+    metColumn: 'first_response_at',
+    dueColumn: 'first_response_due_at',
+    breachedColumn: 'first_response_breached_at'
+  },
+  resolution: {
+    label: 'resolution',
+    metColumn: 'resolved_at',
+    dueColumn: 'resolution_due_at',
+    breachedColumn: 'resolution_breached_at'
+  }
+};
+
+// Validates an SLA target in minutes; null removes the target
+const isValidSlaMinutes = (value) => value === null || (Number.isInteger(value) && value > 0 && value <= 365 * 24 * 60);
+
+// Fix a new inquiry's due timestamps from its category's targets
+const setSlaDueDates = async (connection, inquiryId) => {
+  await connection.execute(
+    `UPDATE inquiries i
+     JOIN inquiry_categories ic ON ic.id = i.category_id
+     SET i.first_response_due_at = DATE_ADD(i.created_at, INTERVAL ic.first_response_sla_minutes MINUTE),
+         i.resolution_due_at = DATE_ADD(i.created_at, INTERVAL ic.resolution_sla_minutes MINUTE)
+     WHERE i.id = ?`,
+    [inquiryId]
+  );
+};
+
+// Change the status and keep resolved_at in step: set when the inquiry is resolved
+// or closed, cleared again when it is reopened. A reopened inquiry gets a fresh
+// resolution target from now and loses its old breach, so it can be escalated again.
+const updateInquiryStatus = async (connection, inquiryId, status) => {
+  await connection.execute(
+    `UPDATE inquiries i
+     JOIN inquiry_categories ic ON ic.id = i.category_id
+     SET i.resolution_due_at = DATE_ADD(NOW(), INTERVAL ic.resolution_sla_minutes MINUTE),
+         i.resolution_breached_at = NULL
+     WHERE i.id = ? AND i.resolved_at IS NOT NULL AND ? NOT IN ('res', 'clo')`,
+    [inquiryId, status]
+  );
+
+  await connection.execute(
+    `UPDATE inquiries
+     SET status = ?, resolved_at = IF(? IN ('res', 'clo'), COALESCE(resolved_at, NOW()), NULL), updated_at = NOW()
+     WHERE id = ?`,
+    [status, status, inquiryId]
+  );
+};
+
+// The first public admin reply is the first response
+const markFirstResponse = async (connection, inquiryId) => {
+  await connection.execute(
+    'UPDATE inquiries SET first_response_at = COALESCE(first_response_at, NOW()) WHERE id = ?',
+    [inquiryId]
+  );
+};
+
+// Record one breach in the thread, hand the inquiry to the category's escalation
+// admin when configured to, and email them. Returns false when another instance
+// already escalated this breach.
+const escalateBreach = async (inquiry, stageKey) => {
+  const stage = SLA_STAGES[stageKey];
+  const reassign = inquiry.escalation_action === 'reassign' &&
+    inquiry.escalation_admin_id && inquiry.assigned_to !== inquiry.escalation_admin_id;
+
+  const connection = await getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [claim] = await connection.execute(
+      `UPDATE inquiries SET ${stage.breachedColumn} = NOW() WHERE id = ? AND ${stage.breachedColumn} IS NULL`,
+      [inquiry.id]
+    );
+    if (claim.affectedRows === 0) {
+      await connection.rollback();
+      return false;
+    }
+
+    if (reassign) {
+      await assignInquiry(connection, {
+        inquiryId: inquiry.id,
+        toAdminId: inquiry.escalation_admin_id,
+        method: 'escalation',
+        reason: `SLA breach: ${stage.label}`
+      });
+    }
+
+    await addMessage(connection, {
+      inquiryId: inquiry.id,
+      authorType: 'system',
+      visibility: 'internal',
+      messageType: 'escalation',
+      body: `SLA breached: ${stage.label} was due ${new Date(inquiry.due_at).toISOString()}.` +
+        (reassign ? ` Reassigned to ${inquiry.escalation_admin_name}.` : '')
+    });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  logger.warn(`Inquiry ${inquiry.id} breached its ${stage.label} SLA${reassign ? `, reassigned to admin ${inquiry.escalation_admin_id}` : ''}`);
+
+  const recipient = inquiry.escalation_admin_email || ESCALATION_EMAIL;
+  if (recipient) {
+    sendMail({
+      to: recipient,
+      subject: `SLA breached: inquiry #${inquiry.id} (${stage.label})`,
+      text: [
+        `Inquiry #${inquiry.id} in "${inquiry.category_name}" missed its ${stage.label} target.`,
+        '',
+        `Due: ${new Date(inquiry.due_at).toISOString()}`,
+        `Assigned to: ${reassign ? inquiry.escalation_admin_name : (inquiry.assignee_name || 'nobody')}`
+      ].join('\n')
+    }).catch(error => logger.error(`Failed to send SLA escalation for inquiry ${inquiry.id}: ${error.message}`));
+  } else {
+    logger.warn(`No escalation recipient for inquiry category "${inquiry.category_name}"`);
+  }
+
+  return true;
+};
+
+const runSlaEscalations = async () => {
+  for (const [stageKey, stage] of Object.entries(SLA_STAGES)) {
+    try {
+      const breached = await executeQuery(
+        `SELECT i.id, i.assigned_to, i.${stage.dueColumn} AS due_at, assignee.name AS assignee_name,
+                ic.name AS category_name, ic.escalation_admin_id, ic.escalation_action,
+                supervisor.name AS escalation_admin_name, supervisor.email AS escalation_admin_email
+         FROM inquiries i
+         JOIN inquiry_categories ic ON ic.id = i.category_id
+         LEFT JOIN admins_tbl assignee ON assignee.id = i.assigned_to
+         LEFT JOIN admins_tbl supervisor ON supervisor.id = ic.escalation_admin_id
+         WHERE i.status IN (?, ?)
+           AND i.${stage.metColumn} IS NULL
+           AND i.${stage.breachedColumn} IS NULL
+           AND i.${stage.dueColumn} < NOW()
+         ORDER BY i.${stage.dueColumn} ASC
+         LIMIT ${ESCALATION_BATCH_SIZE}`,
+        OPEN_STATUSES
+      );
+
+      for (const inquiry of breached) {
+        try {
+          await escalateBreach(inquiry, stageKey);
+        } catch (error) {
+          logger.error(`Failed to escalate inquiry ${inquiry.id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Failed to check ${stage.label} SLA breaches: ${error.message}`);
+    }
+  }
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Stage figures over a set of inquiry rows. An inquiry is only counted once its
+// outcome is known: the stage was met, or its due time has passed.
+const summarizeStage = (rows, stageKey) => {
+  const evaluated = rows.filter(row => row[`${stageKey}_has_target`] && (row[`${stageKey}_minutes`] !== null || row[`${stageKey}_overdue`]));
+  const breached = evaluated.filter(row => row[`${stageKey}_breached`]).length;
+  const minutes = rows.map(row => row[`${stageKey}_minutes`]).filter(value => value !== null);
+
+  return {
+    completed: minutes.length,
+    median_minutes: median(minutes),
+    evaluated: evaluated.length,
+    breached,
+    breached_pct: evaluated.length > 0 ? Math.round((breached / evaluated.length) * 1000) / 10 : null
+  };
+};
+
+// SLA compliance of inquiries submitted in the last `days` days, overall and per category
+const getSlaStatistics = async (days) => {
+  const rows = (await executeQuery(
+    `SELECT ic.id AS category_id, ic.name AS category_name, ic.code AS category_code,
+            ic.first_response_sla_minutes, ic.resolution_sla_minutes,
+            TIMESTAMPDIFF(MINUTE, i.created_at, i.first_response_at) AS first_response_minutes,
+            TIMESTAMPDIFF(MINUTE, i.created_at, i.resolved_at) AS resolution_minutes,
+            i.first_response_due_at IS NOT NULL AS first_response_has_target,
+            i.resolution_due_at IS NOT NULL AS resolution_has_target,
+            i.first_response_due_at < NOW() AS first_response_overdue,
+            i.resolution_due_at < NOW() AS resolution_overdue,
+            COALESCE(i.first_response_at, NOW()) > i.first_response_due_at AS first_response_breached,
+            COALESCE(i.resolved_at, NOW()) > i.resolution_due_at AS resolution_breached
+     FROM inquiries i
+     JOIN inquiry_categories ic ON ic.id = i.category_id
+     WHERE i.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+    [days]
+  )).map(row => ({
+    ...row,
+    first_response_minutes: row.first_response_minutes === null ? null : Number(row.first_response_minutes),
+    resolution_minutes: row.resolution_minutes === null ? null : Number(row.resolution_minutes),
+    first_response_has_target: Boolean(Number(row.first_response_has_target)),
+    resolution_has_target: Boolean(Number(row.resolution_has_target)),
+    first_response_overdue: Boolean(Number(row.first_response_overdue)),
+    resolution_overdue: Boolean(Number(row.resolution_overdue)),
+    first_response_breached: Boolean(Number(row.first_response_breached)),
+    resolution_breached: Boolean(Number(row.resolution_breached))
+  }));
+
+  const byCategory = new Map();
+  rows.forEach(row => {
+    if (!byCategory.has(row.category_id)) byCategory.set(row.category_id, []);
+    byCategory.get(row.category_id).push(row);
+  });
+
+  return {
+    period_days: days,
+    overall: {
+      total: rows.length,
+      first_response: summarizeStage(rows, 'first_response'),
+      resolution: summarizeStage(rows, 'resolution')
+    },
+    by_category: [...byCategory.values()].map(categoryRows => ({
+      category_id: categoryRows[0].category_id,
+      category_name: categoryRows[0].category_name,
+      category_code: categoryRows[0].category_code,
+      total: categoryRows.length,
+      first_response: {
+        target_minutes: categoryRows[0].first_response_sla_minutes,
+        ...summarizeStage(categoryRows, 'first_response')
+      },
+      resolution: {
+        target_minutes: categoryRows[0].resolution_sla_minutes,
+        ...summarizeStage(categoryRows, 'resolution')
+      }
+    }))
+  };
+};
+
+if (process.env.INQUIRY_SLA_SCHEDULER !== 'false') {
+  setInterval(runSlaEscalations, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = {
+  SLA_STAGES,
+  isValidSlaMinutes,
+  setSlaDueDates,
+  updateInquiryStatus,
+  markFirstResponse,
+  runSlaEscalations,
+  getSlaStatistics
+};
@@ -0,0 +1,152 @@
+const { executeQuery, logger } = require('../config/database');
+const { sendMail } = require('./mailer');
+const { isUploadedFile } = require('./storage');
+
+const STATUS_LABELS = {
+  pen: 'Pending',
+  in_prog: 'In progress',
+  res: 'Resolved',
+  clo: 'Closed'
+};
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_ATTACHMENTS = 5;
+// Folder clients pass to /api/upload for inquiry attachments
+const ATTACHMENT_FOLDER = 'inquiries';
+
+// Validates a reply / follow-up body and its attachments.
+// Returns an error message, or null when the input is acceptable.
+const validateMessageInput = ({ message, attachments }) => {
+  if (!message || typeof message !== 'string' || message.trim().length === 0) {
+    return 'Message is required';
+  }
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return `Message exceeds maximum length of ${MAX_MESSAGE_LENGTH} characters`;
+  }
+
+  if (attachments === undefined) return null;
+  if (!Array.isArray(attachments)) {
+    return 'attachments must be an array';
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    return `At most ${MAX_ATTACHMENTS} attachments are allowed per message`;
+  }
+
+  for (const attachment of attachments) {
+    // Only files this backend uploaded to the inquiry folder
+    if (!isUploadedFile(attachment || {}, ATTACHMENT_FOLDER)) {
+      return `Each attachment needs the file_url and file_key returned by /api/upload (folder "${ATTACHMENT_FOLDER}")`;
+    }
+  }
+  return null;
+};
+
+// Add a message to an inquiry's thread on the caller's connection. Returns its id.
+// messageType 'duplicate_submission' marks a resubmitted inquiry linked to this one.
+const addMessage = async (connection, {
+  inquiryId, authorType, authorAdminId = null, visibility = 'public', messageType = 'message', body, attachments = []
+}) => {
+  const [result] = await connection.execute(
+    `INSERT INTO inquiry_messages (inquiry_id, author_type, author_admin_id, visibility, message_type, body, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [inquiryId, authorType, authorAdminId, visibility, messageType, body.trim()]
+  );
+
+  for (const attachment of attachments) {
+    await connection.execute(
+      `INSERT INTO inquiry_message_attachments (message_id, file_url, file_key, file_type, file_name, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [result.insertId, attachment.file_url, attachment.file_key, attachment.file_type || null, attachment.file_name || null]
+    );
+  }
+
+  return result.insertId;
+};
+
+// Record a status transition in the thread; adminId is null for automatic transitions
+const recordStatusChange = async (connection, { inquiryId, fromStatus, toStatus, adminId = null, note = null }) => {
+  await connection.execute(
+    `INSERT INTO inquiry_messages
+       (inquiry_id, author_type, author_admin_id, visibility, message_type, body, old_status, new_status, created_at)
+     VALUES (?, ?, ?, 'public', 'status_change', ?, ?, ?, NOW())`,
+    [inquiryId, adminId ? 'admin' : 'system', adminId, note, fromStatus, toStatus]
+  );
+};
+
+// The thread of an inquiry, oldest first. Submitters get public entries only and
+// no admin names.
+const getThread = async (inquiryId, { includeInternal = false } = {}) => {
+  const messages = await executeQuery(
+    `SELECT m.id, m.author_type, m.author_admin_id, a.name AS author_name, m.visibility,
+            m.message_type, m.body, m.old_status, m.new_status, m.created_at
+     FROM inquiry_messages m
+     LEFT JOIN admins_tbl a ON m.author_admin_id = a.id
+     WHERE m.inquiry_id = ? ${includeInternal ? '' : "AND m.visibility = 'public'"}
+     ORDER BY m.created_at ASC, m.id ASC`,
+    [inquiryId]
+  );
+  if (messages.length === 0) return [];
+
+  const attachments = await executeQuery(
+    `SELECT message_id, file_url, file_key, file_type, file_name
+     FROM inquiry_message_attachments
+     WHERE message_id IN (${messages.map(() => '?').join(', ')})
+     ORDER BY id ASC`,
+    messages.map(message => message.id)
+  );
+
+  return messages.map(message => ({
+    id: message.id,
+    author_type: message.author_type,
+    ...(includeInternal && { author_admin_id: message.author_admin_id, author_name: message.author_name }),
+    visibility: message.visibility,
+    message_type: message.message_type,
+    body: message.body,
+    old_status: message.old_status,
+    new_status: message.new_status,
+    created_at: message.created_at,
+    attachments: attachments
+      .filter(attachment => attachment.message_id === message.id)
+      .map(({ message_id, ...attachment }) => attachment)
+  }));
+};
+
+// Email the submitter about a public reply or status change. Fire-and-forget.
+const notifySubmitter = (inquiry, { subject, text }) => {
+  sendMail({
+    to: inquiry.email,
+    subject,
+    text: [
+      `Hello ${inquiry.name},`,
+      '',
+      text,
+      '',
+      'Use the tracking code from your confirmation email to view the whole conversation and reply.'
+    ].join('\n')
+  }).catch(error => logger.error(`Failed to notify submitter of inquiry ${inquiry.id}: ${error.message}`));
+};
+
+// Email the assigned admin about a submitter follow-up. Fire-and-forget; unassigned
+// inquiries are picked up from the admin list instead.
+const notifyAssignee = (inquiryId, { subject, text }) => {
+  executeQuery(
+    `SELECT a.email, a.name FROM inquiries i JOIN admins_tbl a ON i.assigned_to = a.id WHERE i.id = ? LIMIT 1`,
+    [inquiryId]
+  )
+    .then(admins => admins.length > 0 && sendMail({
+      to: admins[0].email,
+      subject,
+      text: [`Hello ${admins[0].name},`, '', text].join('\n')
+    }))
+    .catch(error => logger.error(`Failed to notify assignee of inquiry ${inquiryId}: ${error.message}`));
+};
+
+module.exports = {
+  STATUS_LABELS,
+  validateMessageInput,
+  addMessage,
+  recordStatusChange,
+  getThread,
+  notifySubmitter,
+  notifyAssignee
+};
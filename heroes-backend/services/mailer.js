@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../config/database');
+
+// Mail transports, selected with MAIL_TRANSPORT (console | file | smtp).
+// "console" (the development default) logs only the recipient and subject, since bodies
+// carry verification and reset tokens; it is refused in production, where MAIL_TRANSPORT
+// must be set. "file" writes each message as JSON to MAIL_FILE_DIR so local runs and tests
+// can read what would have been sent; "smtp" also works against a local SMTP catcher.
+const transports = {
+  console: () => ({
+    name: 'console',
+    send: async (message) => {
+      logger.info(`[mail] to=${message.to} subject="${message.subject}" (body not logged)`);
+      return { messageId: crypto.randomUUID() };
+    }
+  }),
+
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    return {
+      name: 'file',
+      send: async (message) => {
+        const messageId = crypto.randomUUID();
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, `${Date.now()}-${messageId}.json`),
+          JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2)
+        );
+        return { messageId };
+      }
+    };
+  },
+
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+    return {
+      name: 'smtp',
+      send: (message) => transporter.sendMail(message)
+    };
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    if (production && name === 'console') {
+      throw new Error('The console mail transport does not deliver mail and cannot be used in production');
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'AFPPGMC Heroes <no-reply@afppgmc.com>',
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  };
+
+  const activeTransport = getTransport();
+  const result = await activeTransport.send(message);
+  logger.info(`Mail sent via ${activeTransport.name || 'custom'} transport to ${to}: ${subject}`);
+  return result;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+
+// Password rules shared by pensioner (mobile) and admin (web) accounts
+
+const filterPassword = (password) => {
+  if (typeof password !== 'string') return '';
+  return password.replace(/[<>;"'`\\]/g, '').trim();
+};
+
+const validatePasswordStrength = (password) => {
+  const minLength = 8;
+  const maxLength = 128;
+  const hasNumber = /\d/.test(password);
+  const hasLetter = /[a-zA-Z]/.test(password);
+  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+  const hasMinLength = password.length >= minLength;
+  const hasMaxLength = password.length <= maxLength;
+  const noRepeatedChars = !/(.)\1{2,}/.test(password);
+  const noCommonPatterns = !/^(123456|password|qwerty|abc123|admin|letmein)/i.test(password);
+
+  const errors = [];
+  if (!hasMinLength) errors.push("Password must be at least 8 characters");
+  if (!hasMaxLength) errors.push("Password must be less than 128 characters");
+  if (!hasNumber) errors.push("Password must contain at least one number");
+  if (!hasLetter) errors.push("Password must contain at least one letter");
+  if (!hasSpecialChar) errors.push("Password must contain at least one special character (!@#$%^&*(),.?\":{}|<>)");
+  if (!noRepeatedChars) errors.push("Password cannot contain more than 2 repeated characters");
+  if (!noCommonPatterns) errors.push("Password cannot be a common password");
+
+  return {
+    isValid: hasMinLength && hasMaxLength && hasNumber && hasLetter && hasSpecialChar && noRepeatedChars && noCommonPatterns,
+    errors
+  };
+};
+
+// Random password that passes filterPassword and validatePasswordStrength,
+// handed out once when a super admin resets an admin account
+const generateTemporaryPassword = (length = 16) => {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  const digits = '23456789';
+  const specials = '!@#$%^&*(),.?:{}|';
+  const alphabet = letters + digits + specials;
+
+  for (;;) {
+    let candidate = '';
+    for (let i = 0; i < length; i++) {
+      candidate += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    if (filterPassword(candidate) === candidate && validatePasswordStrength(candidate).isValid) {
+      return candidate;
+    }
+  }
+};
+
+module.exports = {
+  filterPassword,
+  validatePasswordStrength,
+  generateTemporaryPassword
+};
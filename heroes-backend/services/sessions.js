@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { executeQuery, logger } = require('../config/database');
+
+// Refresh token lifetime per subject type
+const REFRESH_TTL_DAYS = {
+  pensioner: parseInt(process.env.PENSIONER_REFRESH_TTL_DAYS) || 30,
+  admin: parseInt(process.env.ADMIN_REFRESH_TTL_DAYS) || 1
+};
+
+// Access tokens are short-lived; the refresh token keeps the session alive
+const ACCESS_TOKEN_EXPIRATION = process.env.ACCESS_TOKEN_EXPIRATION || '15m';
+
+// A session only stays live while its owner still exists and is not suspended
+const SUBJECT_CHECKS = {
+  pensioner: `JOIN users_tbl s ON s.id = rt.subject_id AND s.status <> 'SUS'`,
+  admin: 'JOIN admins_tbl s ON s.id = rt.subject_id'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const insertRefreshToken = async (familyId, subjectType, subjectId, meta = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TTL_DAYS[subjectType] * 24 * 60 * 60 * 1000);
+
+  await executeQuery(
+    `INSERT INTO auth_refresh_tokens
+       (token_hash, family_id, subject_type, subject_id, expires_at, ip_address, user_agent, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      hashToken(refreshToken),
+      familyId,
+      subjectType,
+      subjectId,
+      expiresAt,
+      meta.ip || null,
+      meta.userAgent ? meta.userAgent.substring(0, 255) : null
+    ]
+  );
+
+  return { refreshToken, sessionId: familyId, refreshExpiresAt: expiresAt };
+};
+
+// Start a new session (token family) at login
+const createSession = async (subjectType, subjectId, meta) => {
+  return insertRefreshToken(crypto.randomUUID(), subjectType, subjectId, meta);
+};
+
+// Exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated or revoked is treated as theft:
+// the whole family is revoked so every copy of the session dies.
+const rotateRefreshToken = async (refreshToken, subjectType, meta) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw sessionError('Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
+  }
+
+  const rows = await executeQuery(
+    `SELECT id, family_id, subject_id, expires_at, rotated_at, revoked_at
+     FROM auth_refresh_tokens
+     WHERE token_hash = ? AND subject_type = ?
+     LIMIT 1`,
+    [hashToken(refreshToken), subjectType]
+  );
+
+  if (rows.length === 0) {
+    throw sessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const stored = rows[0];
+
+  if (stored.rotated_at || stored.revoked_at) {
+    await revokeSession(stored.family_id, 'reuse_detected');
+    logger.warn(`Refresh token reuse detected for ${subjectType} ${stored.subject_id}, session ${stored.family_id} revoked`);
+    throw sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw sessionError('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  // Guard against two concurrent refreshes with the same token
+  const result = await executeQuery(
+    'UPDATE auth_refresh_tokens SET rotated_at = NOW() WHERE id = ? AND rotated_at IS NULL AND revoked_at IS NULL',
+    [stored.id]
+  );
+
+  if (result.affectedRows === 0) {
+    await revokeSession(stored.family_id, 'reuse_detected');
+    throw sessionError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  const session = await insertRefreshToken(stored.family_id, subjectType, stored.subject_id, meta);
+  return { ...session, subjectId: stored.subject_id };
+};
+
+// Revoke every token in a session family (logout, reuse detection)
+const revokeSession = async (sessionId, reason = 'logout') => {
+  if (!sessionId) return 0;
+
+  const result = await executeQuery(
+    `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+  return result.affectedRows;
+};
+
+// Revoke every live session of a pensioner or admin (deletion, suspension)
+const revokeAllSessions = async (subjectType, subjectId, reason) => {
+  const result = await executeQuery(
+    `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE subject_type = ? AND subject_id = ? AND revoked_at IS NULL`,
+    [reason, subjectType, subjectId]
+  );
+
+  if (result.affectedRows > 0) {
+    logger.info(`Revoked ${result.affectedRows} session token(s) for ${subjectType} ${subjectId} (${reason})`);
+  }
+  return result.affectedRows;
+};
+
+// Checked on every authenticated request so revocation takes effect before the access token expires
+const isSessionActive = async (subjectType, subjectId, sessionId) => {
+  if (!sessionId || !SUBJECT_CHECKS[subjectType]) return false;
+
+  const rows = await executeQuery(
+    `SELECT 1 AS active
+     FROM auth_refresh_tokens rt
+     ${SUBJECT_CHECKS[subjectType]}
+     WHERE rt.family_id = ? AND rt.subject_type = ? AND rt.subject_id = ?
+       AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+     LIMIT 1`,
+    [sessionId, subjectType, subjectId]
+  );
+  return rows.length > 0;
+};
+
+const cleanupExpiredSessions = async () => {
+  try {
+    const result = await executeQuery(
+      'DELETE FROM auth_refresh_tokens WHERE expires_at < DATE_SUB(NOW(), INTERVAL 7 DAY)'
+    );
+
+    if (result.affectedRows > 0) {
+      logger.info(`Cleaned up ${result.affectedRows} expired refresh tokens`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to cleanup expired refresh tokens: ${error.message}`);
+  }
+};
+
+setInterval(cleanupExpiredSessions, 60 * 60 * 1000).unref();
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRATION,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
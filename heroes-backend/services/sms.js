@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../config/database');
+
+// SMS transports, selected with SMS_TRANSPORT (console | file | http).
+// "console" (the development default) logs only the masked recipient, since messages carry
+// reset codes; it is refused in production, where SMS_TRANSPORT must be set.
+// "http" posts { to, message, sender } as JSON to SMS_API_URL with SMS_API_KEY as bearer token,
+// which fits most local gateways (Semaphore, Twilio proxies, in-house relays).
+const transports = {
+  console: () => ({
+    name: 'console',
+    send: async ({ to }) => {
+      logger.info(`[sms] to=${to.slice(0, 4)}**** (message not logged)`);
+      return { messageId: crypto.randomUUID() };
+    }
+  }),
+
+  file: () => {
+    const dir = process.env.SMS_FILE_DIR || path.join(process.cwd(), 'tmp', 'sms');
+    return {
+      name: 'file',
+      send: async (sms) => {
+        const messageId = crypto.randomUUID();
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(dir, `${Date.now()}-${messageId}.json`),
+          JSON.stringify({ messageId, ...sms, sentAt: new Date().toISOString() }, null, 2)
+        );
+        return { messageId };
+      }
+    };
+  },
+
+  http: () => ({
+    name: 'http',
+    send: async (sms) => {
+      if (!process.env.SMS_API_URL) {
+        throw new Error('SMS_API_URL is not configured');
+      }
+
+      const response = await fetch(process.env.SMS_API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_API_KEY && { Authorization: `Bearer ${process.env.SMS_API_KEY}` })
+        },
+        body: JSON.stringify(sms)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+      return response.json().catch(() => ({}));
+    }
+  })
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const production = process.env.NODE_ENV === 'production';
+    const name = process.env.SMS_TRANSPORT || (production ? null : 'console');
+    if (!name) {
+      throw new Error('SMS_TRANSPORT must be set in production');
+    }
+    if (production && name === 'console') {
+      throw new Error('The console SMS transport does not deliver messages and cannot be used in production');
+    }
+    if (!transports[name]) {
+      throw new Error(`Unknown SMS_TRANSPORT: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport (any object with an async send(sms) method)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendSms = async ({ to, message }) => {
+  const activeTransport = getTransport();
+  const result = await activeTransport.send({
+    to,
+    message,
+    sender: process.env.SMS_SENDER || 'AFPPGMC'
+  });
+  logger.info(`SMS sent via ${activeTransport.name || 'custom'} transport to ${to.slice(0, 4)}****`);
+  return result;
+};
+
+module.exports = {
+  sendSms,
+  setTransport,
+  getTransport
+};
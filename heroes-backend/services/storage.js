@@ -0,0 +1,30 @@
+const { Client } = require('minio');
+
+// DigitalOcean Spaces (S3 compatible) holding every uploaded file
+const minioClient = new Client({
+  endPoint: process.env.SPACES_ENDPOINT.replace('https://', ''),
+  port: 443,
+  useSSL: true,
+  accessKey: process.env.SPACES_KEY,
+  secretKey: process.env.SPACES_SECRET,
+});
+
+const BUCKET = process.env.SPACES_BUCKET;
+
+const publicUrlFor = (key) => `https://${BUCKET}.sgp1.digitaloceanspaces.com/${key}`;
+
+const removeFile = (key) => minioClient.removeObject(BUCKET, key);
+
+// Whether file_url and file_key are what /api/upload returned for an upload to folder:
+// the key is in that folder and the URL is this bucket's public URL for it
+const isUploadedFile = ({ file_url, file_key }, folder) =>
+  typeof file_key === 'string' && file_key.startsWith(`${folder}/`) &&
+  typeof file_url === 'string' && file_url === publicUrlFor(file_key);
+
+module.exports = {
+  minioClient,
+  BUCKET,
+  publicUrlFor,
+  removeFile,
+  isUploadedFile
+};
@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const fakeDb = require('./helpers/fakeDatabase');
+const { useFileMail } = require('./helpers/mail');
+const {
+  checkLockout,
+  recordFailedAttempt,
+  clearFailedAttempts,
+  unlockWithToken
+} = require('../services/accountLockout');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const seconds = (ms) => Math.floor(ms / 1000);
+
+let mail;
+// auth_failed_attempts rows keyed by "subject:type:identifier", times in ms
+let rows;
+
+const findRow = (params) => rows.get(params.slice(0, 3).join(':'));
+const rowById = (id) => [...rows.values()].find(row => row.id === id);
+
+before(async () => {
+  mail = await useFileMail();
+});
+
+after(async () => {
+  await mail.cleanup();
+});
+
+beforeEach(() => {
+  rows = new Map();
+  fakeDb.reset((sql, params) => {
+    const now = Date.now();
+
+    if (/SELECT id, failed_count/.test(sql)) {
+      const row = findRow(params);
+      if (!row) return [];
+      return [{
+        ...row,
+        lock_remaining_seconds: row.locked_until ? seconds(row.locked_until - now) : null,
+        seconds_since_failure: seconds(now - row.last_failed_at)
+      }];
+    }
+    if (/INSERT INTO auth_failed_attempts/.test(sql)) {
+      const key = params.slice(0, 3).join(':');
+      const row = rows.get(key);
+      if (!row) {
+        rows.set(key, { id: rows.size + 1, key, failed_count: 1, lock_count: 0, locked_until: null, last_failed_at: now });
+      } else {
+        const windowStart = now - params[4] * 60 * 1000;
+        row.failed_count = row.last_failed_at < windowStart ? 1 : row.failed_count + 1;
+        row.last_failed_at = now;
+      }
+      return { affectedRows: 1 };
+    }
+    if (/SET locked_until = DATE_ADD/.test(sql)) {
+      const [minutes, id, threshold] = params;
+      const row = rowById(id);
+      if (row.failed_count < threshold || (row.locked_until && row.locked_until > now)) return { affectedRows: 0 };
+      Object.assign(row, { locked_until: now + minutes * 60 * 1000, lock_count: row.lock_count + 1, failed_count: 0 });
+      return { affectedRows: 1 };
+    }
+    if (/SET unlock_token_hash = \?/.test(sql)) {
+      rowById(params[2]).unlock_token_hash = params[0];
+      return { affectedRows: 1 };
+    }
+    if (/WHERE unlock_token_hash = \?/.test(sql)) {
+      const row = [...rows.values()].find(item => item.unlock_token_hash === params[0]);
+      if (!row) return [];
+      const [, identifier_type, identifier] = row.key.split(':');
+      return [{ id: row.id, identifier_type, identifier }];
+    }
+    if (/SET locked_until = NULL/.test(sql)) {
+      Object.assign(rowById(params[0]), { locked_until: null, failed_count: 0, unlock_token_hash: null });
+      return { affectedRows: 1 };
+    }
+    if (/DELETE FROM auth_failed_attempts/.test(sql)) {
+      rows.delete(params.join(':'));
+      return { affectedRows: 1 };
+    }
+    return [];
+  });
+});
+
+const fail = (identifier, times, options) => Array.from({ length: times }).reduce(
+  (previous) => previous.then(() => recordFailedAttempt('pensioner', 'email', identifier, options)),
+  Promise.resolve()
+);
+
+// The unlock email is sent in the background
+const waitForMail = async (to) => {
+  for (let i = 0; i < 50; i++) {
+    const message = (await mail.read()).find(item => item.to === to);
+    if (message) return message;
+    await sleep(10);
+  }
+  throw new Error(`No mail sent to ${to}`);
+};
+
+test('repeated failures slow down further attempts before the account locks', async () => {
+  await fail('slow@example.com', 1);
+  assert.deepEqual(await checkLockout('pensioner', 'email', 'slow@example.com'), { blocked: false });
+
+  const result = await recordFailedAttempt('pensioner', 'email', 'Slow@Example.com ');
+  assert.deepEqual(result, { locked: false, failedCount: 2, attemptsRemaining: 3 });
+
+  const state = await checkLockout('pensioner', 'email', 'slow@example.com');
+  assert.equal(state.blocked, true);
+  assert.equal(state.locked, false);
+  assert.equal(state.retryAfterSeconds, 1);
+});
+
+test('the fifth failure locks the account and mails an unlock link that lifts it', async () => {
+  await fail('owner@example.com', 4, { notifyEmail: 'owner@example.com' });
+  const result = await recordFailedAttempt('pensioner', 'email', 'owner@example.com', { notifyEmail: 'owner@example.com' });
+  assert.deepEqual(result, { locked: true, failedCount: 5, retryAfterSeconds: 15 * 60 });
+
+  const locked = await checkLockout('pensioner', 'email', 'owner@example.com');
+  assert.equal(locked.locked, true);
+  assert.ok(locked.retryAfterSeconds > 14 * 60);
+
+  const message = await waitForMail('owner@example.com');
+  assert.match(message.text, /unlocks automatically in 15 minutes/);
+  const token = message.text.match(/unlock-account\?token=([a-f0-9]{64})/)[1];
+  assert.equal(rows.get('pensioner:email:owner@example.com').unlock_token_hash, hashToken(token));
+
+  assert.deepEqual(await unlockWithToken('pensioner', token), { identifierType: 'email', identifier: 'owner@example.com' });
+  assert.deepEqual(await checkLockout('pensioner', 'email', 'owner@example.com'), { blocked: false });
+  assert.equal(await unlockWithToken('pensioner', token), null);
+});
+
+test('unknown identifiers lock the same way without sending mail', async () => {
+  const sentBefore = (await mail.read()).length;
+
+  await fail('ghost@example.com', 5);
+
+  assert.equal((await checkLockout('pensioner', 'email', 'ghost@example.com')).locked, true);
+  await sleep(20);
+  assert.equal((await mail.read()).length, sentBefore);
+});
+
+test('every further lockout doubles in length', async () => {
+  await fail('repeat@example.com', 5);
+  rows.get('pensioner:email:repeat@example.com').locked_until = Date.now() - 1000;
+
+  await fail('repeat@example.com', 4);
+  const result = await recordFailedAttempt('pensioner', 'email', 'repeat@example.com');
+
+  assert.equal(result.retryAfterSeconds, 30 * 60);
+});
+
+test('a successful sign-in clears earlier failures', async () => {
+  await fail('clear@example.com', 3);
+
+  await clearFailedAttempts('pensioner', 'email', 'clear@example.com');
+
+  assert.deepEqual(await checkLockout('pensioner', 'email', 'clear@example.com'), { blocked: false });
+});
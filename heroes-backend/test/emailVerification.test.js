@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const fakeDb = require('./helpers/fakeDatabase');
+const { startApp } = require('./helpers/app');
+const { useFileMail } = require('./helpers/mail');
+const { createTokenTable } = require('./helpers/signupTokens');
+const { router } = require('../routes/users');
+
+const USER = { id: 5, email: 'unverified@example.com' };
+
+let app;
+let mail;
+let tokens;
+let status;
+
+const accessToken = jwt.sign(
+  { userId: USER.id, sid: 'session-1', type: 'pensioner' },
+  process.env.JWT_SECRET,
+  { issuer: 'afppgmc-mobile', audience: 'afppgmc-mobile-app', expiresIn: '5m' }
+);
+
+before(async () => {
+  app = await startApp('/api/users', router);
+  mail = await useFileMail();
+});
+
+after(async () => {
+  await mail.cleanup();
+  await app.close();
+});
+
+beforeEach(() => {
+  tokens = createTokenTable();
+  status = 'UNV';
+  fakeDb.reset((sql, params) => {
+    const tokenResult = tokens.handle(sql, params);
+    if (tokenResult !== undefined) return tokenResult;
+
+    if (/FROM auth_refresh_tokens rt/.test(sql)) return [{ active: 1 }];
+    if (/SELECT id, email, status FROM users_tbl/.test(sql)) return [{ ...USER, status }];
+    if (/SELECT status, email FROM users_tbl/.test(sql)) return [{ email: USER.email, status }];
+    if (/UPDATE users_tbl SET status = 'ACT'/.test(sql)) {
+      const verified = status === 'UNV' && params[0] === USER.id && params[1] === USER.email;
+      if (verified) status = 'ACT';
+      return { affectedRows: verified ? 1 : 0 };
+    }
+    return [];
+  });
+});
+
+const resend = () => app.request('POST', '/api/users/resend-verification', {}, { Authorization: `Bearer ${accessToken}` });
+const verify = (token) => app.request('POST', '/api/users/verify-email', { token });
+
+test('resent verification mail carries a token that verifies the account once', async () => {
+  const response = await resend();
+  assert.equal(response.status, 200);
+
+  const messages = await mail.read();
+  const message = messages[messages.length - 1];
+  assert.equal(message.to, USER.email);
+  assert.equal(message.subject, 'Verify your AFPPGMC Heroes account');
+  const token = message.text.match(/verify-email\?token=([a-f0-9]{64})/)[1];
+  assert.deepEqual(tokens.rows.get(token).data, { purpose: 'email_verification', user_id: USER.id, email: USER.email });
+
+  const verified = await verify(token);
+  assert.equal(verified.status, 200);
+  assert.equal(verified.body.data.status, 'ACTIVE');
+  assert.equal(status, 'ACT');
+  assert.equal(tokens.rows.size, 0);
+
+  const again = await verify(token);
+  assert.equal(again.status, 400);
+  assert.equal(again.body.code, 'INVALID_TOKEN');
+});
+
+test('a new verification mail replaces the previous token', async () => {
+  await resend();
+  const first = [...tokens.rows.keys()];
+  await resend();
+
+  assert.equal(tokens.rows.size, 1);
+  assert.notDeepEqual([...tokens.rows.keys()], first);
+  assert.equal((await verify(first[0])).status, 400);
+});
+
+test('verified accounts are not sent another verification mail', async () => {
+  status = 'ACT';
+  const sentBefore = (await mail.read()).length;
+
+  const response = await resend();
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, 'ALREADY_VERIFIED');
+  assert.equal((await mail.read()).length, sentBefore);
+});
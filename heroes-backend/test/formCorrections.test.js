@@ -0,0 +1,171 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDatabase');
+const { publicUrlFor } = require('../services/storage');
+const { checkTransition } = require('../services/formStatus');
+const {
+  MAX_COMMENT_LENGTH,
+  validateCorrectionComments,
+  returnForCorrection,
+  getOpenCorrections,
+  validateResubmission,
+  resubmitCorrections
+} = require('../services/formCorrections');
+
+const FORM_TYPE = {
+  id: 2,
+  requirements: [
+    { requirement_type: 'death_certificate', label: 'Death certificate', kind: 'file', applies_to: 'both', is_required: true, allowed_file_types: ['application/pdf', 'image/*'] },
+    { requirement_type: 'contact_number', label: 'Contact number', kind: 'text', applies_to: 'both', is_required: true, value_pattern: '^09\\d{9}$', value_hint: '11 digits starting with 09' }
+  ]
+};
+const ALLOWED_TYPES = FORM_TYPE.requirements.map(requirement => requirement.requirement_type);
+const AUDIT = { adminId: 4, ipAddress: '10.0.0.1', userAgent: 'test' };
+
+const upload = (name, file_type = 'application/pdf') => {
+  const file_key = `forms/${name}`;
+  return { file_key, file_url: publicUrlFor(file_key), file_type };
+};
+
+// One submitted form with its requirements, reviews and replaced versions
+let form;
+let requirements;
+let reviews;
+let versions;
+
+beforeEach(() => {
+  form = { id: 10, status: 'p', review_round: 1, version: 3, location: 'loc' };
+  requirements = new Map([
+    ['death_certificate', { id: 1, value: null, ...upload('old-certificate.pdf') }],
+    ['contact_number', { id: 2, value: '09171234567', file_url: null, file_key: null, file_type: null }]
+  ]);
+  reviews = [];
+  versions = [];
+
+  fakeDb.reset((sql, params) => {
+    if (/INSERT INTO form_requirement_reviews/.test(sql)) {
+      const [, review_round, requirement_type, comment] = params;
+      reviews.push({ review_round, requirement_type, comment, resolved_at: null });
+      return { affectedRows: 1 };
+    }
+    if (/FROM form_requirement_reviews/.test(sql)) {
+      return reviews.filter(review => review.review_round === params[1] && !review.resolved_at);
+    }
+    if (/UPDATE form_requirement_reviews SET resolved_at/.test(sql)) {
+      reviews.filter(review => review.review_round === params[1]).forEach(review => { review.resolved_at = new Date(); });
+      return { affectedRows: 1 };
+    }
+    if (/SET status = 'r'/.test(sql)) {
+      Object.assign(form, { status: 'r', version: form.version + 1 });
+      return { affectedRows: 1 };
+    }
+    if (/SET status = 'p', review_round = review_round \+ 1/.test(sql)) {
+      Object.assign(form, { status: 'p', review_round: form.review_round + 1, version: form.version + 1 });
+      return { affectedRows: 1 };
+    }
+    if (/FROM form_requirements WHERE form_id = \? AND requirement_type = \? FOR UPDATE/.test(sql)) {
+      const row = requirements.get(params[1]);
+      return row ? [{ ...row }] : [];
+    }
+    if (/INSERT INTO form_requirement_versions/.test(sql)) {
+      const [, review_round, requirement_type, value, file_url, file_key] = params;
+      versions.push({ review_round, requirement_type, value, file_url, file_key });
+      return { affectedRows: 1 };
+    }
+    if (/UPDATE form_requirements SET value/.test(sql)) {
+      const [value, file_url, file_key, file_type, id] = params;
+      const row = [...requirements.values()].find(item => item.id === id);
+      Object.assign(row, { value, file_url, file_key, file_type });
+      return { affectedRows: 1 };
+    }
+    return { affectedRows: 1 };
+  });
+});
+
+// Return the form as a reviewer would: only from pending, with valid comments
+const returnForm = async (comments) => {
+  assert.equal(checkTransition(form.status, 'r'), null);
+  assert.equal(validateCorrectionComments(comments, ALLOWED_TYPES), null);
+  await returnForCorrection(fakeDb.connection, { form: { ...form }, adminId: 4, comments, adminNotes: null, audit: AUDIT });
+};
+
+const resubmit = async (replacements) => {
+  const open = await getOpenCorrections(form.id, form.review_round);
+  const errors = validateResubmission(FORM_TYPE, open, replacements, form.location);
+  if (Object.keys(errors).length === 0) {
+    await resubmitCorrections(fakeDb.connection, { form: { ...form }, formType: FORM_TYPE, requirements: replacements, audit: { userId: 9 } });
+  }
+  return errors;
+};
+
+test('reviewer comments must name known requirements once, with a comment', () => {
+  assert.match(validateCorrectionComments([], ALLOWED_TYPES), /at least one/);
+  assert.match(validateCorrectionComments([{ requirement_type: 'passport', comment: 'x' }], ALLOWED_TYPES), /Unknown requirement_type: passport/);
+  assert.match(validateCorrectionComments([{ requirement_type: 'contact_number', comment: ' ' }], ALLOWED_TYPES), /A comment is required/);
+  assert.match(
+    validateCorrectionComments([{ requirement_type: 'contact_number', comment: 'a' }, { requirement_type: 'contact_number', comment: 'b' }], ALLOWED_TYPES),
+    /listed more than once/
+  );
+  assert.match(
+    validateCorrectionComments([{ requirement_type: 'contact_number', comment: 'x'.repeat(MAX_COMMENT_LENGTH + 1) }], ALLOWED_TYPES),
+    /cannot exceed/
+  );
+});
+
+test('a returned form can only be resubmitted with exactly the flagged requirements', async () => {
+  await returnForm([{ requirement_type: 'death_certificate', comment: 'The scan is unreadable' }]);
+  assert.equal(form.status, 'r');
+  assert.equal(form.version, 4);
+  assert.equal(checkTransition('r', 'p', 'reopen').code, 'INVALID_TRANSITION');
+
+  assert.deepEqual(await resubmit([]), { death_certificate: 'Death certificate needs to be replaced' });
+  assert.deepEqual(
+    await resubmit([{ requirement_type: 'contact_number', value: '09999999999' }, { requirement_type: 'death_certificate', ...upload('new.pdf') }]),
+    { contact_number: 'This requirement was not returned for correction' }
+  );
+  const spoofed = { requirement_type: 'death_certificate', ...upload('new.pdf'), file_url: 'https://evil.example.com/forms/new.pdf' };
+  assert.match((await resubmit([spoofed])).death_certificate, /must be a file returned by \/api\/upload/);
+  assert.match((await resubmit([{ requirement_type: 'death_certificate', ...upload('new.txt', 'text/plain') }])).death_certificate, /must be one of/);
+  assert.equal(form.status, 'r');
+});
+
+test('resubmitting keeps the replaced file and starts the next review round', async () => {
+  await returnForm([{ requirement_type: 'death_certificate', comment: 'The scan is unreadable' }]);
+
+  assert.deepEqual(await resubmit([{ requirement_type: 'death_certificate', ...upload('new.pdf') }]), {});
+
+  assert.deepEqual(form, { id: 10, status: 'p', review_round: 2, version: 5, location: 'loc' });
+  assert.equal(requirements.get('death_certificate').file_key, 'forms/new.pdf');
+  const replaced = upload('old-certificate.pdf');
+  assert.deepEqual(versions, [{
+    review_round: 1,
+    requirement_type: 'death_certificate',
+    value: null,
+    file_url: replaced.file_url,
+    file_key: replaced.file_key
+  }]);
+  assert.ok(reviews.every(review => review.resolved_at));
+  assert.deepEqual(await getOpenCorrections(form.id, form.review_round), []);
+});
+
+test('a form can go through several return cycles, each in its own round', async () => {
+  await returnForm([{ requirement_type: 'death_certificate', comment: 'The scan is unreadable' }]);
+  await resubmit([{ requirement_type: 'death_certificate', ...upload('second.pdf') }]);
+
+  await returnForm([{ requirement_type: 'contact_number', comment: 'This number is not in service' }]);
+  assert.deepEqual(await resubmit([{ requirement_type: 'contact_number', value: '0917' }]), {
+    contact_number: 'Contact number is not valid: 11 digits starting with 09'
+  });
+  assert.deepEqual(await resubmit([{ requirement_type: 'contact_number', value: '09181234567' }]), {});
+
+  assert.equal(form.review_round, 3);
+  assert.equal(form.version, 7);
+  assert.deepEqual(reviews.map(review => [review.review_round, review.requirement_type]), [
+    [1, 'death_certificate'],
+    [2, 'contact_number']
+  ]);
+  assert.deepEqual(versions.map(version => [version.review_round, version.requirement_type]), [
+    [1, 'death_certificate'],
+    [2, 'contact_number']
+  ]);
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const fakeDb = require('./helpers/fakeDatabase');
+const storage = require('../services/storage');
+
+// formDrafts copies removeFile when it is loaded, so record deletions before requiring it
+const removed = [];
+storage.removeFile = async (key) => { removed.push(key); };
+const { validateDraftFile, isFileReferenced, removeOrphanedFiles, getDraft } = require('../services/formDrafts');
+
+// file_key values some table still refers to
+let referenced;
+
+beforeEach(() => {
+  removed.length = 0;
+  referenced = new Set();
+  fakeDb.reset((sql, params) => {
+    if (/SELECT 1 FROM \w+ WHERE file_key = \?/.test(sql)) {
+      return referenced.has(params[0]) ? [{ 1: 1 }] : [];
+    }
+    return [];
+  });
+});
+
+test('drafts only accept files uploaded to the form folder, at their bucket URL', () => {
+  const file_key = 'forms/1700000000000-ab12cd34ef56ab12-scan.pdf';
+  assert.equal(validateDraftFile({ file_key, file_url: storage.publicUrlFor(file_key) }), null);
+
+  const rejected = [
+    { file_key, file_url: `https://evil.example.com/${file_key}` },
+    { file_key, file_url: `${storage.publicUrlFor(file_key)}?download=1` },
+    { file_key: 'uploads/scan.pdf', file_url: storage.publicUrlFor('uploads/scan.pdf') },
+    { file_key: 'inquiries/scan.pdf', file_url: storage.publicUrlFor('inquiries/scan.pdf') },
+    { file_url: storage.publicUrlFor(file_key) },
+    { file_key }
+  ];
+  for (const file of rejected) {
+    assert.match(validateDraftFile(file), /must be the ones returned by \/api\/upload/, JSON.stringify(file));
+  }
+});
+
+test('a file counts as referenced while any submission, draft, version or message uses it', async () => {
+  assert.equal(await isFileReferenced('forms/a.pdf'), false);
+  assert.deepEqual(
+    fakeDb.queriesMatching(/WHERE file_key = \?/).map(query => query.sql.match(/FROM (\w+)/)[1]).sort(),
+    ['form_draft_requirements', 'form_requirement_versions', 'form_requirements', 'inquiry_message_attachments']
+  );
+
+  referenced.add('forms/a.pdf');
+  assert.equal(await isFileReferenced('forms/a.pdf'), true);
+});
+
+test('discarded draft files are deleted only when nothing else uses them', async () => {
+  referenced.add('forms/submitted.pdf');
+
+  removeOrphanedFiles(['forms/orphan.pdf', 'forms/submitted.pdf', 'forms/orphan.pdf', null]);
+  // Removal runs in the background
+  await sleep(50);
+
+  assert.deepEqual(removed, ['forms/orphan.pdf']);
+});
+
+test('drafts are returned without the internal owns_file flag', async () => {
+  const file_key = 'forms/scan.pdf';
+  fakeDb.reset((sql) => {
+    if (/FROM form_drafts d/.test(sql)) {
+      return [{ id: 3, form_type_id: 2, form_type_name: 'Survivorship', abroad_status: 0, longitude: '121.05', latitude: null, expires_at: 'later' }];
+    }
+    if (/FROM form_draft_requirements/.test(sql)) {
+      return [{ draft_id: 3, requirement_type: 'death_certificate', value: null, file_key, file_url: storage.publicUrlFor(file_key), file_type: 'application/pdf', owns_file: 1 }];
+    }
+    return [];
+  });
+
+  const draft = await getDraft(9, 3);
+
+  assert.equal(draft.draft_id, 3);
+  assert.equal(draft.abroad_status, false);
+  assert.equal(draft.longitude, 121.05);
+  assert.equal(draft.latitude, null);
+  assert.deepEqual(Object.keys(draft.requirements[0]).sort(), ['file_key', 'file_type', 'file_url', 'requirement_type', 'value']);
+});
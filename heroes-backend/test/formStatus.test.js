@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FORM_STATUSES, checkTransition, isReversal, formEtag, checkVersion } = require('../services/formStatus');
+
+const fakeRequest = ({ ifMatch, body = {} } = {}) => ({
+  get: (header) => (header === 'If-Match' ? ifMatch : undefined),
+  body
+});
+
+test('pending forms can be approved, denied or returned', () => {
+  for (const to of ['a', 'd', 'r']) {
+    assert.equal(checkTransition('p', to), null, `p > ${to}`);
+  }
+});
+
+test('decisions can only be reversed to pending, with a reason', () => {
+  for (const from of ['a', 'd']) {
+    assert.equal(isReversal(from, 'p'), true);
+    assert.equal(checkTransition(from, 'p').code, 'REASON_REQUIRED');
+    assert.equal(checkTransition(from, 'p', '   ').code, 'REASON_REQUIRED');
+    assert.equal(checkTransition(from, 'p', 'Wrong pensioner record'), null);
+  }
+  assert.equal(checkTransition('a', 'd', 'Changed my mind').code, 'INVALID_TRANSITION');
+  assert.equal(checkTransition('d', 'a', 'Changed my mind').code, 'INVALID_TRANSITION');
+});
+
+test('reviewers cannot move a returned form; only the resubmission reopens it', () => {
+  for (const to of Object.keys(FORM_STATUSES)) {
+    const rejection = checkTransition('r', to, 'reason');
+    assert.equal(rejection.code, 'INVALID_TRANSITION', `r > ${to}`);
+  }
+  assert.equal(checkTransition('r', 'p', 'reason').error, 'A returned form cannot be set to pending');
+});
+
+test('unknown statuses are rejected', () => {
+  assert.equal(checkTransition('p', 'x').code, 'INVALID_TRANSITION');
+  assert.equal(checkTransition('x', 'p', 'reason').code, 'INVALID_TRANSITION');
+});
+
+test('the version is read from If-Match (plain or weak) or the body', () => {
+  const form = { version: 4 };
+
+  assert.equal(checkVersion(fakeRequest({ ifMatch: formEtag(4) }), form), null);
+  assert.equal(checkVersion(fakeRequest({ ifMatch: 'W/"4"' }), form), null);
+  assert.equal(checkVersion(fakeRequest({ body: { version: '4' } }), form), null);
+  // If-Match wins over the body
+  assert.equal(checkVersion(fakeRequest({ ifMatch: '"3"', body: { version: 4 } }), form).code, 'VERSION_CONFLICT');
+});
+
+test('a missing version is 428 and a stale one is 409, both with the current version', () => {
+  const form = { version: 7 };
+
+  const missing = checkVersion(fakeRequest(), form);
+  assert.equal(missing.status, 428);
+  assert.equal(missing.code, 'VERSION_REQUIRED');
+  assert.equal(missing.current_version, 7);
+
+  const stale = checkVersion(fakeRequest({ body: { version: 6 } }), form);
+  assert.equal(stale.status, 409);
+  assert.equal(stale.code, 'VERSION_CONFLICT');
+  assert.equal(stale.current_version, 7);
+});
@@ -0,0 +1,34 @@
+const express = require('express');
+
+// Serve a router on a free local port. Returns { request, close }; request(method, path, body,
+// headers) resolves to { status, body } with the parsed JSON response. X-Forwarded-For is
+// trusted, so tests can give each request its own client IP for the per-IP rate limiters.
+const startApp = async (mountPath, router) => {
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return { request, close };
+};
+
+module.exports = { startApp };
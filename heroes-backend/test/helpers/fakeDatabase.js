@@ -0,0 +1,54 @@
+// Replaces the query functions of config/database with an in-memory fake, so services and
+// routes run without MySQL. Require it before the code under test: modules copy
+// executeQuery and friends out of config/database when they are loaded.
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.SPACES_ENDPOINT = process.env.SPACES_ENDPOINT || 'https://storage.test';
+process.env.SPACES_BUCKET = process.env.SPACES_BUCKET || 'heroes-test';
+process.env.INQUIRY_SLA_SCHEDULER = 'false';
+process.env.FORM_UPLOAD_CLEANUP = 'false';
+
+const database = require('../../config/database');
+
+// Expected failures are logged by the code under test; TEST_LOGS=true shows them
+database.logger.silent = process.env.TEST_LOGS !== 'true';
+
+// Every query run since the last reset, as { sql, params }
+const queries = [];
+let respond = () => [];
+
+const executeQuery = async (sql, params = []) => {
+  queries.push({ sql, params });
+  return respond(sql, params);
+};
+
+// Connections hand out the same fake, shaped like mysql2's [rows, fields]
+const connection = {
+  execute: async (sql, params) => [await executeQuery(sql, params)],
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {}
+};
+
+database.executeQuery = executeQuery;
+database.testConnection = async () => true;
+database.getConnection = async () => connection;
+database.withTransaction = async (fn) => fn(connection);
+database.withNamedLock = async (name, fn) => fn();
+
+// Answer queries with handler(sql, params) from now on and forget earlier queries
+const reset = (handler = () => []) => {
+  respond = handler;
+  queries.length = 0;
+};
+
+// Queries whose SQL matches the pattern
+const queriesMatching = (pattern) => queries.filter(query => pattern.test(query.sql));
+
+module.exports = {
+  connection,
+  queries,
+  reset,
+  queriesMatching
+};
@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { setTransport } = require('../../services/mailer');
+
+// Send mail through the file transport into a fresh directory. Returns { read, cleanup };
+// read() resolves to the messages written so far, oldest first.
+const useFileMail = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'heroes-mail-'));
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_FILE_DIR = dir;
+  setTransport(null);
+
+  const read = async () => {
+    const files = (await fs.readdir(dir)).sort();
+    return Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+  };
+
+  const cleanup = async () => {
+    setTransport(null);
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+
+  return { read, cleanup };
+};
+
+module.exports = { useFileMail };
@@ -0,0 +1,46 @@
+// In-memory signup_tokens table answering the queries routes/users.js runs against it.
+// handle(sql, params) returns the query result, or undefined for queries on other tables.
+const createTokenTable = () => {
+  const rows = new Map();
+
+  const handle = (sql, params) => {
+    if (!/signup_tokens/.test(sql)) return undefined;
+
+    if (/INSERT INTO signup_tokens/.test(sql)) {
+      rows.set(params[0], { data: JSON.parse(params[1]), expires_at: params[2] });
+      return { affectedRows: 1 };
+    }
+    if (/SELECT data, expires_at/.test(sql)) {
+      const row = rows.get(params[0]);
+      return row ? [{ data: JSON.stringify(row.data), expires_at: row.expires_at }] : [];
+    }
+    if (/DELETE FROM signup_tokens WHERE token = \?/.test(sql)) {
+      return { affectedRows: rows.delete(params[0]) ? 1 : 0 };
+    }
+    if (/DELETE FROM signup_tokens/.test(sql)) {
+      // Every outstanding token of one purpose for a user
+      const purpose = sql.match(/'(password_reset|email_verification)'/)[1];
+      let affectedRows = 0;
+      for (const [token, row] of rows) {
+        if (row.data.purpose === purpose && row.data.user_id === params[0]) {
+          rows.delete(token);
+          affectedRows++;
+        }
+      }
+      return { affectedRows };
+    }
+    if (/UPDATE signup_tokens/.test(sql)) {
+      // Conditional claim of one SMS code attempt
+      const row = rows.get(params[0]);
+      if (!row || (row.data.attempts || 0) >= params[1]) return { affectedRows: 0 };
+      row.data.attempts = (row.data.attempts || 0) + 1;
+      return { affectedRows: 1 };
+    }
+    // Expiry lookups and the resend cooldown find nothing
+    return [];
+  };
+
+  return { rows, handle };
+};
+
+module.exports = { createTokenTable };
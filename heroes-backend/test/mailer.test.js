@@ -0,0 +1,57 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+require('./helpers/fakeDatabase');
+const { sendMail, setTransport, getTransport } = require('../services/mailer');
+
+const env = { ...process.env };
+let mailDir;
+
+beforeEach(async () => {
+  mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'heroes-mail-'));
+  // Drop the cached transport so MAIL_TRANSPORT is read again
+  setTransport(null);
+});
+
+afterEach(async () => {
+  for (const key of ['NODE_ENV', 'MAIL_TRANSPORT', 'MAIL_FILE_DIR', 'MAIL_FROM']) {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  setTransport(null);
+  await fs.rm(mailDir, { recursive: true, force: true });
+});
+
+test('file transport writes each message as JSON to MAIL_FILE_DIR', async () => {
+  process.env.MAIL_TRANSPORT = 'file';
+  process.env.MAIL_FILE_DIR = mailDir;
+  process.env.MAIL_FROM = 'Heroes <test@afppgmc.test>';
+
+  const { messageId } = await sendMail({ to: 'juan@example.com', subject: 'Hello', text: 'Body' });
+
+  const files = await fs.readdir(mailDir);
+  assert.equal(files.length, 1);
+  const message = JSON.parse(await fs.readFile(path.join(mailDir, files[0]), 'utf8'));
+  assert.equal(message.messageId, messageId);
+  assert.equal(message.from, 'Heroes <test@afppgmc.test>');
+  assert.equal(message.to, 'juan@example.com');
+  assert.equal(message.subject, 'Hello');
+  assert.equal(message.text, 'Body');
+  assert.equal(message.html, undefined);
+});
+
+test('production refuses the console transport and requires MAIL_TRANSPORT', () => {
+  process.env.NODE_ENV = 'production';
+  delete process.env.MAIL_TRANSPORT;
+  assert.throws(getTransport, /MAIL_TRANSPORT must be set/);
+
+  process.env.MAIL_TRANSPORT = 'console';
+  assert.throws(getTransport, /cannot be used in production/);
+});
+
+test('unknown transports are rejected', () => {
+  process.env.MAIL_TRANSPORT = 'pigeon';
+  assert.throws(getTransport, /Unknown MAIL_TRANSPORT: pigeon/);
+});
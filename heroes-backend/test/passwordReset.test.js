@@ -0,0 +1,140 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDatabase');
+const { startApp } = require('./helpers/app');
+const { useFileMail } = require('./helpers/mail');
+const { createTokenTable } = require('./helpers/signupTokens');
+const sms = require('../services/sms');
+const mailer = require('../services/mailer');
+const { router } = require('../routes/users');
+
+const NEW_PASSWORD = 'Fresh#Pass2024';
+
+let app;
+let mail;
+let tokens;
+let users;
+let clientIp = 0;
+
+// A distinct client IP per request keeps the per-IP limiters out of the way
+const post = (path, body) => app.request('POST', path, body, { 'X-Forwarded-For': `10.0.0.${++clientIp}` });
+
+const addUser = (email, overrides = {}) => {
+  const user = { id: users.length + 1, email, status: 'ACT', MOBILENR: '09171234567', ...overrides };
+  users.push(user);
+  return user;
+};
+
+before(async () => {
+  app = await startApp('/api/users', router);
+  mail = await useFileMail();
+});
+
+after(async () => {
+  await mail.cleanup();
+  sms.setTransport(null);
+  await app.close();
+});
+
+beforeEach(() => {
+  tokens = createTokenTable();
+  users = [];
+  fakeDb.reset((sql, params) => {
+    const tokenResult = tokens.handle(sql, params);
+    if (tokenResult !== undefined) return tokenResult;
+
+    if (/FROM users_tbl u\s+JOIN pensioners_tbl/.test(sql) || /SELECT id FROM users_tbl WHERE email/.test(sql)) {
+      return users.filter(user => user.email === params[0]);
+    }
+    if (/UPDATE users_tbl SET password_hash/.test(sql)) {
+      const user = users.find(item => item.id === params[1] && item.email === params[2] && item.status !== 'SUS');
+      return { affectedRows: user ? 1 : 0 };
+    }
+    if (/UPDATE auth_refresh_tokens/.test(sql)) return { affectedRows: 2 };
+    return [];
+  });
+});
+
+test('email reset sends a single-use link that resets the password and ends every session', async () => {
+  const user = addUser('reset@example.com');
+
+  const response = await post('/api/users/forgot-password', { email: 'Reset@Example.com' });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.success, true);
+
+  const [message] = (await mail.read()).filter(item => item.to === user.email);
+  assert.equal(message.subject, 'Reset your AFPPGMC Heroes password');
+  const token = message.text.match(/reset-password\?token=([a-f0-9]{64})/)[1];
+  assert.deepEqual(tokens.rows.get(token).data, {
+    purpose: 'password_reset',
+    channel: 'email',
+    user_id: user.id,
+    email: user.email
+  });
+
+  const reset = await post('/api/users/reset-password', { token, newPassword: NEW_PASSWORD });
+  assert.equal(reset.status, 200);
+  assert.equal(reset.body.success, true);
+  assert.equal(tokens.rows.size, 0);
+
+  const [revoke] = fakeDb.queriesMatching(/UPDATE auth_refresh_tokens/);
+  assert.deepEqual(revoke.params, ['password_reset', 'pensioner', user.id]);
+
+  const reused = await post('/api/users/reset-password', { token, newPassword: NEW_PASSWORD });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.code, 'INVALID_RESET_TOKEN');
+});
+
+test('unknown accounts and failed deliveries get the same response as a sent reset', async () => {
+  addUser('known@example.com');
+  const sent = await post('/api/users/forgot-password', { email: 'known@example.com' });
+
+  const unknown = await post('/api/users/forgot-password', { email: 'nobody@example.com' });
+
+  mailer.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+  addUser('undeliverable@example.com');
+  const failed = await post('/api/users/forgot-password', { email: 'undeliverable@example.com' });
+  mailer.setTransport(null);
+
+  for (const response of [sent, unknown, failed]) {
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.message, sent.body.message);
+  }
+  assert.equal((await mail.read()).filter(item => item.to === 'nobody@example.com').length, 0);
+});
+
+test('reset requests are capped per account across client IPs', async () => {
+  addUser('capped@example.com');
+
+  const statuses = [];
+  for (let i = 0; i < 4; i++) {
+    statuses.push((await post('/api/users/forgot-password', { email: 'capped@example.com' })).status);
+  }
+
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+});
+
+test('an SMS reset code allows a fixed number of guesses, even when they arrive together', async () => {
+  const user = addUser('sms@example.com');
+  const sent = [];
+  sms.setTransport({ send: async (message) => { sent.push(message); return {}; } });
+
+  await post('/api/users/forgot-password', { email: user.email, channel: 'sms' });
+  const code = sent[0].message.match(/code is (\d{6})/)[1];
+  const wrongCode = code === '000000' ? '111111' : '000000';
+
+  const guesses = await Promise.all(Array.from({ length: 8 }, () => post('/api/users/reset-password', {
+    email: user.email,
+    code: wrongCode,
+    newPassword: NEW_PASSWORD
+  })));
+
+  const errors = guesses.map(response => response.body.error);
+  assert.equal(errors.filter(error => error === 'Incorrect reset code.').length, 5);
+  assert.ok(errors.includes('Too many incorrect codes. Please request a new one.'));
+  assert.equal(tokens.rows.size, 0);
+
+  const late = await post('/api/users/reset-password', { email: user.email, code, newPassword: NEW_PASSWORD });
+  assert.equal(late.status, 400);
+});
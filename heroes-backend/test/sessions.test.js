@@ -0,0 +1,89 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fakeDb = require('./helpers/fakeDatabase');
+const { createSession, rotateRefreshToken, isSessionActive } = require('../services/sessions');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// auth_refresh_tokens rows, answering the queries services/sessions.js runs
+let tokens;
+
+beforeEach(() => {
+  tokens = [];
+  fakeDb.reset((sql, params) => {
+    if (/INSERT INTO auth_refresh_tokens/.test(sql)) {
+      const [token_hash, family_id, subject_type, subject_id, expires_at] = params;
+      tokens.push({ id: tokens.length + 1, token_hash, family_id, subject_type, subject_id, expires_at, rotated_at: null, revoked_at: null });
+      return { affectedRows: 1 };
+    }
+    if (/SELECT id, family_id/.test(sql)) {
+      return tokens.filter(row => row.token_hash === params[0] && row.subject_type === params[1]).map(row => ({ ...row }));
+    }
+    if (/SET rotated_at = NOW\(\)/.test(sql)) {
+      const row = tokens.find(item => item.id === params[0] && !item.rotated_at && !item.revoked_at);
+      if (row) row.rotated_at = new Date();
+      return { affectedRows: row ? 1 : 0 };
+    }
+    if (/SET revoked_at = NOW\(\)/.test(sql)) {
+      const rows = tokens.filter(item => item.family_id === params[1] && !item.revoked_at);
+      rows.forEach(row => { row.revoked_at = new Date(); row.revoked_reason = params[0]; });
+      return { affectedRows: rows.length };
+    }
+    if (/SELECT 1 AS active/.test(sql)) {
+      const live = tokens.some(row => row.family_id === params[0] && !row.revoked_at && row.expires_at > new Date());
+      return live ? [{ active: 1 }] : [];
+    }
+    return [];
+  });
+});
+
+test('rotation replaces the refresh token within the same session', async () => {
+  const session = await createSession('pensioner', 7, { ip: '10.0.0.1' });
+
+  const rotated = await rotateRefreshToken(session.refreshToken, 'pensioner', {});
+
+  assert.equal(rotated.sessionId, session.sessionId);
+  assert.equal(rotated.subjectId, 7);
+  assert.notEqual(rotated.refreshToken, session.refreshToken);
+  assert.ok(tokens[0].rotated_at);
+  assert.equal(tokens[1].token_hash, hashToken(rotated.refreshToken));
+  assert.equal(await isSessionActive('pensioner', 7, session.sessionId), true);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  const session = await createSession('pensioner', 7, {});
+  const rotated = await rotateRefreshToken(session.refreshToken, 'pensioner', {});
+
+  await assert.rejects(
+    rotateRefreshToken(session.refreshToken, 'pensioner', {}),
+    { code: 'REFRESH_TOKEN_REUSED' }
+  );
+
+  assert.ok(tokens.every(row => row.revoked_at && row.revoked_reason === 'reuse_detected'));
+  assert.equal(await isSessionActive('pensioner', 7, session.sessionId), false);
+  await assert.rejects(rotateRefreshToken(rotated.refreshToken, 'pensioner', {}), { code: 'REFRESH_TOKEN_REUSED' });
+});
+
+test('two concurrent refreshes with one token leave one winner and revoke the session', async () => {
+  const session = await createSession('admin', 3, {});
+
+  const results = await Promise.allSettled([
+    rotateRefreshToken(session.refreshToken, 'admin', {}),
+    rotateRefreshToken(session.refreshToken, 'admin', {})
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'REFRESH_TOKEN_REUSED');
+  assert.equal(tokens[0].revoked_reason, 'reuse_detected');
+});
+
+test('tokens are bound to their subject type and expiry', async () => {
+  const session = await createSession('pensioner', 7, {});
+
+  await assert.rejects(rotateRefreshToken(session.refreshToken, 'admin', {}), { code: 'INVALID_REFRESH_TOKEN' });
+  await assert.rejects(rotateRefreshToken(undefined, 'pensioner', {}), { code: 'REFRESH_TOKEN_REQUIRED' });
+
+  tokens[0].expires_at = new Date(Date.now() - 1000);
+  await assert.rejects(rotateRefreshToken(session.refreshToken, 'pensioner', {}), { code: 'REFRESH_TOKEN_EXPIRED' });
+});